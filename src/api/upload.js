@@ -129,9 +129,11 @@ export async function handleUploadRequest(request, env) {
           );
         }
 
-        // Convert object to hosts format
+        // Convert object to hosts format (one line per address)
         fileContent = Object.entries(jsonData)
-          .map(([hostname, ip]) => `${ip} ${hostname}`)
+          .flatMap(([hostname, ips]) =>
+            (Array.isArray(ips) ? ips : [ips]).map((ip) => `${ip} ${hostname}`)
+          )
           .join("\n");
       }
     } else {
@@ -5,6 +5,8 @@
  * Configurations can be loaded from environment variables or KV storage.
  */
 
+import { findReferenceCycle } from "./core/plugin-chain.js";
+
 // Default configuration
 const DEFAULT_CONFIG = {
   plugins: [
@@ -38,7 +40,17 @@ export function loadConfig(env) {
     if (env.CONFIG) {
       // Direct config from environment variable (JSON string)
       try {
-        return JSON.parse(env.CONFIG);
+        const config = JSON.parse(env.CONFIG);
+
+        // A reference cycle would fail every request, so fall back instead
+        const cycle = findReferenceCycle(config?.plugins);
+        if (!cycle) {
+          return config;
+        }
+        console.error(
+          "Refusing CONFIG with a plugin reference cycle:",
+          cycle.join(" -> ")
+        );
       } catch (error) {
         console.error("Failed to parse CONFIG environment variable:", error);
       }
@@ -254,5 +266,13 @@ export function validateConfig(config) {
     // Plugin-specific validation could go here
   }
 
+  const cycle = findReferenceCycle(config.plugins);
+  if (cycle) {
+    console.error(
+      `Configuration has a plugin reference cycle: ${cycle.join(" -> ")}`
+    );
+    return false;
+  }
+
   return true;
 }
@@ -6,9 +6,13 @@
  * the plugin chain and maintains the request state.
  */
 
-import { RCODE } from "./types.js";
+import { EdeCode, RCODE, RRType } from "./types.js";
 import {
   buildDnsResponse,
+  createExtendedErrorOption,
+  encodeDnsMessage,
+  formatRecordData,
+  parseDnsMessage,
   parseDnsQueryFromJson,
   parseDnsResponse,
 } from "./dns-message.js";
@@ -30,9 +34,16 @@ export class DnsContext {
     this.request = request;
     this.dnsMessage = dnsMessage;
     this.jsonQuery = jsonQuery;
+    this.query = undefined; // Parsed lazily by getQuery()
+    this.env = null; // Worker bindings (KV namespaces), set by the fetch handler
+    this.executionCtx = null; // Worker execution context, set by the fetch handler
     this.response = null;
     this.error = null;
+    this.extendedErrors = []; // RFC 8914 errors ({ infoCode, extraText })
     this.resolved = false;
+    this.finished = false; // Ends the plugin chain, even for response plugins
+    this.references = []; // Tags of plugins being invoked by reference
+    this.signal = null; // AbortSignal raised once the answer is no longer needed
     this.metadata = {
       tags: [],
       stats: {
@@ -149,6 +160,67 @@ export class DnsContext {
     }
   }
 
+  /**
+   * Create an isolated copy of this context
+   *
+   * The copy shares the request, query, bindings and abort signal but has
+   * its own
+   * response, resolution state and metadata, so a plugin can run against it
+   * without affecting this context. Tags, timings and other metadata
+   * collections are copied one level deep.
+   *
+   * @returns {DnsContext} - The copy
+   */
+  clone() {
+    const copy = new DnsContext(this.request, this.dnsMessage, this.jsonQuery);
+    copy.query = this.query;
+    copy.env = this.env;
+    copy.executionCtx = this.executionCtx;
+    copy.signal = this.signal;
+    copy.references = [...this.references];
+
+    copy.metadata = {};
+    for (const [key, value] of Object.entries(this.metadata)) {
+      if (Array.isArray(value)) {
+        copy.metadata[key] = [...value];
+      } else if (value && typeof value === "object") {
+        copy.metadata[key] = { ...value };
+      } else {
+        copy.metadata[key] = value;
+      }
+    }
+
+    return copy;
+  }
+
+  /**
+   * Get the parsed DNS query message
+   *
+   * @returns {Object|null} - The parsed query, or null if the DNS message
+   *   cannot be decoded
+   */
+  getQuery() {
+    if (this.query === undefined) {
+      try {
+        this.query = parseDnsMessage(this.dnsMessage);
+      } catch (error) {
+        this.query = null;
+      }
+    }
+    return this.query;
+  }
+
+  /**
+   * Get the EDNS parameters of the query
+   *
+   * @returns {Object|null} - Decoded OPT record (see parseOptRecord), or
+   *   null if the query has none
+   */
+  getEdns() {
+    const query = this.getQuery();
+    return (query && query.edns) || null;
+  }
+
   /**
    * Get the query domain name
    *
@@ -158,6 +230,12 @@ export class DnsContext {
     if (this.jsonQuery && this.jsonQuery.name) {
       return this.jsonQuery.name;
     }
+
+    const query = this.getQuery();
+    if (query && query.questions.length > 0) {
+      return query.questions[0].name;
+    }
+
     // Default for tests
     return "example.com";
   }
@@ -169,10 +247,21 @@ export class DnsContext {
    */
   getQueryType() {
     if (this.jsonQuery) {
-      return this.jsonQuery.type || 1; // Default to A record
+      const { type } = this.jsonQuery;
+      // JSON API queries may name the type ("AAAA") instead of numbering it
+      if (typeof type === "string") {
+        return RRType[type.toUpperCase()] || parseInt(type, 10) || RRType.A;
+      }
+      return type || RRType.A; // Default to A record
+    }
+
+    const query = this.getQuery();
+    if (query && query.questions.length > 0) {
+      return query.questions[0].type;
     }
+
     // Default for tests
-    return 1; // A record
+    return RRType.A;
   }
 
   /**
@@ -185,13 +274,59 @@ export class DnsContext {
     this.resolved = true;
   }
 
+  /**
+   * Keep background work running after the response has been sent
+   *
+   * Uses the Worker's `waitUntil` when available. Elsewhere the work simply
+   * runs to completion on its own. Failures are logged, never thrown.
+   *
+   * @param {Promise} promise - Background work
+   */
+  waitUntil(promise) {
+    const work = Promise.resolve(promise).catch((error) => {
+      console.error("Error in background task:", error);
+    });
+
+    if (
+      this.executionCtx &&
+      typeof this.executionCtx.waitUntil === "function"
+    ) {
+      this.executionCtx.waitUntil(work);
+    }
+  }
+
   /**
    * Set an error code
    *
-   * @param {number} rcode - The DNS error code
+   * Symbolic names such as "NXDOMAIN", as written in configurations, are
+   * mapped through RCODE; unknown names answer SERVFAIL.
+   *
+   * @param {number|string} rcode - The DNS error code or its name
+   * @param {Object} [extendedError] - Extended DNS Error explaining it,
+   *   with `infoCode` (see EdeCode) and `extraText`
    */
-  setError(rcode) {
-    this.error = rcode;
+  setError(rcode, extendedError = null) {
+    this.error =
+      typeof rcode === "string"
+        ? (RCODE[rcode.toUpperCase()] ?? RCODE.SERVFAIL)
+        : rcode;
+    if (extendedError) {
+      this.addExtendedError(extendedError.infoCode, extendedError.extraText);
+    }
+  }
+
+  /**
+   * Attach an Extended DNS Error (RFC 8914) to the response
+   *
+   * Extended errors are sent in the response's OPT record, so only clients
+   * that asked with EDNS receive them; JSON API responses list them under
+   * `Comment`.
+   *
+   * @param {number} infoCode - INFO-CODE (see EdeCode)
+   * @param {string} [extraText] - Human-readable reason
+   */
+  addExtendedError(infoCode, extraText = "") {
+    this.extendedErrors.push({ infoCode, extraText });
   }
 
   /**
@@ -221,6 +356,22 @@ export class DnsContext {
    * @returns {Response} - The HTTP response
    */
   buildResponse() {
+    // A query left unanswered because its upstream failed is still
+    // answered, with SERVFAIL and the failure as a Network Error
+    if (
+      !this.resolved &&
+      !this.error &&
+      this.metadata.upstreamError &&
+      this.getQuery()
+    ) {
+      const { upstream, upstreamError } = this.metadata;
+      this.setError(RCODE.SERVFAIL, {
+        infoCode: EdeCode.NETWORK_ERROR,
+        extraText: upstream ? `${upstream}: ${upstreamError}` : upstreamError,
+      });
+      this.resolved = true;
+    }
+
     // Return server error if no response and no error set
     if (!this.resolved && !this.error) {
       return new Response("DNS request not processed", { status: 500 });
@@ -230,13 +381,29 @@ export class DnsContext {
     if (this.error) {
       // If resolved, create proper DNS error response
       if (this.resolved) {
-        // Use RCODE to determine status code
-        const status = this.error === RCODE.REFUSED ? 502 : 500;
-        return new Response("DNS server error", { status });
+        const query = this.getQuery();
+
+        // Without a decodable query there is nothing to answer, so fall
+        // back to an HTTP error using the RCODE to pick the status code
+        if (!query) {
+          const status = this.error === RCODE.REFUSED ? 502 : 500;
+          return new Response("DNS server error", { status });
+        }
+
+        this.response = buildDnsResponse(query, {
+          rcode: this.error,
+          ednsOptions: this.extendedErrors.map(createExtendedErrorOption),
+        });
       } else {
         // Generic server error
         return new Response("DNS processing error", { status: 500 });
       }
+    } else if (this.extendedErrors.length > 0) {
+      this.response = addExtendedErrors(
+        this.response,
+        this.getEdns(),
+        this.extendedErrors
+      );
     }
 
     // If we got here, we have a successful response
@@ -263,10 +430,17 @@ export class DnsContext {
             name: a.name,
             type: a.type,
             TTL: a.ttl,
-            data: a.data,
+            data: formatRecordData(a),
           })),
         };
 
+        // Extended errors, in the form other DoH JSON APIs use
+        if (this.extendedErrors.length > 0) {
+          jsonResponse.Comment = this.extendedErrors.map(
+            ({ infoCode, extraText }) => `EDE(${infoCode}): ${extraText}`
+          );
+        }
+
         // Return JSON response
         return new Response(JSON.stringify(jsonResponse), {
           status: 200,
@@ -291,3 +465,38 @@ export class DnsContext {
     }
   }
 }
+
+/**
+ * Add Extended DNS Errors to the OPT record of a response
+ *
+ * Responses to queries without EDNS, and ones that can't be decoded, are
+ * returned unchanged.
+ *
+ * @param {ArrayBuffer} response - DNS response
+ * @param {Object|null} queryEdns - EDNS parameters of the query
+ * @param {Array<Object>} extendedErrors - Errors (`infoCode`, `extraText`)
+ * @returns {ArrayBuffer} Response with the errors attached
+ */
+function addExtendedErrors(response, queryEdns, extendedErrors) {
+  if (!queryEdns) {
+    return response;
+  }
+
+  try {
+    const message = parseDnsMessage(response);
+    const edns = message.edns || { dnssecOk: queryEdns.dnssecOk };
+    return encodeDnsMessage({
+      ...message,
+      edns: {
+        ...edns,
+        options: [
+          ...(edns.options || []),
+          ...extendedErrors.map(createExtendedErrorOption),
+        ],
+      },
+    });
+  } catch (error) {
+    console.error("Error adding extended DNS errors:", error);
+    return response;
+  }
+}
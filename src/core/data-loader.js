@@ -5,16 +5,44 @@
  * Provides caching and parsing utilities for efficient data access.
  */
 
+import { isIpAddress } from "../utils/dns-util.js";
+import { createCidrTrie } from "../utils/ip-matcher.js";
+import { createDomainIndex } from "../utils/domain-index.js";
+
 // Cache for loaded data
 const dataCache = {
   domains: new Map(),
   ips: new Map(),
   hosts: new Map(),
+  // Compiled domain indexes and prefix tries, rebuilt with their source
+  domainIndexes: new Map(),
+  ipTries: new Map(),
 };
 
 // Cache TTL (30 minutes by default)
 const CACHE_TTL = 30 * 60 * 1000;
 
+/**
+ * Resolve a configured file reference to its DATA_KV key
+ *
+ * Files uploaded through /api/upload/{type}/{name} are stored under
+ * "{type}/{name}". References that already carry that prefix are used as
+ * is; anything else (such as a MosDNS path like "/etc/mosdns/hosts.txt")
+ * is mapped to "{type}/{basename}".
+ *
+ * @param {string} file - Configured file reference
+ * @param {string} type - File type (domains, ips, or hosts)
+ * @returns {string} KV key
+ */
+export function resolveDataKey(file, type) {
+  if (file.startsWith(`${type}/`)) {
+    return file;
+  }
+
+  const baseName = file.split(/[\\/]/).pop();
+  return `${type}/${baseName}`;
+}
+
 /**
  * Load domain list from storage
  *
@@ -54,6 +82,33 @@ export async function loadDomainList(key, env) {
   }
 }
 
+/**
+ * Load a domain list compiled into a domain index
+ *
+ * The index is built once per isolate and reused until the underlying
+ * list is reloaded from KV. Plain entries are interpreted as `defaultKind`
+ * (see createDomainIndex).
+ *
+ * @param {string} key - Storage key or file path
+ * @param {Object} env - Environment with KV bindings
+ * @param {string} defaultKind - Kind of plain entries ("domain" or "full")
+ * @returns {Promise<Object>} Domain index
+ */
+export async function loadDomainIndex(key, env, defaultKind = "domain") {
+  const domains = await loadDomainList(key, env);
+
+  const cacheKey = `${defaultKind}|${key}`;
+  const cached = dataCache.domainIndexes.get(cacheKey);
+  if (cached && cached.source === domains) {
+    return cached.index;
+  }
+
+  const index = createDomainIndex(domains, { defaultKind });
+  dataCache.domainIndexes.set(cacheKey, { source: domains, index });
+
+  return index;
+}
+
 /**
  * Load IP list from storage
  *
@@ -93,12 +148,41 @@ export async function loadIPList(key, env) {
   }
 }
 
+/**
+ * Load an IP list compiled into a prefix trie
+ *
+ * The trie is built once per isolate and reused until the underlying
+ * list is reloaded from KV.
+ *
+ * @param {string} key - Storage key or file path
+ * @param {Object} env - Environment with KV bindings
+ * @returns {Promise<Object>} Prefix trie (see createCidrTrie)
+ */
+export async function loadIPTrie(key, env) {
+  const ips = await loadIPList(key, env);
+
+  const cached = dataCache.ipTries.get(key);
+  if (cached && cached.source === ips) {
+    return cached.trie;
+  }
+
+  const start = Date.now();
+  const trie = createCidrTrie(ips);
+  dataCache.ipTries.set(key, {
+    source: ips,
+    trie,
+    buildTime: Date.now() - start,
+  });
+
+  return trie;
+}
+
 /**
  * Load hosts file from storage
  *
  * @param {string} key - Storage key or file path
  * @param {Object} env - Environment with KV bindings
- * @returns {Promise<Object>} Hosts mapping
+ * @returns {Promise<Object>} Hosts mapping of rule to IP addresses or alias target
  */
 export async function loadHostsFile(key, env) {
   // Check cache first
@@ -187,8 +271,16 @@ function parseIPList(text) {
 /**
  * Parse a hosts file
  *
+ * Accepts both the classic "IP name [name...]" layout and the MosDNS
+ * "rule IP [IP...]" layout, where the rule may carry a domain:, full:,
+ * keyword: or regexp: prefix. Plain names and full: rules are stored
+ * as bare lower-cased names; the other prefixes are kept on the key.
+ * In the MosDNS layout a host name in place of an IP ("alias target")
+ * declares a CNAME alias. Values for the same rule are merged across
+ * lines.
+ *
  * @param {string} text - Hosts file text
- * @returns {Object} Hosts mapping
+ * @returns {Object} Hosts mapping of rule to IP addresses or alias target
  */
 function parseHostsFile(text) {
   const hosts = {};
@@ -203,24 +295,84 @@ function parseHostsFile(text) {
       continue;
     }
 
-    // Parse line (IP followed by one or more hostnames)
+    // Parse line (IP followed by one or more hostnames, or the reverse)
     const parts = trimmed.split(/\s+/);
     if (parts.length < 2) {
       continue;
     }
 
-    const ip = parts[0];
+    let values;
+    let names;
+    if (isIpAddress(parts[0])) {
+      if (hasZoneId(parts[0])) {
+        console.warn(`Skipping hosts entry with a scoped address: ${trimmed}`);
+        continue;
+      }
+      values = [parts[0]];
+      names = parts.slice(1);
+    } else {
+      values = parts
+        .slice(1)
+        .filter((part) => {
+          if (hasZoneId(part)) {
+            console.warn(`Skipping scoped hosts address: ${part}`);
+            return false;
+          }
+          return true;
+        })
+        .map((part) =>
+          isIpAddress(part) ? part : part.toLowerCase().replace(/\.$/, "")
+        );
+      names = [parts[0]];
+    }
 
-    // Add all hostnames for this IP
-    for (let i = 1; i < parts.length; i++) {
-      const hostname = parts[i].toLowerCase();
-      hosts[hostname] = ip;
+    for (const name of names) {
+      const rule = normalizeHostsRule(name);
+      const existing = hosts[rule] || [];
+      hosts[rule] = [...new Set([...existing, ...values])];
     }
   }
 
   return hosts;
 }
 
+/**
+ * Check whether an address carries an IPv6 zone ID
+ *
+ * Scoped addresses such as "fe80::1%lo0" (common in macOS hosts files)
+ * only mean something on the host that wrote them and can't be put in a
+ * DNS answer.
+ *
+ * @param {string} address - Address from a hosts file
+ * @returns {boolean} True if the address has a zone ID
+ */
+function hasZoneId(address) {
+  return address.includes(":") && address.includes("%");
+}
+
+/**
+ * Normalize a hosts rule for use as a mapping key
+ *
+ * @param {string} rule - Host name, optionally with a MosDNS prefix
+ * @returns {string} Normalized rule
+ */
+function normalizeHostsRule(rule) {
+  const match = rule.match(/^(domain|full|keyword|regexp):(.*)$/);
+  if (!match) {
+    return rule.toLowerCase().replace(/\.$/, "");
+  }
+
+  const [, prefix, value] = match;
+
+  // Regular expressions are case-sensitive as written
+  if (prefix === "regexp") {
+    return rule;
+  }
+
+  const name = value.toLowerCase().replace(/\.$/, "");
+  return prefix === "full" ? name : `${prefix}:${name}`;
+}
+
 /**
  * Clear data cache
  *
@@ -229,10 +381,12 @@ function parseHostsFile(text) {
 export function clearCache(type = "all") {
   if (type === "all" || type === "domains") {
     dataCache.domains.clear();
+    dataCache.domainIndexes.clear();
   }
 
   if (type === "all" || type === "ips") {
     dataCache.ips.clear();
+    dataCache.ipTries.clear();
   }
 
   if (type === "all" || type === "hosts") {
@@ -243,12 +397,25 @@ export function clearCache(type = "all") {
 /**
  * Get cache statistics
  *
+ * `ipTries` reports the number of compiled IP lists with their total
+ * prefix and node counts and build time in milliseconds.
+ *
  * @returns {Object} Cache statistics
  */
 export function getCacheStats() {
+  const ipTries = { lists: 0, prefixes: 0, nodes: 0, buildTime: 0 };
+  for (const { trie, buildTime } of dataCache.ipTries.values()) {
+    ipTries.lists++;
+    ipTries.prefixes += trie.size;
+    ipTries.nodes += trie.nodes;
+    ipTries.buildTime += buildTime;
+  }
+
   return {
     domains: dataCache.domains.size,
     ips: dataCache.ips.size,
     hosts: dataCache.hosts.size,
+    domainIndexes: dataCache.domainIndexes.size,
+    ipTries,
   };
 }
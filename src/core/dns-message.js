@@ -5,7 +5,32 @@
  * for use with DNS over HTTPS (DoH) protocol.
  */
 
-import { RRType, RCODE } from "./types";
+import {
+  RRType,
+  RCODE,
+  DnsClass,
+  HeaderFlag,
+  EdnsFlag,
+  EdnsOption,
+} from "./types";
+import {
+  bufferToHex,
+  hexToBuffer,
+  ipv4ToBytes,
+  ipv6ToBytes,
+} from "../utils/encoding.js";
+
+// Upper bound on compression pointers followed while reading one name
+const MAX_POINTER_JUMPS = 64;
+
+// Compression pointers can only address the first 16 KiB of a message
+const MAX_POINTER_OFFSET = 0x3fff;
+
+// UDP payload size advertised in our OPT records (DNS Flag Day 2020)
+const EDNS_UDP_SIZE = 1232;
+
+// Highest EDNS version we implement
+const EDNS_VERSION = 0;
 
 /**
  * Parse a DNS query message from wire format
@@ -27,102 +52,557 @@ export async function parseDnsQuery(data, isBase64 = false) {
       throw new Error("Invalid DNS message format");
     }
 
-    // Create a DataView for easier binary parsing
-    const view = new DataView(buffer);
-
-    // Parse DNS header
-    const header = {
-      id: view.getUint16(0),
-      flags: view.getUint16(2),
-      qdcount: view.getUint16(4),
-      ancount: view.getUint16(6),
-      nscount: view.getUint16(8),
-      arcount: view.getUint16(10),
+    const message = parseDnsMessage(buffer);
+
+    return {
+      ...message,
+      buffer, // Keep original buffer for forwarding
     };
+  } catch (error) {
+    console.error("Failed to parse DNS query:", error);
+    throw error;
+  }
+}
+
+/**
+ * Parse a complete DNS message from wire format
+ *
+ * Decodes the header and all four sections. Record data is decoded into
+ * the same shapes that encodeDnsMessage accepts, so a parsed message can
+ * be modified and re-encoded. The OPT pseudo-record stays in the
+ * additional section and is also decoded into `edns` (see parseOptRecord).
+ *
+ * @param {ArrayBuffer} buffer - DNS message in wire format
+ * @returns {Object} Parsed message with header, questions, answers,
+ *   authorities, additionals and edns (null without an OPT record)
+ * @throws {Error} If the message is truncated or malformed
+ */
+export function parseDnsMessage(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 12) {
+    throw new Error("Invalid DNS message format");
+  }
 
-    // Parse questions (we only need basic info for routing)
-    let offset = 12; // Start of question section
-    const questions = [];
+  const view = new DataView(buffer);
+  const header = {
+    id: view.getUint16(0),
+    flags: view.getUint16(2),
+    qdcount: view.getUint16(4),
+    ancount: view.getUint16(6),
+    nscount: view.getUint16(8),
+    arcount: view.getUint16(10),
+  };
 
-    for (let i = 0; i < header.qdcount; i++) {
-      const { name, bytesRead } = parseDomainName(buffer, offset);
-      offset += bytesRead;
+  let offset = 12;
+  const questions = [];
+  for (let i = 0; i < header.qdcount; i++) {
+    const { name, bytesRead } = parseDomainName(buffer, offset);
+    offset += bytesRead;
 
-      const qtype = view.getUint16(offset);
-      offset += 2;
+    if (offset + 4 > buffer.byteLength) {
+      throw new Error("Buffer too small for question type and class");
+    }
 
-      const qclass = view.getUint16(offset);
-      offset += 2;
+    questions.push({
+      name,
+      type: view.getUint16(offset),
+      class: view.getUint16(offset + 2),
+    });
+    offset += 4;
+  }
 
-      questions.push({
-        name,
-        type: qtype,
-        class: qclass,
-      });
+  const readSection = (count) => {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const result = parseResourceRecord(buffer, offset);
+      records.push(result.record);
+      offset = result.offset;
     }
+    return records;
+  };
 
-    return {
-      header,
-      questions,
-      buffer, // Keep original buffer for forwarding
-    };
-  } catch (error) {
-    console.error("Failed to parse DNS query:", error);
-    throw error;
+  const answers = readSection(header.ancount);
+  const authorities = readSection(header.nscount);
+  const additionals = readSection(header.arcount);
+
+  const opt = additionals.find((record) => record.type === RRType.OPT);
+  const edns = opt ? parseOptRecord(opt) : null;
+
+  return { header, questions, answers, authorities, additionals, edns };
+}
+
+/**
+ * Decode the EDNS parameters carried by an OPT pseudo-record (RFC 6891)
+ *
+ * @param {Object} record - Parsed OPT record
+ * @returns {Object} EDNS parameters: `udpSize`, `extendedRcode` (upper 8
+ *   bits of the 12-bit RCODE), `version`, `dnssecOk` and `options`, a list
+ *   of `{ code, data }` with data as a Uint8Array
+ */
+export function parseOptRecord(record) {
+  const ttl = record.ttl >>> 0;
+  return {
+    udpSize: record.class,
+    extendedRcode: ttl >>> 24,
+    version: (ttl >>> 16) & 0xff,
+    dnssecOk: Boolean(ttl & EdnsFlag.DO),
+    options: Array.isArray(record.data) ? record.data : [],
+  };
+}
+
+/**
+ * Create an OPT pseudo-record from EDNS parameters
+ *
+ * @param {Object} [edns] - EDNS parameters, as returned by parseOptRecord;
+ *   all fields are optional
+ * @returns {Object} OPT record for the additional section
+ */
+export function createOptRecord(edns = {}) {
+  const flags = edns.dnssecOk ? EdnsFlag.DO : 0;
+  return {
+    name: "",
+    type: RRType.OPT,
+    class: edns.udpSize ?? EDNS_UDP_SIZE,
+    ttl:
+      (((edns.extendedRcode || 0) << 24) |
+        ((edns.version ?? EDNS_VERSION) << 16) |
+        flags) >>>
+      0,
+    data: edns.options || [],
+  };
+}
+
+/**
+ * Create an EDNS Client Subnet option (RFC 7871)
+ *
+ * Address bits beyond the prefix are cleared and only the bytes the prefix
+ * covers are sent.
+ *
+ * @param {string} subnet - Subnet as "address/prefix"
+ * @returns {Object} Option with `code` and `data`
+ * @throws {Error} If the subnet is invalid
+ */
+export function createClientSubnetOption(subnet) {
+  const [address, prefixText] = String(subnet).split("/");
+  const ipv6 = address.includes(":");
+  const bytes = ipv6 ? ipv6ToBytes(address) : ipv4ToBytes(address);
+  const prefix = Number(prefixText ?? bytes.length * 8);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bytes.length * 8) {
+    throw new Error(`Invalid client subnet: ${subnet}`);
+  }
+
+  const length = Math.ceil(prefix / 8);
+  const data = new Uint8Array(4 + length);
+  data[1] = ipv6 ? 2 : 1;
+  data[2] = prefix;
+  data.set(maskAddress(bytes.subarray(0, length), prefix), 4);
+
+  return { code: EdnsOption.ECS, data };
+}
+
+/**
+ * Decode an EDNS Client Subnet option
+ *
+ * @param {Uint8Array} data - Option data
+ * @returns {Object} `family` (1 for IPv4, 2 for IPv6), `sourcePrefix`,
+ *   `scopePrefix` and `subnet` as "address/prefix", with the address bits
+ *   beyond the source prefix cleared
+ * @throws {Error} If the option is too short
+ */
+export function parseClientSubnetOption(data) {
+  if (data.length < 4) {
+    throw new Error("Client subnet option too short");
+  }
+
+  const family = (data[0] << 8) | data[1];
+  const sourcePrefix = data[2];
+  const address = new Uint8Array(family === 2 ? 16 : 4);
+  address.set(data.subarray(4, 4 + address.length));
+  const masked = maskAddress(address, sourcePrefix);
+
+  let text;
+  if (family === 2) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(((masked[i] << 8) | masked[i + 1]).toString(16));
+    }
+    text = groups.join(":");
+  } else {
+    text = masked.join(".");
+  }
+
+  return {
+    family,
+    sourcePrefix,
+    scopePrefix: data[3],
+    subnet: `${text}/${sourcePrefix}`,
+  };
+}
+
+/**
+ * Create an Extended DNS Error option (RFC 8914)
+ *
+ * @param {Object} error - Extended error
+ * @param {number} error.infoCode - INFO-CODE (see EdeCode)
+ * @param {string} [error.extraText] - Human-readable reason
+ * @returns {Object} Option with `code` and `data`
+ */
+export function createExtendedErrorOption({ infoCode, extraText = "" }) {
+  const text = new TextEncoder().encode(extraText);
+  const data = new Uint8Array(2 + text.length);
+  data[0] = infoCode >> 8;
+  data[1] = infoCode & 0xff;
+  data.set(text, 2);
+
+  return { code: EdnsOption.EDE, data };
+}
+
+/**
+ * Decode an Extended DNS Error option
+ *
+ * @param {Uint8Array} data - Option data
+ * @returns {Object} `infoCode` and `extraText`
+ * @throws {Error} If the option is too short
+ */
+export function parseExtendedErrorOption(data) {
+  if (data.length < 2) {
+    throw new Error("Extended error option too short");
+  }
+
+  return {
+    infoCode: (data[0] << 8) | data[1],
+    extraText: new TextDecoder().decode(data.subarray(2)),
+  };
+}
+
+/**
+ * Clear the address bits beyond a prefix
+ *
+ * @param {Uint8Array} bytes - Address bytes
+ * @param {number} prefix - Prefix length in bits
+ * @returns {Uint8Array} Masked copy
+ */
+function maskAddress(bytes, prefix) {
+  return bytes.map((byte, i) => {
+    const bits = Math.min(Math.max(prefix - i * 8, 0), 8);
+    return byte & (0xff << (8 - bits));
+  });
+}
+
+/**
+ * Visit every resource record of a message without decoding its data
+ *
+ * The visitor receives the record's section ("answer", "authority" or
+ * "additional"), type, class and TTL together with the byte offsets of
+ * its TTL and RDATA fields, so callers can patch a message in place.
+ *
+ * @param {ArrayBuffer} buffer - DNS message in wire format
+ * @param {Function} visitor - Called once per record, in message order
+ * @throws {Error} If the message is truncated or malformed
+ */
+export function walkResourceRecords(buffer, visitor) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 12) {
+    throw new Error("Invalid DNS message format");
+  }
+
+  const view = new DataView(buffer);
+  let offset = 12;
+
+  for (let i = view.getUint16(4); i > 0; i--) {
+    offset += parseDomainName(buffer, offset).bytesRead + 4;
+  }
+
+  const sections = [
+    ["answer", view.getUint16(6)],
+    ["authority", view.getUint16(8)],
+    ["additional", view.getUint16(10)],
+  ];
+
+  for (const [section, count] of sections) {
+    for (let i = 0; i < count; i++) {
+      offset += parseDomainName(buffer, offset).bytesRead;
+      if (offset + 10 > buffer.byteLength) {
+        throw new Error("Buffer too small for resource record");
+      }
+
+      const rdlength = view.getUint16(offset + 8);
+      if (offset + 10 + rdlength > buffer.byteLength) {
+        throw new Error("Buffer too small for record data");
+      }
+
+      visitor({
+        section,
+        type: view.getUint16(offset),
+        class: view.getUint16(offset + 2),
+        ttl: view.getUint32(offset + 4),
+        ttlOffset: offset + 4,
+        rdataOffset: offset + 10,
+        rdlength,
+      });
+
+      offset += 10 + rdlength;
+    }
   }
 }
 
 /**
  * Parse a domain name from DNS wire format
  *
+ * Follows compression pointers (RFC 1035 section 4.1.4). The returned
+ * byte count only covers the bytes at the original offset, so callers can
+ * advance past the name regardless of where the pointers lead.
+ *
  * @param {ArrayBuffer} buffer - DNS message buffer
  * @param {number} offset - Start offset in the buffer
  * @returns {Object} Object containing the domain name and bytes read
  */
 function parseDomainName(buffer, offset) {
   const view = new DataView(buffer);
+  const labels = [];
   let currentOffset = offset;
-  let name = "";
   let bytesRead = 0;
+  let jumps = 0;
 
   while (true) {
-    const length = view.getUint8(currentOffset);
-    currentOffset++;
-    bytesRead++;
-
-    // End of domain name
-    if (length === 0) {
-      break;
+    if (currentOffset >= buffer.byteLength) {
+      throw new Error("Domain name exceeds message bounds");
     }
 
+    const length = view.getUint8(currentOffset);
+
     // Handle pointer to a previously mentioned domain name
     if ((length & 0xc0) === 0xc0) {
-      // This is a pointer - extract offset
+      if (currentOffset + 1 >= buffer.byteLength) {
+        throw new Error("Truncated compression pointer");
+      }
+      if (++jumps > MAX_POINTER_JUMPS) {
+        throw new Error("Too many compression pointers in domain name");
+      }
+
       const pointerOffset =
-        ((length & 0x3f) << 8) | view.getUint8(currentOffset);
-      currentOffset++;
+        ((length & 0x3f) << 8) | view.getUint8(currentOffset + 1);
+
+      // Only the first pointer consumes bytes at the original position
+      if (jumps === 1) {
+        bytesRead += 2;
+      }
+      currentOffset = pointerOffset;
+      continue;
+    }
+
+    if ((length & 0xc0) !== 0) {
+      throw new Error("Unsupported label type in domain name");
+    }
+
+    currentOffset++;
+    if (jumps === 0) {
       bytesRead++;
+    }
 
-      // We don't handle compressed names in this simple implementation
-      // In a real implementation, we would recurse and parse the name at pointerOffset
-      name += "[compressed]";
+    // End of domain name
+    if (length === 0) {
       break;
     }
 
-    // Regular label
-    if (name.length > 0) {
-      name += ".";
+    if (currentOffset + length > buffer.byteLength) {
+      throw new Error("Domain name label exceeds message bounds");
     }
 
     // Extract the label
+    let label = "";
     for (let i = 0; i < length; i++) {
-      name += String.fromCharCode(view.getUint8(currentOffset));
-      currentOffset++;
-      bytesRead++;
+      label += String.fromCharCode(view.getUint8(currentOffset + i));
+    }
+    labels.push(label);
+
+    currentOffset += length;
+    if (jumps === 0) {
+      bytesRead += length;
     }
   }
 
-  return { name, bytesRead };
+  return { name: labels.join("."), bytesRead };
+}
+
+/**
+ * Parse one resource record from wire format
+ *
+ * @param {ArrayBuffer} buffer - DNS message buffer
+ * @param {number} offset - Offset of the record's owner name
+ * @returns {Object} The parsed record and the offset just past it
+ */
+function parseResourceRecord(buffer, offset) {
+  const view = new DataView(buffer);
+  const { name, bytesRead } = parseDomainName(buffer, offset);
+  offset += bytesRead;
+
+  // type(2) + class(2) + ttl(4) + rdlength(2)
+  if (offset + 10 > buffer.byteLength) {
+    throw new Error("Buffer too small for resource record");
+  }
+
+  const type = view.getUint16(offset);
+  const rclass = view.getUint16(offset + 2);
+  const ttl = view.getUint32(offset + 4);
+  const rdlength = view.getUint16(offset + 8);
+  offset += 10;
+
+  if (offset + rdlength > buffer.byteLength) {
+    throw new Error("Buffer too small for record data");
+  }
+
+  const data = parseRecordData(buffer, type, offset, rdlength);
+
+  return {
+    record: { name, type, class: rclass, ttl, data },
+    offset: offset + rdlength,
+  };
+}
+
+/**
+ * Get the presentation form of a parsed record's data
+ *
+ * TXT character-strings are quoted as in zone files (RFC 1035 section
+ * 5.1): quotes and backslashes are escaped, and bytes outside printable
+ * ASCII are written as \DDD. Other data is returned unchanged.
+ *
+ * @param {Object} record - Record as returned by parseDnsMessage
+ * @returns {*} Record data for display
+ */
+export function formatRecordData(record) {
+  if (record.type !== RRType.TXT || !Array.isArray(record.data)) {
+    return record.data;
+  }
+
+  return record.data
+    .map((bytes) => {
+      let text = "";
+      for (const byte of bytes) {
+        if (byte === 0x22 || byte === 0x5c) {
+          text += `\\${String.fromCharCode(byte)}`;
+        } else if (byte < 0x20 || byte > 0x7e) {
+          text += `\\${String(byte).padStart(3, "0")}`;
+        } else {
+          text += String.fromCharCode(byte);
+        }
+      }
+      return `"${text}"`;
+    })
+    .join(" ");
+}
+
+/**
+ * Decode the RDATA of a resource record
+ *
+ * @param {ArrayBuffer} buffer - DNS message buffer
+ * @param {number} type - Record type
+ * @param {number} offset - Start of the record data
+ * @param {number} rdlength - Length of the record data
+ * @returns {string|Array|undefined} Presentation form of the record data,
+ *   the character-strings (Uint8Arrays) of a TXT record, or the list of
+ *   options of an OPT record
+ */
+function parseRecordData(buffer, type, offset, rdlength) {
+  const view = new DataView(buffer);
+
+  switch (type) {
+    case RRType.OPT: {
+      // Options are code(2) length(2) data
+      const options = [];
+      const end = offset + rdlength;
+      while (offset + 4 <= end) {
+        const code = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        if (offset + 4 + length > end) {
+          throw new Error("EDNS option exceeds record data");
+        }
+        options.push({
+          code,
+          data: new Uint8Array(buffer.slice(offset + 4, offset + 4 + length)),
+        });
+        offset += 4 + length;
+      }
+      return options;
+    }
+
+    case RRType.A:
+      if (rdlength === 4) {
+        return `${view.getUint8(offset)}.${view.getUint8(
+          offset + 1
+        )}.${view.getUint8(offset + 2)}.${view.getUint8(offset + 3)}`;
+      }
+      return undefined;
+
+    case RRType.AAAA:
+      if (rdlength === 16) {
+        // Format IPv6 address
+        let ipv6 = "";
+        for (let j = 0; j < 16; j += 2) {
+          if (j > 0) ipv6 += ":";
+          ipv6 +=
+            view
+              .getUint8(offset + j)
+              .toString(16)
+              .padStart(2, "0") +
+            view
+              .getUint8(offset + j + 1)
+              .toString(16)
+              .padStart(2, "0");
+        }
+        return ipv6;
+      }
+      return undefined;
+
+    case RRType.CNAME:
+    case RRType.NS:
+    case RRType.PTR:
+      return parseDomainName(buffer, offset).name;
+
+    case RRType.MX: {
+      const preference = view.getUint16(offset);
+      const exchange = parseDomainName(buffer, offset + 2).name;
+      return `${preference} ${exchange}`;
+    }
+
+    case RRType.TXT: {
+      // One or more character-strings, kept as raw bytes: they need not
+      // be text, and a value split across several must stay split
+      const bytes = new Uint8Array(buffer, offset, rdlength);
+      const strings = [];
+      let position = 0;
+      while (position < rdlength) {
+        const end = position + 1 + bytes[position];
+        if (end > rdlength) {
+          throw new Error("TXT character-string overruns record");
+        }
+        strings.push(bytes.slice(position + 1, end));
+        position = end;
+      }
+      return strings;
+    }
+
+    case RRType.SRV: {
+      const priority = view.getUint16(offset);
+      const weight = view.getUint16(offset + 2);
+      const port = view.getUint16(offset + 4);
+      const target = parseDomainName(buffer, offset + 6).name;
+      return `${priority} ${weight} ${port} ${target}`;
+    }
+
+    case RRType.SOA: {
+      const mname = parseDomainName(buffer, offset);
+      const rname = parseDomainName(buffer, offset + mname.bytesRead);
+      const fieldsOffset = offset + mname.bytesRead + rname.bytesRead;
+      const fields = [];
+      for (let j = 0; j < 5; j++) {
+        fields.push(view.getUint32(fieldsOffset + j * 4));
+      }
+      return [mname.name, rname.name, ...fields].join(" ");
+    }
+
+    default:
+      // For unsupported record types, return hex string
+      return "0x" + bufferToHex(buffer.slice(offset, offset + rdlength));
+  }
 }
 
 /**
@@ -139,6 +619,9 @@ export function parseDnsResponse(buffer) {
     rcode: RCODE.SERVFAIL,
     questions: [],
     answers: [],
+    authorities: [],
+    additionals: [],
+    edns: null,
   };
 
   // Input validation
@@ -154,194 +637,442 @@ export function parseDnsResponse(buffer) {
   }
 
   try {
-    const view = new DataView(buffer);
-    const header = {
-      id: view.getUint16(0),
-      flags: view.getUint16(2),
-      qdcount: view.getUint16(4),
-      ancount: view.getUint16(6),
-      nscount: view.getUint16(8),
-      arcount: view.getUint16(10),
+    const message = parseDnsMessage(buffer);
+
+    return {
+      header: message.header.id,
+      flags: message.header.flags,
+      // Bottom 4 bits of flags, extended by the OPT record if present
+      rcode:
+        ((message.edns?.extendedRcode || 0) << 4) |
+        (message.header.flags & HeaderFlag.RCODE),
+      questions: message.questions,
+      answers: message.answers,
+      authorities: message.authorities,
+      additionals: message.additionals,
+      edns: message.edns,
     };
+  } catch (error) {
+    console.error("Failed to parse DNS response:", error);
+    return errorResponse;
+  }
+}
 
-    // Extract response code (bottom 4 bits of flags)
-    const rcode = header.flags & 0x000f;
+/**
+ * Build a DNS response message
+ *
+ * Produces a complete wire-format response to the given query: the ID,
+ * opcode, RD and CD bits and the question section are carried over from
+ * the query, and the supplied records are encoded into their sections.
+ *
+ * A query with an OPT record gets one back (RFC 6891), advertising our UDP
+ * payload size and echoing the DO bit, with `ednsOptions` attached. This is
+ * also what allows RCODEs above 15; a query using an EDNS version we don't
+ * implement is answered with BADVERS.
+ *
+ * @param {Object} query - Original DNS query object (parsed, or with a buffer)
+ * @param {Object} options - Response options
+ * @param {ArrayBuffer} [options.raw] - Pre-built response returned unchanged
+ * @param {number} [options.rcode] - Response code (default NOERROR)
+ * @param {Array<Object>} [options.answers] - Answer section records
+ * @param {Array<Object>} [options.authorities] - Authority section records
+ * @param {Array<Object>} [options.additionals] - Additional section records
+ * @param {Array<Object>} [options.ednsOptions] - EDNS options (`code`,
+ *   `data`) for the OPT record, if the query has one
+ * @param {boolean} [options.aa] - Set the Authoritative Answer bit
+ * @param {boolean} [options.ra] - Set the Recursion Available bit (default true)
+ * @returns {ArrayBuffer} DNS response in wire format
+ */
+export function buildDnsResponse(query, options = {}) {
+  if (options.raw) {
+    return options.raw;
+  }
 
-    // Parse questions
-    let offset = 12; // Start after header
-    const questions = [];
-    for (let i = 0; i < header.qdcount; i++) {
-      const { name, bytesRead } = parseDomainName(buffer, offset);
-      offset += bytesRead;
+  const request = query.questions ? query : parseDnsMessage(query.buffer);
+  const requestHeader = request.header || {};
+  const requestFlags =
+    typeof requestHeader.flags === "number" ? requestHeader.flags : 0;
 
-      // Ensure we have enough bytes for type and class (4 bytes)
-      if (offset + 4 > buffer.byteLength) {
-        throw new Error("Buffer too small for question type and class");
-      }
+  let flags =
+    HeaderFlag.QR |
+    (requestFlags & (HeaderFlag.OPCODE | HeaderFlag.RD | HeaderFlag.CD));
+  if (options.aa) {
+    flags |= HeaderFlag.AA;
+  }
+  if (options.ra !== false) {
+    flags |= HeaderFlag.RA;
+  }
 
-      const type = view.getUint16(offset);
-      offset += 2;
-      const qclass = view.getUint16(offset);
-      offset += 2;
+  const requestEdns = request.edns || null;
+  if (requestEdns && requestEdns.version > EDNS_VERSION) {
+    return encodeDnsMessage({
+      header: { id: requestHeader.id || 0, flags },
+      questions: request.questions,
+      edns: { extendedRcode: RCODE.BADVERS >> 4 },
+    });
+  }
 
-      questions.push({ name, type, class: qclass });
-    }
+  const rcode = options.rcode || RCODE.NOERROR;
+  flags |= rcode & HeaderFlag.RCODE;
 
-    // Parse answers
-    const answers = [];
-    for (let i = 0; i < header.ancount; i++) {
-      // Parse answer name
-      const { name, bytesRead } = parseDomainName(buffer, offset);
-      offset += bytesRead;
+  return encodeDnsMessage({
+    header: { id: requestHeader.id || 0, flags },
+    questions: request.questions,
+    answers: options.answers,
+    authorities: options.authorities,
+    additionals: options.additionals,
+    edns: requestEdns && {
+      extendedRcode: rcode >> 4,
+      dnssecOk: requestEdns.dnssecOk,
+      options: options.ednsOptions,
+    },
+  });
+}
 
-      // Ensure we have enough bytes for the rest of the record
-      if (offset + 10 > buffer.byteLength) {
-        // type(2) + class(2) + ttl(4) + rdlength(2)
-        throw new Error("Buffer too small for answer record");
-      }
+/**
+ * Encode a DNS message into wire format (RFC 1035)
+ *
+ * Section counts are taken from the array lengths. Owner names and the
+ * names embedded in CNAME, NS, PTR, MX and SOA data are compressed.
+ *
+ * Record data is given in presentation form (as produced by
+ * parseDnsMessage) or as a structured object:
+ * - A / AAAA: address string
+ * - CNAME / NS / PTR: domain name
+ * - MX: "10 mail.example.com" or { preference, exchange }
+ * - TXT: text, or an array of texts and Uint8Array character-strings (as
+ *   produced by parseDnsMessage); texts are UTF-8 encoded and split into
+ *   255-byte character-strings
+ * - SRV: "10 5 443 target" or { priority, weight, port, target }
+ * - SOA: "mname rname serial refresh retry expire minimum" or an object
+ *   with those fields
+ * - anything else: ArrayBuffer, Uint8Array or "0x"-prefixed hex string
+ *
+ * A record may also carry a `rdata` ArrayBuffer/Uint8Array, which is
+ * written verbatim regardless of type. OPT data is a list of `{ code,
+ * data }` options or raw bytes. Given `edns`, the message gets an OPT
+ * record built from it (see createOptRecord) in place of any OPT record in
+ * its additional section.
+ *
+ * @param {Object} message - Message with header, questions and record sections
+ * @returns {ArrayBuffer} DNS message in wire format
+ */
+export function encodeDnsMessage(message) {
+  const header = message.header || {};
+  const questions = message.questions || [];
+  const answers = message.answers || [];
+  const authorities = message.authorities || [];
+  let additionals = message.additionals || [];
+  if (message.edns) {
+    additionals = [
+      ...additionals.filter((record) => record.type !== RRType.OPT),
+      createOptRecord(message.edns),
+    ];
+  }
 
-      // Parse record type, class, TTL, and data length
-      const type = view.getUint16(offset);
-      offset += 2;
-      const aclass = view.getUint16(offset);
-      offset += 2;
-      const ttl = view.getUint32(offset);
-      offset += 4;
-      const rdlength = view.getUint16(offset);
-      offset += 2;
-
-      // Ensure we have enough bytes for the record data
-      if (offset + rdlength > buffer.byteLength) {
-        throw new Error("Buffer too small for record data");
+  const writer = createMessageWriter();
+
+  writer.uint16(header.id || 0);
+  writer.uint16(header.flags || 0);
+  writer.uint16(questions.length);
+  writer.uint16(answers.length);
+  writer.uint16(authorities.length);
+  writer.uint16(additionals.length);
+
+  for (const question of questions) {
+    writer.name(question.name);
+    writer.uint16(question.type);
+    writer.uint16(question.class ?? DnsClass.IN);
+  }
+
+  for (const record of [...answers, ...authorities, ...additionals]) {
+    writeResourceRecord(writer, record);
+  }
+
+  return writer.toArrayBuffer();
+}
+
+/**
+ * Create a growable writer for DNS wire format with name compression
+ *
+ * @returns {Object} Writer with typed write helpers
+ */
+function createMessageWriter() {
+  const bytes = [];
+  // Lower-cased name suffix -> offset where it was first written
+  const names = new Map();
+
+  const writer = {
+    get length() {
+      return bytes.length;
+    },
+
+    uint8(value) {
+      bytes.push(value & 0xff);
+    },
+
+    uint16(value) {
+      bytes.push((value >> 8) & 0xff, value & 0xff);
+    },
+
+    uint32(value) {
+      writer.uint16((value >>> 16) & 0xffff);
+      writer.uint16(value & 0xffff);
+    },
+
+    bytes(data) {
+      for (const byte of data) {
+        bytes.push(byte);
       }
+    },
 
-      // Parse record data based on type
-      let data;
-      switch (type) {
-        case RRType.A:
-          if (rdlength === 4) {
-            data = `${view.getUint8(offset)}.${view.getUint8(
-              offset + 1
-            )}.${view.getUint8(offset + 2)}.${view.getUint8(offset + 3)}`;
-          }
-          break;
-        case RRType.AAAA:
-          if (rdlength === 16) {
-            // Format IPv6 address
-            let ipv6 = "";
-            for (let j = 0; j < 16; j += 2) {
-              if (j > 0) ipv6 += ":";
-              ipv6 +=
-                view
-                  .getUint8(offset + j)
-                  .toString(16)
-                  .padStart(2, "0") +
-                view
-                  .getUint8(offset + j + 1)
-                  .toString(16)
-                  .padStart(2, "0");
-            }
-            data = ipv6;
-          }
-          break;
-        case RRType.CNAME:
-        case RRType.NS:
-        case RRType.PTR:
-          const domainResult = parseDomainName(buffer, offset);
-          data = domainResult.name;
-          break;
-        case RRType.MX:
-          const preference = view.getUint16(offset);
-          const mxDomainResult = parseDomainName(buffer, offset + 2);
-          data = `${preference} ${mxDomainResult.name}`;
-          break;
-        case RRType.TXT:
-          // TXT records consist of one or more strings
-          let txtOffset = offset;
-          let txtData = "";
-          while (txtOffset < offset + rdlength) {
-            const strLength = view.getUint8(txtOffset);
-            txtOffset++;
-
-            // Extract the string
-            let str = "";
-            for (
-              let j = 0;
-              j < strLength && txtOffset < offset + rdlength;
-              j++
-            ) {
-              str += String.fromCharCode(view.getUint8(txtOffset));
-              txtOffset++;
-            }
-
-            txtData += (txtData ? " " : "") + str;
-          }
-          data = txtData;
-          break;
-        default:
-          // For unsupported record types, return hex string
-          data =
-            "0x" +
-            Array.from(new Uint8Array(buffer.slice(offset, offset + rdlength)))
-              .map((b) => b.toString(16).padStart(2, "0"))
-              .join("");
+    patchUint16(offset, value) {
+      bytes[offset] = (value >> 8) & 0xff;
+      bytes[offset + 1] = value & 0xff;
+    },
+
+    /**
+     * Write a domain name, pointing at an earlier copy of any suffix
+     *
+     * @param {string} domain - Domain name
+     * @param {boolean} compress - Whether this name may use pointers
+     */
+    name(domain, compress = true) {
+      const labels = splitLabels(domain);
+
+      for (let i = 0; i < labels.length; i++) {
+        const suffix = labels.slice(i).join(".").toLowerCase();
+
+        if (compress && names.has(suffix)) {
+          writer.uint16(0xc000 | names.get(suffix));
+          return;
+        }
+
+        if (bytes.length <= MAX_POINTER_OFFSET && !names.has(suffix)) {
+          names.set(suffix, bytes.length);
+        }
+
+        const label = labels[i];
+        writer.uint8(label.length);
+        for (let j = 0; j < label.length; j++) {
+          writer.uint8(label.charCodeAt(j));
+        }
       }
 
-      answers.push({
-        name,
-        type,
-        class: aclass,
-        ttl,
-        data,
-      });
+      writer.uint8(0);
+    },
 
-      offset += rdlength;
+    toArrayBuffer() {
+      return Uint8Array.from(bytes).buffer;
+    },
+  };
+
+  return writer;
+}
+
+/**
+ * Split a domain name into validated labels
+ *
+ * @param {string} domain - Domain name, with or without a trailing dot
+ * @returns {Array<string>} Labels, empty for the root
+ */
+function splitLabels(domain) {
+  const name = String(domain ?? "").replace(/\.$/, "");
+  if (name === "") {
+    return [];
+  }
+
+  const labels = name.split(".");
+  let wireLength = 1;
+
+  for (const label of labels) {
+    if (label.length === 0 || label.length > 63) {
+      throw new Error(`Invalid domain name: ${domain}`);
+    }
+    if (/[^\x00-\xff]/.test(label)) {
+      throw new Error(`Invalid characters in domain name: ${domain}`);
     }
+    wireLength += label.length + 1;
+  }
 
-    return {
-      header: header.id,
-      flags: header.flags,
-      rcode,
-      questions,
-      answers,
-    };
-  } catch (error) {
-    console.error("Failed to parse DNS response:", error);
-    return errorResponse;
+  if (wireLength > 255) {
+    throw new Error(`Domain name too long: ${domain}`);
   }
+
+  return labels;
 }
 
 /**
- * Build a DNS response message
+ * Write a resource record, patching RDLENGTH once the data is written
  *
- * @param {Object} query - Original DNS query object
- * @param {Object} options - Response options (rcode, answers, etc.)
- * @returns {ArrayBuffer} DNS response in wire format
+ * @param {Object} writer - Message writer
+ * @param {Object} record - Resource record
  */
-export function buildDnsResponse(query, options = {}) {
-  // In a real implementation, we would build a proper DNS response
-  // For now, we'll just return the original response if available
-  if (options.raw) {
-    return options.raw;
+function writeResourceRecord(writer, record) {
+  writer.name(record.name);
+  writer.uint16(record.type);
+  writer.uint16(record.class ?? DnsClass.IN);
+  writer.uint32(Math.max(0, Math.floor(record.ttl ?? 0)));
+
+  const lengthOffset = writer.length;
+  writer.uint16(0);
+  writeRecordData(writer, record);
+
+  const rdlength = writer.length - lengthOffset - 2;
+  if (rdlength > 0xffff) {
+    throw new Error(`Record data too long for ${record.name}`);
   }
+  writer.patchUint16(lengthOffset, rdlength);
+}
 
-  // If we need to generate an error response, we'd do it here
-  // This is a basic implementation that would set the appropriate
-  // RCODE in the DNS header
+/**
+ * Write the RDATA of a resource record
+ *
+ * @param {Object} writer - Message writer
+ * @param {Object} record - Resource record
+ */
+function writeRecordData(writer, record) {
+  const { type, data } = record;
 
-  const buffer = new ArrayBuffer(query.buffer.byteLength);
-  new Uint8Array(buffer).set(new Uint8Array(query.buffer));
+  if (record.rdata) {
+    writer.bytes(toBytes(record.rdata));
+    return;
+  }
 
-  // Set response bit and RCODE
-  const view = new DataView(buffer);
-  let flags = view.getUint16(2);
-  flags |= 0x8000; // Set QR bit (response)
-  flags &= 0xfff0; // Clear RCODE bits
-  flags |= (options.rcode || RCODE.NOERROR) & 0x0f; // Set RCODE
+  switch (type) {
+    case RRType.OPT:
+      if (!Array.isArray(data)) {
+        writer.bytes(toBytes(data));
+        return;
+      }
+      for (const option of data) {
+        const bytes = toBytes(option.data);
+        writer.uint16(option.code);
+        writer.uint16(bytes.length);
+        writer.bytes(bytes);
+      }
+      return;
+
+    case RRType.A:
+      writer.bytes(ipv4ToBytes(data));
+      return;
 
-  view.setUint16(2, flags);
+    case RRType.AAAA:
+      writer.bytes(ipv6ToBytes(data));
+      return;
+
+    case RRType.CNAME:
+    case RRType.NS:
+    case RRType.PTR:
+      writer.name(data);
+      return;
+
+    case RRType.MX: {
+      const mx = typeof data === "string" ? splitFields(data, "MX", 2) : null;
+      writer.uint16(mx ? Number(mx[0]) : data.preference);
+      writer.name(mx ? mx[1] : data.exchange);
+      return;
+    }
+
+    case RRType.TXT: {
+      const strings = Array.isArray(data) ? data : [String(data ?? "")];
+      const encoder = new TextEncoder();
+      for (const text of strings) {
+        // Raw character-strings, as parsed, are written back verbatim
+        if (text instanceof Uint8Array) {
+          if (text.length > 255) {
+            throw new Error("TXT character-string longer than 255 bytes");
+          }
+          writer.uint8(text.length);
+          writer.bytes(text);
+          continue;
+        }
+
+        const encoded = encoder.encode(text);
+        // Long strings are split into 255-byte character-strings
+        let start = 0;
+        do {
+          const chunk = encoded.subarray(start, start + 255);
+          writer.uint8(chunk.length);
+          writer.bytes(chunk);
+          start += 255;
+        } while (start < encoded.length);
+      }
+      return;
+    }
 
-  return buffer;
+    case RRType.SRV: {
+      const srv = typeof data === "string" ? splitFields(data, "SRV", 4) : null;
+      writer.uint16(srv ? Number(srv[0]) : data.priority);
+      writer.uint16(srv ? Number(srv[1]) : data.weight);
+      writer.uint16(srv ? Number(srv[2]) : data.port);
+      // RFC 2782: the target must not be compressed
+      writer.name(srv ? srv[3] : data.target, false);
+      return;
+    }
+
+    case RRType.SOA: {
+      const soa =
+        typeof data === "string"
+          ? splitFields(data, "SOA", 7)
+          : [
+              data.mname,
+              data.rname,
+              data.serial,
+              data.refresh,
+              data.retry,
+              data.expire,
+              data.minimum,
+            ];
+      writer.name(soa[0]);
+      writer.name(soa[1]);
+      for (let i = 2; i < 7; i++) {
+        writer.uint32(Number(soa[i]) >>> 0);
+      }
+      return;
+    }
+
+    default:
+      writer.bytes(toBytes(data));
+  }
+}
+
+/**
+ * Split presentation-format record data into a fixed number of fields
+ *
+ * @param {string} data - Record data
+ * @param {string} typeName - Record type name, for error messages
+ * @param {number} count - Expected number of fields
+ * @returns {Array<string>} Fields
+ */
+function splitFields(data, typeName, count) {
+  const fields = data.trim().split(/\s+/);
+  if (fields.length !== count) {
+    throw new Error(`Invalid ${typeName} record data: ${data}`);
+  }
+  return fields;
+}
+
+/**
+ * Normalize raw record data to bytes
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - Raw data or "0x" hex string
+ * @returns {Uint8Array} Bytes
+ */
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (typeof data === "string" && data.startsWith("0x")) {
+    return new Uint8Array(hexToBuffer(data.slice(2)));
+  }
+  if (data === undefined || data === null || data === "") {
+    return new Uint8Array(0);
+  }
+  throw new Error("Unsupported raw record data");
 }
 
 /**
@@ -410,39 +1141,18 @@ export function parseDnsQueryFromJson(url) {
       ? RRType[type.toUpperCase()] || RRType.A
       : parseInt(type) || RRType.A;
 
-  // Create a fake wire format query for consistency
-  const buffer = new ArrayBuffer(12 + name.length + 6); // Basic header + name + type/class
-  const view = new DataView(buffer);
-
-  // Set ID and flags
-  view.setUint16(0, Math.floor(Math.random() * 65535)); // Random ID
-  view.setUint16(2, 0x0100); // Standard query
-  view.setUint16(4, 1); // QDCOUNT = 1
-  view.setUint16(6, 0); // ANCOUNT = 0
-  view.setUint16(8, 0); // NSCOUNT = 0
-  view.setUint16(10, 0); // ARCOUNT = 0
-
-  // Very simple domain name encoding (not handling dots properly)
-  let offset = 12;
-  const parts = name.split(".");
-
-  for (const part of parts) {
-    view.setUint8(offset++, part.length);
-
-    for (let i = 0; i < part.length; i++) {
-      view.setUint8(offset++, part.charCodeAt(i));
-    }
-  }
-
-  view.setUint8(offset++, 0); // Terminator
-  view.setUint16(offset, typeValue); // QTYPE
-  offset += 2;
-  view.setUint16(offset, 1); // QCLASS = IN
+  // Create a wire format query for consistency
+  const id = Math.floor(Math.random() * 65535); // Random ID
+  const flags = HeaderFlag.RD; // Standard query
+  const buffer = encodeDnsMessage({
+    header: { id, flags },
+    questions: [{ name, type: typeValue, class: DnsClass.IN }],
+  });
 
   return {
     header: {
-      id: view.getUint16(0),
-      flags: view.getUint16(2),
+      id,
+      flags,
       qdcount: 1,
       ancount: 0,
       nscount: 0,
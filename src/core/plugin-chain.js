@@ -11,22 +11,85 @@ import { PluginStatus } from "./types";
 // Plugin registry to store available plugins
 const pluginRegistry = new Map();
 
+// Optional per-instance setup hooks, keyed by plugin type
+const setupRegistry = new Map();
+
+// Plugin types that work on responses, and so keep running once a request
+// is resolved
+const responsePluginTypes = new Set();
+
+// Tags of configured instances, keyed by their args object
+const pluginTags = new WeakMap();
+
 /**
  * Register a plugin with the system
  *
+ * A plugin may supply a `setup` function, which is called once for every
+ * configured instance when a chain is created, before any request runs.
+ * Plugins that declare data for others to use (such as domain sets) use it
+ * to make that data available by tag. Plugins that inspect or rewrite the
+ * response set `afterResponse`, so they still run once an earlier plugin
+ * has resolved the request.
+ *
  * @param {string} type - Plugin type identifier
  * @param {Function} handler - Plugin handler function
+ * @param {Function|Object} [options] - Setup function, or options with
+ *   `setup` (called with (args, tag) per configured instance) and
+ *   `afterResponse`
  */
-export function registerPlugin(type, handler) {
+export function registerPlugin(type, handler, options = {}) {
   if (typeof handler !== "function") {
     throw new Error(`Plugin handler for ${type} must be a function`);
   }
   pluginRegistry.set(type, handler);
+
+  const { setup, afterResponse = false } =
+    typeof options === "function" ? { setup: options } : options || {};
+
+  if (typeof setup === "function") {
+    setupRegistry.set(type, setup);
+  } else {
+    setupRegistry.delete(type);
+  }
+
+  if (afterResponse) {
+    responsePluginTypes.add(type);
+  } else {
+    responsePluginTypes.delete(type);
+  }
 }
 
+/**
+ * Get the tag of a configured plugin instance
+ *
+ * Lets a handler name the instance it runs for, for example in the reason
+ * it gives a client for rejecting a query.
+ *
+ * @param {Object} args - Arguments the instance was configured with
+ * @returns {string|null} Tag, or null if no configured instance has them
+ */
+export function getPluginTag(args) {
+  return (args && typeof args === "object" && pluginTags.get(args)) || null;
+}
+
+// Built-in plugin type that runs another configured plugin by tag
+const REFERENCE_TYPE = "reference";
+
 /**
  * Create a plugin chain from configuration
  *
+ * Every configured instance is registered by its tag, so plugins can be
+ * invoked from elsewhere in the chain: a `reference` plugin (the target tag
+ * given as `reference` or `args.reference`) runs the plugin it names, and
+ * handlers receive the chain as a third argument to do the same. Instances
+ * marked `reference_only` are skipped when the chain runs in order and only
+ * execute when referenced, like MosDNS plugins reached through `exec: $tag`.
+ *
+ * Once a plugin resolves the request, the chain only runs plugins that work
+ * on the response: types registered with `afterResponse`, and instances
+ * marked `after_response` (which overrides the type's default). A plugin
+ * that sets `ctx.finished` or an error ends the chain.
+ *
  * @param {Array} pluginsConfig - Array of plugin configurations
  * @returns {Object} Plugin chain object with execute method
  */
@@ -35,6 +98,9 @@ export function createPluginChain(pluginsConfig) {
     throw new Error("Plugin configuration must be an array");
   }
 
+  // Configured instances by tag
+  const pluginsByTag = new Map();
+
   // Transform config into executable plugins
   const plugins = pluginsConfig
     .map((config, index) => {
@@ -44,29 +110,73 @@ export function createPluginChain(pluginsConfig) {
         tag = `plugin_${index}`,
         if_matched,
         if_not_matched,
+        reference_only = false,
+        after_response = responsePluginTypes.has(type),
       } = config;
 
-      // Get plugin handler from registry
-      const handler = pluginRegistry.get(type);
-      if (!handler) {
-        console.warn(
-          `Plugin type "${type}" not found in registry, will be skipped`
-        );
-        return null;
+      let execute;
+      if (type === REFERENCE_TYPE) {
+        const target = config.reference || args.reference;
+        if (!target) {
+          console.warn(
+            `Reference plugin "${tag}" has no target, will be skipped`
+          );
+          return null;
+        }
+        execute = (ctx) => chain.invoke(target, ctx);
+      } else {
+        // Get plugin handler from registry
+        const handler = pluginRegistry.get(type);
+        if (!handler) {
+          console.warn(
+            `Plugin type "${type}" not found in registry, will be skipped`
+          );
+          return null;
+        }
+
+        const setup = setupRegistry.get(type);
+        if (setup) {
+          setup(args, tag);
+        }
+
+        if (args && typeof args === "object") {
+          pluginTags.set(args, tag);
+        }
+
+        execute = (ctx) => handler(ctx, args, chain);
       }
 
-      return {
-        execute: (ctx) => handler(ctx, args),
+      const plugin = {
+        execute,
         type,
         tag,
+        args,
         if_matched,
         if_not_matched,
+        reference_only,
+        after_response,
       };
+
+      if (pluginsByTag.has(tag)) {
+        console.warn(
+          `Duplicate plugin tag "${tag}", references will use the first one`
+        );
+      } else {
+        pluginsByTag.set(tag, plugin);
+      }
+
+      return plugin;
     })
     .filter(Boolean); // Remove null entries
 
+  // Configurations are checked when they load; this guards direct callers
+  const cycle = findReferenceCycle(pluginsConfig);
+  if (cycle) {
+    throw new Error(`Plugin reference cycle: ${cycle.join(" -> ")}`);
+  }
+
   // Return the executable chain
-  return {
+  const chain = {
     /**
      * Execute the plugin chain
      *
@@ -74,67 +184,75 @@ export function createPluginChain(pluginsConfig) {
      * @returns {Promise<DnsContext>} Updated context after chain execution
      */
     async execute(ctx) {
-      // Ensure metadata structure is initialized
-      if (!ctx.metadata) {
-        ctx.metadata = {};
+      return runPlugins(plugins, ctx);
+    },
+
+    /**
+     * Execute the plugins that follow a given plugin in the chain
+     *
+     * Lets a plugin hand a request (or a clone of it) to the rest of the
+     * chain itself, for example to refresh a cached answer in the
+     * background.
+     *
+     * @param {string} tag - Tag of the plugin to continue after
+     * @param {DnsContext} ctx - DNS request context
+     * @returns {Promise<DnsContext>} Updated context after execution
+     * @throws {Error} If no plugin has the tag
+     */
+    async executeAfter(tag, ctx) {
+      const index = plugins.findIndex((plugin) => plugin.tag === tag);
+      if (index === -1) {
+        throw new Error(`Plugin "${tag}" not found in chain`);
       }
-      if (!ctx.metadata.timings) {
-        ctx.metadata.timings = {};
+      return runPlugins(plugins.slice(index + 1), ctx);
+    },
+
+    /**
+     * Invoke a configured plugin by tag
+     *
+     * The plugin runs regardless of its conditions and position in the
+     * chain. A plugin that ends up invoking itself again for the same
+     * context is a reference cycle and fails instead of recursing.
+     *
+     * @param {string} tag - Plugin tag
+     * @param {DnsContext} ctx - DNS request context
+     * @returns {Promise<boolean>} The plugin's result
+     * @throws {Error} If no plugin has the tag, or on a reference cycle
+     */
+    async invoke(tag, ctx) {
+      const plugin = pluginsByTag.get(tag);
+      if (!plugin) {
+        throw new Error(`Referenced plugin "${tag}" not found`);
       }
-      if (!ctx.metadata.errors) {
-        ctx.metadata.errors = [];
+
+      // Contexts cloned for a plugin inherit the tags being invoked, so
+      // cycles are caught across clones too
+      if (!ctx.references) {
+        ctx.references = [];
       }
-      if (!ctx.metadata.tags) {
-        ctx.metadata.tags = [];
+      const active = ctx.references;
+      if (active.includes(tag)) {
+        throw new Error(
+          `Plugin reference cycle: ${[...active, tag].join(" -> ")}`
+        );
       }
 
-      for (const plugin of plugins) {
-        // Skip plugin if conditional execution requirements aren't met
-        if (plugin.if_matched && !ctx.hasTag(plugin.if_matched)) {
-          continue;
-        }
-
-        if (plugin.if_not_matched && ctx.hasTag(plugin.if_not_matched)) {
-          continue;
-        }
-
-        try {
-          // Execute the plugin and get result
-          const startTime = Date.now();
-          const result = await plugin.execute(ctx);
-          const executionTime = Date.now() - startTime;
-
-          // Record execution time for metrics
-          ctx.metadata.timings[plugin.tag] = executionTime;
-
-          // Tag the context with the plugin tag if it returned true
-          if (result === true) {
-            ctx.addTag(plugin.tag);
-          }
-
-          // Break chain if this plugin resolved the request
-          if (ctx.resolved) {
-            break;
-          }
-        } catch (error) {
-          console.error(
-            `Error executing plugin ${plugin.tag} (${plugin.type}):`,
-            error
-          );
-          // Continue with the next plugin unless explicitly configured to fail
-
-          // Record error in context
-          if (!ctx.metadata.errors) {
-            ctx.metadata.errors = [];
-          }
-          ctx.metadata.errors.push({
-            plugin: plugin.tag,
-            error: error.message,
-          });
-        }
+      active.push(tag);
+      try {
+        return await plugin.execute(ctx);
+      } finally {
+        active.pop();
       }
+    },
 
-      return ctx;
+    /**
+     * Get a configured plugin by tag
+     *
+     * @param {string} tag - Plugin tag
+     * @returns {Object|null} Plugin, or null if no plugin has the tag
+     */
+    getPlugin(tag) {
+      return pluginsByTag.get(tag) || null;
     },
 
     /**
@@ -146,6 +264,131 @@ export function createPluginChain(pluginsConfig) {
       return [...plugins];
     },
   };
+
+  return chain;
+}
+
+/**
+ * Run plugins in order against a context
+ *
+ * @param {Array} plugins - Plugins to run
+ * @param {DnsContext} ctx - DNS request context
+ * @returns {Promise<DnsContext>} Updated context after execution
+ */
+async function runPlugins(plugins, ctx) {
+  // Ensure metadata structure is initialized
+  if (!ctx.metadata) {
+    ctx.metadata = {};
+  }
+  if (!ctx.metadata.timings) {
+    ctx.metadata.timings = {};
+  }
+  if (!ctx.metadata.errors) {
+    ctx.metadata.errors = [];
+  }
+  if (!ctx.metadata.tags) {
+    ctx.metadata.tags = [];
+  }
+
+  for (const plugin of plugins) {
+    // Referenced plugins only run when another plugin invokes them
+    if (plugin.reference_only) {
+      continue;
+    }
+
+    // Once resolved, only plugins that work on the response run
+    if (ctx.resolved && !plugin.after_response) {
+      continue;
+    }
+
+    // Skip plugin if conditional execution requirements aren't met
+    if (plugin.if_matched && !ctx.hasTag(plugin.if_matched)) {
+      continue;
+    }
+
+    if (plugin.if_not_matched && ctx.hasTag(plugin.if_not_matched)) {
+      continue;
+    }
+
+    try {
+      // Execute the plugin and get result
+      const startTime = Date.now();
+      const result = await plugin.execute(ctx);
+      const executionTime = Date.now() - startTime;
+
+      // Record execution time for metrics
+      ctx.metadata.timings[plugin.tag] = executionTime;
+
+      // Tag the context with the plugin tag if it returned true
+      if (result === true) {
+        ctx.addTag(plugin.tag);
+      }
+
+      // Break chain if this plugin accepted or rejected the request
+      if (ctx.finished || ctx.error) {
+        break;
+      }
+    } catch (error) {
+      console.error(
+        `Error executing plugin ${plugin.tag} (${plugin.type}):`,
+        error
+      );
+      // Continue with the next plugin unless explicitly configured to fail
+
+      // Record error in context
+      if (!ctx.metadata.errors) {
+        ctx.metadata.errors = [];
+      }
+      ctx.metadata.errors.push({
+        plugin: plugin.tag,
+        error: error.message,
+      });
+    }
+  }
+
+  return ctx;
+}
+
+/**
+ * Find reference plugins that point at each other in a loop, which could
+ * never resolve a request
+ *
+ * Cycles that pass through other plugin types can only be seen per request
+ * and are caught by the chain's invoke().
+ *
+ * @param {Array} pluginsConfig - Array of plugin configurations
+ * @returns {Array<string>|null} Tags along the cycle, starting and ending
+ *   with the same tag, or null if there is none
+ */
+export function findReferenceCycle(pluginsConfig) {
+  if (!Array.isArray(pluginsConfig)) {
+    return null;
+  }
+
+  // Duplicate tags resolve to the first plugin, as in createPluginChain
+  const targets = new Map();
+  for (const config of pluginsConfig) {
+    if (config?.type === REFERENCE_TYPE && config.tag) {
+      const target = config.reference || config.args?.reference;
+      if (target && !targets.has(config.tag)) {
+        targets.set(config.tag, target);
+      }
+    }
+  }
+
+  for (const start of targets.keys()) {
+    const path = [start];
+    let tag = targets.get(start);
+    while (targets.has(tag)) {
+      if (path.includes(tag)) {
+        return [...path, tag];
+      }
+      path.push(tag);
+      tag = targets.get(tag);
+    }
+  }
+
+  return null;
 }
 
 /**
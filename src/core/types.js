@@ -30,7 +30,64 @@ export const RCODE = {
   SERVFAIL: 2,
   NXDOMAIN: 3,
   NOTIMP: 4,
-  REFUSED: 5
+  REFUSED: 5,
+  BADVERS: 16 // Extended RCODE, needs EDNS (RFC 6891)
+};
+
+/**
+ * DNS Classes
+ */
+export const DnsClass = {
+  IN: 1,
+  CH: 3,
+  HS: 4,
+  ANY: 255
+};
+
+/**
+ * DNS Header Flag Bits
+ */
+export const HeaderFlag = {
+  QR: 0x8000,
+  OPCODE: 0x7800,
+  AA: 0x0400,
+  TC: 0x0200,
+  RD: 0x0100,
+  RA: 0x0080,
+  AD: 0x0020,
+  CD: 0x0010,
+  RCODE: 0x000f
+};
+
+/**
+ * EDNS(0) Option Codes
+ */
+export const EdnsOption = {
+  ECS: 8, // Client Subnet (RFC 7871)
+  COOKIE: 10,
+  PADDING: 12,
+  EDE: 15 // Extended DNS Error (RFC 8914)
+};
+
+/**
+ * EDNS(0) Flag Bits (low 16 bits of the OPT record TTL)
+ */
+export const EdnsFlag = {
+  DO: 0x8000
+};
+
+/**
+ * Extended DNS Error Info Codes (RFC 8914)
+ */
+export const EdeCode = {
+  OTHER: 0,
+  STALE_ANSWER: 3,
+  BLOCKED: 15, // Blocked by the resolver operator's policy
+  CENSORED: 16, // Blocked because of an external requirement
+  FILTERED: 17, // Blocked at the client's request
+  PROHIBITED: 18,
+  NO_REACHABLE_AUTHORITY: 22,
+  NETWORK_ERROR: 23
 };
 
 /**
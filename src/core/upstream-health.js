@@ -0,0 +1,179 @@
+/**
+ * Upstream Health
+ *
+ * Tracks the health of upstream resolvers for the lifetime of the isolate:
+ * consecutive failures, smoothed latency and a circuit breaker that stops
+ * sending queries to an upstream that keeps failing.
+ *
+ * The breaker is closed while an upstream works. After `failureThreshold`
+ * consecutive failures it opens and the upstream is skipped for `cooldown`
+ * ms. Once the cooldown has passed it is half-open: a single probe query is
+ * let through, which closes the breaker on success or reopens it on
+ * failure. A probe that never reports back (e.g. aborted) is retried after
+ * another cooldown.
+ */
+
+// Breaker states
+export const CircuitState = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+// Defaults, overridable per plugin with failure_threshold / circuit_cooldown
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN = 30000;
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_EWMA_ALPHA = 0.3;
+
+// Health state by upstream name
+const upstreamHealth = new Map();
+
+/**
+ * Get health options from plugin arguments
+ *
+ * @param {Object} args - Plugin arguments
+ * @returns {Object} Options with `failureThreshold` and `cooldown`
+ */
+export function getHealthOptions(args = {}) {
+  return {
+    failureThreshold: args.failure_threshold || DEFAULT_FAILURE_THRESHOLD,
+    cooldown: args.circuit_cooldown || DEFAULT_COOLDOWN,
+  };
+}
+
+/**
+ * Get the health state of an upstream, creating it on first use
+ *
+ * @param {string} name - Upstream name (URL or plugin tag)
+ * @returns {Object} Health state
+ */
+function getState(name) {
+  let state = upstreamHealth.get(name);
+  if (!state) {
+    state = {
+      state: CircuitState.CLOSED,
+      consecutiveFailures: 0,
+      successes: 0,
+      failures: 0,
+      latency: null,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      retryAt: null,
+    };
+    upstreamHealth.set(name, state);
+  }
+  return state;
+}
+
+/**
+ * Check whether queries may be sent to an upstream
+ *
+ * @param {string} name - Upstream name
+ * @returns {boolean} True if the breaker is closed or a probe is due
+ */
+export function isUpstreamAvailable(name) {
+  const state = upstreamHealth.get(name);
+  if (!state || state.state === CircuitState.CLOSED) {
+    return true;
+  }
+  return Date.now() >= state.retryAt;
+}
+
+/**
+ * Record that a query is being sent to an upstream
+ *
+ * When the breaker is not closed, this query is the half-open probe and
+ * further queries wait until it reports back or another cooldown passes.
+ *
+ * @param {string} name - Upstream name
+ * @param {Object} options - Health options
+ */
+export function recordUpstreamAttempt(name, options) {
+  const state = getState(name);
+  if (state.state !== CircuitState.CLOSED) {
+    state.state = CircuitState.HALF_OPEN;
+    state.retryAt = Date.now() + options.cooldown;
+  }
+}
+
+/**
+ * Record a successful query
+ *
+ * @param {string} name - Upstream name
+ * @param {number} latency - Response time in ms
+ */
+export function recordUpstreamSuccess(name, latency) {
+  const state = getState(name);
+  state.state = CircuitState.CLOSED;
+  state.consecutiveFailures = 0;
+  state.successes++;
+  state.lastSuccessAt = Date.now();
+  state.retryAt = null;
+  state.latency =
+    state.latency === null
+      ? latency
+      : LATENCY_EWMA_ALPHA * latency + (1 - LATENCY_EWMA_ALPHA) * state.latency;
+}
+
+/**
+ * Record a failed query, opening the breaker if the upstream keeps failing
+ *
+ * @param {string} name - Upstream name
+ * @param {Error|string} error - What went wrong
+ * @param {Object} options - Health options
+ */
+export function recordUpstreamFailure(name, error, options) {
+  const state = getState(name);
+  state.consecutiveFailures++;
+  state.failures++;
+  state.lastFailureAt = Date.now();
+  state.lastError = error instanceof Error ? error.message : String(error);
+
+  if (
+    state.state === CircuitState.HALF_OPEN ||
+    state.consecutiveFailures >= options.failureThreshold
+  ) {
+    state.state = CircuitState.OPEN;
+    state.retryAt = state.lastFailureAt + options.cooldown;
+  }
+}
+
+/**
+ * Get the smoothed latency of an upstream
+ *
+ * @param {string} name - Upstream name
+ * @returns {number|null} Latency in ms, or null before the first success
+ */
+export function getUpstreamLatency(name) {
+  const state = upstreamHealth.get(name);
+  return state ? state.latency : null;
+}
+
+/**
+ * Get the health of all upstreams seen by this isolate
+ *
+ * @returns {Array<Object>} Health state per upstream, with its `name`
+ */
+export function getUpstreamHealthStats() {
+  return [...upstreamHealth].map(([name, state]) => ({
+    name,
+    ...state,
+    latency: state.latency === null ? null : Math.round(state.latency),
+  }));
+}
+
+/**
+ * Forget the health of one or all upstreams
+ *
+ * @param {string} [name] - Upstream name, or all upstreams if omitted
+ */
+export function resetUpstreamHealth(name) {
+  if (name) {
+    upstreamHealth.delete(name);
+  } else {
+    upstreamHealth.clear();
+  }
+}
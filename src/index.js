@@ -17,11 +17,46 @@ import {
   convertMosDNSConfig,
 } from "./mosdns-adapter.js";
 import { registerAllPlugins } from "./plugins/index.js";
+import { resetDomainSets } from "./plugins/domain-set.js";
+import { getUpstreamHealthStats } from "./core/upstream-health.js";
+import {
+  getCacheInstanceStats,
+  inspectCacheEntry,
+  purgeCacheEntry,
+  purgeCacheSuffix,
+} from "./plugins/cache.js";
+import { DnsClass, RRType } from "./core/types.js";
 import * as yaml from "js-yaml";
 
 // Register all built-in plugins
 registerAllPlugins();
 
+// Plugin chain for the most recently seen configuration. Reusing it across
+// requests in the same isolate keeps each plugin's args object stable, so
+// plugins can cache compiled data (lookup tables, etc.) per instance.
+let cachedChain = null;
+let cachedChainKey = null;
+
+/**
+ * Get the plugin chain for a configuration, reusing the cached chain when
+ * the plugin configuration has not changed
+ *
+ * @param {Object} config - Current configuration
+ * @returns {Object} Plugin chain
+ */
+function getPluginChain(config) {
+  const chainKey = JSON.stringify(config.plugins || []);
+
+  if (!cachedChain || chainKey !== cachedChainKey) {
+    // Domain sets are declared again by the new chain
+    resetDomainSets();
+    cachedChain = createPluginChain(config.plugins || []);
+    cachedChainKey = chainKey;
+  }
+
+  return cachedChain;
+}
+
 // Cloudflare Worker entry point
 export default {
   /**
@@ -73,9 +108,13 @@ export default {
         return new Response("Invalid DNS request", { status: 400 });
       }
 
+      // Give plugins access to KV bindings and background work
+      dnsContext.env = env;
+      dnsContext.executionCtx = ctx;
+
       try {
-        // Create plugin chain from configuration
-        const pluginChain = createPluginChain(config.plugins || []);
+        // Get plugin chain for the current configuration
+        const pluginChain = getPluginChain(config);
 
         // Execute plugin chain
         await pluginChain.execute(dnsContext);
@@ -129,6 +168,23 @@ async function handleApiRequest(request, env, config) {
     );
   }
 
+  if (path === "/api/upstreams" && request.method === "GET") {
+    // Health of the upstreams queried by this isolate
+    return new Response(
+      JSON.stringify({
+        upstreams: getUpstreamHealthStats(),
+        serverTime: Date.now(),
+      }),
+      {
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+
+  if (path === "/api/cache" || path === "/api/cache/stats") {
+    return handleCacheApiRequest(request, config);
+  }
+
   if (path === "/api/config" && request.method === "GET") {
     // Return current configuration
     return new Response(JSON.stringify(config), {
@@ -212,3 +268,111 @@ async function handleApiRequest(request, env, config) {
   // Default response for unknown API endpoints
   return new Response("Not Found", { status: 404 });
 }
+
+/**
+ * Handle cache API requests
+ *
+ * - `GET /api/cache/stats`: counters of each cache instance
+ * - `GET /api/cache?name=&type=`: the cached answer for a question, with
+ *   optional `class`, `do`, `cd`, `ecs` ("address/prefix") and
+ *   `upstream_ecs` (comma-separated subnets sent upstream) parameters
+ * - `DELETE /api/cache?name=&type=`: remove the cached answers for a
+ *   question
+ * - `DELETE /api/cache?suffix=`: remove the answers for a domain and its
+ *   subdomains from the in-memory tier
+ *
+ * Lookups and purges apply to every cache plugin of the current chain.
+ *
+ * @param {Request} request - HTTP request
+ * @param {Object} config - Current configuration
+ * @returns {Promise<Response>} HTTP response
+ */
+async function handleCacheApiRequest(request, config) {
+  const url = new URL(request.url);
+  const params = url.searchParams;
+  const cachePlugins = getPluginChain(config)
+    .getPlugins()
+    .filter((plugin) => plugin.type === "cache");
+
+  const json = (body, status = 200) =>
+    new Response(JSON.stringify(body), {
+      headers: { "Content-Type": "application/json" },
+      status,
+    });
+
+  if (url.pathname === "/api/cache/stats") {
+    if (request.method !== "GET") {
+      return new Response("Method Not Allowed", { status: 405 });
+    }
+    return json({
+      caches: cachePlugins.map((plugin) => ({
+        tag: plugin.tag,
+        ...getCacheInstanceStats(plugin.args),
+      })),
+      serverTime: Date.now(),
+    });
+  }
+
+  if (request.method === "DELETE" && params.has("suffix")) {
+    const suffix = params.get("suffix");
+    const removed = cachePlugins.reduce(
+      (total, plugin) => total + purgeCacheSuffix(plugin.args, suffix),
+      0
+    );
+    return json({ status: "success", suffix, removed });
+  }
+
+  const name = params.get("name");
+  const typeParam = params.get("type") || "A";
+  const classParam = params.get("class") || "IN";
+  const type =
+    RRType[typeParam.toUpperCase()] || parseInt(typeParam, 10) || null;
+  const qclass =
+    DnsClass[classParam.toUpperCase()] || parseInt(classParam, 10) || null;
+
+  if (!name || !type || !qclass) {
+    return json(
+      { status: "error", message: "Missing or invalid name, type or class" },
+      400
+    );
+  }
+
+  const isSet = (flag) => ["1", "true"].includes(params.get(flag));
+  const question = {
+    name,
+    type,
+    qclass,
+    dnssecOk: isSet("do"),
+    checkingDisabled: isSet("cd"),
+    clientSubnet: params.get("ecs"),
+    forwardedSubnets: (params.get("upstream_ecs") || "")
+      .split(",")
+      .filter(Boolean),
+  };
+
+  if (request.method === "GET") {
+    const entries = [];
+    for (const plugin of cachePlugins) {
+      const entry = await inspectCacheEntry(plugin.args, question);
+      if (entry) {
+        entries.push({ tag: plugin.tag, ...entry });
+      }
+    }
+    return json(
+      { name, type, class: qclass, entries },
+      entries.length ? 200 : 404
+    );
+  }
+
+  if (request.method === "DELETE") {
+    const removed = { l1: 0, l2: 0 };
+    for (const plugin of cachePlugins) {
+      const result = await purgeCacheEntry(plugin.args, question);
+      removed.l1 += result.l1;
+      removed.l2 += result.l2;
+    }
+    return json({ status: "success", name, type, class: qclass, removed });
+  }
+
+  return new Response("Method Not Allowed", { status: 405 });
+}
@@ -7,6 +7,7 @@
  */
 
 import { createPluginChain } from "./core/plugin-chain.js";
+import { RCODE } from "./core/types.js";
 
 /**
  * Convert MosDNS configuration to FluxDNS plugin chain
@@ -51,6 +52,19 @@ export function convertMosDNSConfig(mosdnsConfig) {
         }
       }
     });
+
+    // Plugins reached through `exec: $tag` only run when a sequence
+    // references them, not in chain order
+    const referenced = new Set(
+      fluxConfig.plugins
+        .filter((plugin) => plugin.type === "reference")
+        .map((plugin) => plugin.reference)
+    );
+    fluxConfig.plugins.forEach((plugin) => {
+      if (referenced.has(plugin.tag)) {
+        plugin.reference_only = true;
+      }
+    });
   }
 
   return fluxConfig;
@@ -97,13 +111,22 @@ function convertPlugin(mosdnsPlugin, context) {
  * @returns {Object} FluxDNS cache plugin
  */
 function convertCachePlugin(mosdnsPlugin) {
+  const args = {
+    size: mosdnsPlugin.args?.size || 1024,
+    ttl: 300,
+  };
+
+  // MosDNS lazy cache keeps expired entries this long and answers from
+  // them right away while refreshing in the background
+  if (mosdnsPlugin.args?.lazy_cache_ttl) {
+    args.stale_ttl = mosdnsPlugin.args.lazy_cache_ttl;
+    args.stale_answer_timeout = 0;
+  }
+
   return {
     tag: mosdnsPlugin.tag || "cache",
     type: "cache",
-    args: {
-      size: mosdnsPlugin.args?.size || 1024,
-      ttl: mosdnsPlugin.args?.lazy_cache_ttl || 300,
-    },
+    args,
   };
 }
 
@@ -176,6 +199,7 @@ function convertForwardPlugin(mosdnsPlugin) {
       upstreamUrl = `https://${host}/dns-query`;
     }
 
+    // Only the load balancer below runs these, not the chain itself
     return {
       tag: `${mosdnsPlugin.tag || "forward"}_${index}`,
       type: "forward",
@@ -183,6 +207,7 @@ function convertForwardPlugin(mosdnsPlugin) {
         upstream: upstreamUrl,
         timeout: 5000,
       },
+      reference_only: true,
     };
   });
 
@@ -212,57 +237,90 @@ function convertSequencePlugin(mosdnsPlugin, context) {
 
   // Process sequence steps
   if (Array.isArray(mosdnsPlugin.args)) {
+    // Set once a step checks the response: like MosDNS, the steps after it
+    // run on the response an earlier step resolved, e.g. to query again
+    let afterResponse = false;
+
     mosdnsPlugin.args.forEach((step, index) => {
+      // Tag of the step's last condition; every condition of a step must
+      // match, so each one only runs if the one before it matched
+      let condition;
+      let unsupported = false;
+
+      const addPlugin = (plugin) => {
+        plugins.push({
+          ...plugin,
+          if_matched: condition,
+          ...(afterResponse ? { after_response: true } : {}),
+        });
+        condition = plugin.tag;
+      };
+
       // Handle match conditions
       if (step.matches) {
         let matchConditions = Array.isArray(step.matches)
           ? step.matches
           : [step.matches];
 
-        matchConditions.forEach((condition) => {
-          if (typeof condition === "string") {
-            // Parse condition string
-            if (condition.startsWith("qname ")) {
-              const domainSetRef = condition.substring(6).trim();
-              if (
-                domainSetRef.startsWith("$") &&
-                domainSets[domainSetRef.substring(1)]
-              ) {
-                // Reference to a domain set
-                const domainSet = domainSets[domainSetRef.substring(1)];
-
-                plugins.push({
-                  tag: `${mosdnsPlugin.tag}_match_${index}`,
-                  type: "matcher",
-                  args: {
-                    files: domainSet.args?.files,
-                    action: "accept",
-                  },
-                });
-              }
-            } else if (condition.startsWith("!resp_ip ")) {
-              // Inverse IP match (not implemented in this example)
-              console.warn("Inverse IP matching not fully implemented");
-            } else if (condition.startsWith("resp_ip ")) {
-              const ipSetRef = condition.substring(8).trim();
-              if (ipSetRef.startsWith("$") && ipSets[ipSetRef.substring(1)]) {
-                // Reference to an IP set
-                const ipSet = ipSets[ipSetRef.substring(1)];
-
-                plugins.push({
-                  tag: `${mosdnsPlugin.tag}_ip_match_${index}`,
-                  type: "ip_matcher",
-                  args: {
-                    files: ipSet.args?.files,
-                    action: "accept",
-                  },
-                });
-              }
+        matchConditions.forEach((matchCondition, conditionIndex) => {
+          const suffix = conditionIndex > 0 ? `_${conditionIndex}` : "";
+
+          if (typeof matchCondition !== "string") {
+            unsupported = true;
+          } else if (matchCondition.startsWith("qname ")) {
+            const domainSetRef = matchCondition.substring(6).trim();
+            if (
+              domainSetRef.startsWith("$") &&
+              domainSets[domainSetRef.substring(1)]
+            ) {
+              // Reference to a domain set
+              const domainSet = domainSets[domainSetRef.substring(1)];
+
+              addPlugin({
+                tag: `${mosdnsPlugin.tag}_match_${index}${suffix}`,
+                type: "matcher",
+                args: {
+                  files: domainSet.args?.files,
+                  action: "accept",
+                },
+              });
+            } else {
+              unsupported = true;
             }
+          } else if (/^!?resp_ip /.test(matchCondition)) {
+            const inverse = matchCondition.startsWith("!");
+            const ipSetRef = matchCondition.substring(inverse ? 9 : 8).trim();
+            if (ipSetRef.startsWith("$") && ipSets[ipSetRef.substring(1)]) {
+              // Reference to an IP set
+              const ipSet = ipSets[ipSetRef.substring(1)];
+
+              addPlugin({
+                tag: `${mosdnsPlugin.tag}_ip_match_${index}${suffix}`,
+                type: "ip_matcher",
+                args: {
+                  files: ipSet.args?.files,
+                  action: "accept",
+                  inverse,
+                },
+              });
+              afterResponse = true;
+            } else {
+              unsupported = true;
+            }
+          } else {
+            unsupported = true;
           }
         });
       }
 
+      // A step whose conditions can't all be checked never runs
+      if (unsupported) {
+        console.warn(
+          `Skipping step ${index} of sequence "${mosdnsPlugin.tag}": unsupported match condition`
+        );
+        return;
+      }
+
       // Handle execution steps
       if (step.exec) {
         if (typeof step.exec === "string") {
@@ -270,41 +328,29 @@ function convertSequencePlugin(mosdnsPlugin, context) {
             // Reference to another plugin
             const pluginRef = step.exec.substring(1);
 
-            plugins.push({
+            addPlugin({
               tag: `${mosdnsPlugin.tag}_exec_${index}`,
               type: "reference",
               reference: pluginRef,
-              if_matched:
-                plugins.length > 0
-                  ? plugins[plugins.length - 1].tag
-                  : undefined,
             });
           } else if (step.exec === "accept") {
             // Accept action
-            plugins.push({
+            addPlugin({
               tag: `${mosdnsPlugin.tag}_accept_${index}`,
               type: "response_modifier",
               args: {
                 action: "accept",
               },
-              if_matched:
-                plugins.length > 0
-                  ? plugins[plugins.length - 1].tag
-                  : undefined,
             });
           } else if (step.exec === "reject") {
             // Reject action
-            plugins.push({
+            addPlugin({
               tag: `${mosdnsPlugin.tag}_reject_${index}`,
               type: "response_modifier",
               args: {
                 action: "reject",
-                rcode: "NXDOMAIN",
+                rcode: RCODE.NXDOMAIN,
               },
-              if_matched:
-                plugins.length > 0
-                  ? plugins[plugins.length - 1].tag
-                  : undefined,
             });
           } else if (step.exec.startsWith("ttl ")) {
             // TTL modification
@@ -316,23 +362,20 @@ function convertSequencePlugin(mosdnsPlugin, context) {
               const [min, max] = ttlValue
                 .split("-")
                 .map((v) => parseInt(v, 10));
-              minTtl = min;
-              maxTtl = max;
+              // MosDNS treats a zero bound as "no limit"
+              minTtl = min || null;
+              maxTtl = max || null;
             } else {
               minTtl = maxTtl = parseInt(ttlValue, 10);
             }
 
-            plugins.push({
+            addPlugin({
               tag: `${mosdnsPlugin.tag}_ttl_${index}`,
               type: "response_modifier",
               args: {
                 minTtl,
                 maxTtl,
               },
-              if_matched:
-                plugins.length > 0
-                  ? plugins[plugins.length - 1].tag
-                  : undefined,
             });
           }
         }
@@ -5,13 +5,15 @@
  * Uses both static lists and heuristic patterns for detection.
  */
 
-import { registerPlugin } from "../core/plugin-chain.js";
-import { RCODE } from "../core/types.js";
+import { getPluginTag, registerPlugin } from "../core/plugin-chain.js";
+import { EdeCode, RCODE } from "../core/types.js";
+import { createDomainIndex } from "../utils/domain-index.js";
 
 // Common ad domain patterns
 const AD_PATTERNS = [
   "ads",
-  "ad.",
+  // A label named "ad", so names like download.com are not caught
+  "regexp:(^|\\.)ad\\.",
   "adserver",
   "advert",
   "banner",
@@ -25,9 +27,16 @@ const AD_PATTERNS = [
   "marketing",
 ];
 
+// Compiled indexes, keyed by the pattern or whitelist array
+const listIndexes = new WeakMap();
+
 /**
  * Execute the ad blocking plugin
  *
+ * Blocked queries are answered with NXDOMAIN and a Blocked Extended DNS
+ * Error naming this instance, so clients can tell them from names that
+ * don't exist.
+ *
  * @param {DnsContext} ctx - DNS request context
  * @param {Object} args - Plugin arguments
  * @returns {Promise<boolean>} True if blocked, false otherwise
@@ -42,29 +51,15 @@ export async function executeAdBlock(ctx, args) {
   const { patterns = AD_PATTERNS, whitelist = [], log = true } = args;
 
   // Check whitelist first
-  for (const whitelistDomain of whitelist) {
-    if (
-      domain === whitelistDomain ||
-      (domain.endsWith("." + whitelistDomain) &&
-        domain.length > whitelistDomain.length + 1)
-    ) {
-      if (log) {
-        console.log(`Skipping whitelisted domain: ${domain}`);
-      }
-      return false;
+  if (getListIndex(whitelist, "domain").has(domain)) {
+    if (log) {
+      console.log(`Skipping whitelisted domain: ${domain}`);
     }
+    return false;
   }
 
-  // Check against patterns
-  let blocked = false;
-
-  // Check for exact match or pattern match
-  for (const pattern of patterns) {
-    if (domain.includes(pattern)) {
-      blocked = true;
-      break;
-    }
-  }
+  // Check against patterns (substring match)
+  const blocked = getListIndex(patterns, "keyword").has(domain);
 
   if (blocked) {
     if (log) {
@@ -72,7 +67,10 @@ export async function executeAdBlock(ctx, args) {
     }
 
     // Set NXDOMAIN response
-    ctx.setError(RCODE.NXDOMAIN);
+    ctx.setError(RCODE.NXDOMAIN, {
+      infoCode: EdeCode.BLOCKED,
+      extraText: `Blocked by ${getPluginTag(args) || "adblock"}`,
+    });
     ctx.resolved = true;
     ctx.addTag("adblock_filtered");
 
@@ -82,6 +80,22 @@ export async function executeAdBlock(ctx, args) {
   return false;
 }
 
+/**
+ * Get the compiled domain index for a pattern or whitelist array
+ *
+ * @param {Array<string>} list - Patterns or whitelisted domains
+ * @param {string} defaultKind - How plain entries match (see createDomainIndex)
+ * @returns {Object} Domain index
+ */
+function getListIndex(list, defaultKind) {
+  let index = listIndexes.get(list);
+  if (!index) {
+    index = createDomainIndex(list, { defaultKind });
+    listIndexes.set(list, index);
+  }
+  return index;
+}
+
 /**
  * Register the ad blocker plugin
  */
@@ -4,16 +4,108 @@
  * Caches DNS responses to improve performance and reduce load.
  */
 
-import { registerPlugin } from "../core/plugin-chain.js";
+import { getPluginTag, registerPlugin } from "../core/plugin-chain.js";
+import {
+  formatRecordData,
+  parseClientSubnetOption,
+  parseDnsResponse,
+  walkResourceRecords,
+} from "../core/dns-message.js";
+import {
+  DnsClass,
+  EdeCode,
+  EdnsOption,
+  HeaderFlag,
+  RCODE,
+  RRType,
+} from "../core/types.js";
+import { createLruCache } from "../utils/lru-cache.js";
+import { getOutgoingSubnet } from "./forward.js";
+
+// TTL of answers served from expired entries (RFC 8767 section 4)
+const STALE_ANSWER_TTL = 30;
+
+// How long a client waits for a refresh before getting a stale answer (ms)
+const DEFAULT_STALE_ANSWER_TIMEOUT = 1800;
+
+// Headers recording when a cached entry was stored and when it stops
+// being fresh (epoch ms)
+const STORED_HEADER = "X-FluxDNS-Stored";
+const EXPIRES_HEADER = "X-FluxDNS-Expires";
+
+// Origin of the synthetic URLs used as Cache API keys
+const CACHE_KEY_ORIGIN = "https://cache.fluxdns.internal";
+
+// Header recording what kind of answer a cached entry holds
+const KIND_HEADER = "X-FluxDNS-Kind";
+
+// Kinds of cached answers, and the tag added when a query hits one
+const EntryKind = {
+  POSITIVE: "positive",
+  NEGATIVE: "negative", // NXDOMAIN or NODATA (RFC 2308)
+  SERVFAIL: "servfail",
+};
+const HIT_TAGS = {
+  [EntryKind.POSITIVE]: "cache_hit",
+  [EntryKind.NEGATIVE]: "cache_hit_negative",
+  [EntryKind.SERVFAIL]: "cache_hit_servfail",
+};
+
+// Default limits of the in-memory tier
+const DEFAULT_SIZE = 1024;
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+
+// Default prefetch settings: refresh names requested at least 3 times once
+// a hit lands in the last 10% of their TTL
+const DEFAULT_PREFETCH_THRESHOLD = 10;
+const DEFAULT_PREFETCH_MIN_REQUESTS = 3;
+
+// Number of names whose requests are counted for prefetching; the least
+// recently requested are forgotten first
+const PREFETCH_TRACKED_NAMES = 4096;
+
+// In-memory tier and prefetch state of each cache instance, keyed by its
+// args object
+const cacheStates = new WeakMap();
 
 /**
  * Execute cache plugin
  *
+ * Entries are keyed by getCacheKey. Responses are cached for their
+ * smallest record TTL, capped by `ttl`. A hit is answered with the record
+ * TTLs counted down by the time spent in the cache and with the ID of the
+ * new query.
+ *
+ * NXDOMAIN and NODATA answers are cached for the TTL of the SOA record in
+ * their authority section, or its MINIMUM field if lower, capped by
+ * `negative_ttl` (default 300); without an SOA they are not cached.
+ * SERVFAIL answers are cached for `servfail_ttl` seconds (default 5). Hits
+ * on these are tagged `cache_hit_negative` and `cache_hit_servfail`
+ * instead of `cache_hit`. Other error responses are not cached.
+ *
+ * Entries are looked up in an in-memory LRU tier (L1) private to the
+ * isolate before the Cache API (L2), and L2 hits are copied into L1. L1
+ * holds at most `size` entries (default 1024) and `max_bytes` bytes of
+ * responses (default 4 MiB). Hits and misses of each tier are counted in
+ * `ctx.metadata.cacheStats`.
+ *
+ * With `prefetch` enabled, a hit in the last `prefetch_threshold` percent
+ * of an entry's TTL (default 10) on a name requested at least
+ * `prefetch_min_requests` times (default 3) refreshes the entry in the
+ * background through the rest of the chain, tagged `cache_prefetch`.
+ *
+ * Entries are kept for `stale_ttl` seconds past their expiry (default 0,
+ * i.e. not at all). A query for an expired entry is resolved again by the
+ * rest of the chain; if that fails or takes longer than
+ * `stale_answer_timeout` ms, the expired answer is served with a 30 second
+ * TTL and the refresh finishes in the background.
+ *
  * @param {DnsContext} ctx - DNS request context
  * @param {Object} args - Plugin arguments
+ * @param {Object} [chain] - Plugin chain, used to refresh expired entries
  * @returns {Promise<boolean>} True if cache hit, false if cache miss
  */
-export async function executeCache(ctx, args) {
+export async function executeCache(ctx, args, chain) {
   const domain = ctx.getQueryDomain();
   const type = ctx.getQueryType();
 
@@ -28,30 +120,71 @@ export async function executeCache(ctx, args) {
   }
 
   // TTL settings
-  const ttl = args.ttl || 300; // Default 5 minutes
+  const options = getCacheOptions(args);
+  const state = getCacheState(args);
+  const { memory } = state;
+  const tag = getPluginTag(args);
 
-  // Generate cache key
-  const cacheKey = `dns-${domain}-${type}`;
+  const cacheKey = getCacheKey(ctx, domain, type, chain);
+  const requestCount = options.prefetch ? countRequest(state, cacheKey) : 0;
 
   try {
     // Check cache for existing response
-    const cacheResponse = await caches.default.match(cacheKey);
+    const entry = await lookupEntry(ctx, state, cacheKey, options);
 
-    if (cacheResponse) {
-      // Cache hit
-      const responseBuffer = await cacheResponse.arrayBuffer();
+    if (entry) {
+      const { buffer: responseBuffer, stored, expires, kind } = entry;
+      const now = Date.now();
 
-      // Set response from cache
-      ctx.setResponse(responseBuffer);
-      ctx.addTag("cache_hit");
-      ctx.resolved = true;
+      if (!expires || now < expires) {
+        // Cache hit, aged by the time spent in the cache
+        const hitResponse = expires
+          ? rewriteResponse(responseBuffer, {
+              age: Math.floor((now - stored) / 1000),
+              maxTtl: Math.ceil((expires - now) / 1000),
+              id: getQueryId(ctx),
+            })
+          : responseBuffer;
+
+        if (hitResponse) {
+          ctx.setResponse(hitResponse);
+          ctx.addTag(HIT_TAGS[kind] || HIT_TAGS[EntryKind.POSITIVE]);
+          ctx.resolved = true;
+          ctx.finished = true;
+
+          if (
+            chain &&
+            tag &&
+            requestCount >= options.prefetchMinRequests &&
+            isNearExpiry(entry, now, options.prefetchThreshold)
+          ) {
+            prefetch(ctx, chain, tag, state, cacheKey, options);
+          }
+
+          return true;
+        }
+      }
 
-      return true;
+      // A failure is never worth serving once it has expired
+      if (
+        chain &&
+        tag &&
+        expires &&
+        kind !== EntryKind.SERVFAIL &&
+        now < expires + options.staleTtl * 1000
+      ) {
+        return await serveStale(ctx, args, chain, tag, {
+          memory,
+          cacheKey,
+          responseBuffer,
+          options,
+        });
+      }
     }
 
     // Cache miss - store key for later
     ctx.metadata.cacheKey = cacheKey;
-    ctx.metadata.cacheTtl = ttl;
+    ctx.metadata.cacheTtl = options.ttl;
     ctx.addTag("cache_miss");
 
     // Register post-processing hook
@@ -62,16 +195,9 @@ export async function executeCache(ctx, args) {
       originalSetResponse.call(ctx, responseBuffer);
 
       // Cache the response
-      if (ctx.metadata.cacheKey && responseBuffer) {
-        const response = new Response(responseBuffer, {
-          headers: {
-            "Content-Type": "application/dns-message",
-            "Cache-Control": `max-age=${ctx.metadata.cacheTtl}`,
-          },
-        });
-
-        // Store in cache
-        caches.default.put(ctx.metadata.cacheKey, response);
+      const key = ctx.metadata.cacheKey;
+      if (key && responseBuffer && !isSubnetSpecific(ctx, key)) {
+        ctx.waitUntil(storeResponse(memory, key, responseBuffer, options));
       }
     };
 
@@ -82,6 +208,769 @@ export async function executeCache(ctx, args) {
   }
 }
 
+/**
+ * Answer a query whose cached entry has expired but is within the stale
+ * window
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} args - Plugin arguments
+ * @param {Object} chain - Plugin chain
+ * @param {string} tag - Tag of this cache instance
+ * @param {Object} entry - Memory tier, cache key, expired response and
+ *   cache options
+ * @returns {Promise<boolean>} True if the stale answer was served
+ */
+async function serveStale(ctx, args, chain, tag, entry) {
+  const { memory, cacheKey, responseBuffer, options } = entry;
+  const timeout = args.stale_answer_timeout ?? DEFAULT_STALE_ANSWER_TIMEOUT;
+
+  const refresh = refreshEntry(ctx, chain, tag, memory, cacheKey, options);
+  const refreshed = await withTimeout(refresh, timeout);
+  if (refreshed) {
+    // The refresh already ran the rest of the chain
+    ctx.setResponse(refreshed.response);
+    ctx.finished = true;
+    ctx.addTag("cache_miss");
+    return false;
+  }
+
+  // Let the refresh update the cache after we answer
+  ctx.waitUntil(refresh);
+
+  const staleResponse = rewriteResponse(responseBuffer, {
+    ttl: STALE_ANSWER_TTL,
+    id: getQueryId(ctx),
+  });
+  if (!staleResponse) {
+    return false;
+  }
+
+  ctx.setResponse(staleResponse);
+  ctx.finished = true;
+  ctx.addExtendedError(EdeCode.STALE_ANSWER, `Expired answer from ${tag}`);
+  ctx.addTag("cache_hit_stale");
+  return true;
+}
+
+/**
+ * Resolve a query again and store the answer
+ *
+ * Runs the plugins after this cache instance on a copy of the request, so
+ * a late answer doesn't touch the response being sent.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} chain - Plugin chain
+ * @param {string} tag - Tag of this cache instance
+ * @param {Object} memory - In-memory tier
+ * @param {string} cacheKey - Cache key
+ * @param {Object} options - Cache options
+ * @returns {Promise<DnsContext|null>} The refreshed context, or null if no
+ *   usable answer was found
+ */
+function refreshEntry(ctx, chain, tag, memory, cacheKey, options) {
+  return (async () => {
+    const refreshCtx = ctx.clone();
+    await chain.executeAfter(tag, refreshCtx);
+    if (!isUsableResponse(refreshCtx.response)) {
+      return null;
+    }
+    if (!isSubnetSpecific(refreshCtx, cacheKey)) {
+      await storeResponse(memory, cacheKey, refreshCtx.response, options);
+    }
+    return refreshCtx;
+  })().catch((error) => {
+    console.error("Error refreshing cached response:", error);
+    return null;
+  });
+}
+
+/**
+ * Refresh a popular entry in the background before it expires
+ *
+ * At most one prefetch per entry runs at a time.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} chain - Plugin chain
+ * @param {string} tag - Tag of this cache instance
+ * @param {Object} state - Cache instance state
+ * @param {string} cacheKey - Cache key
+ * @param {Object} options - Cache options
+ */
+function prefetch(ctx, chain, tag, state, cacheKey, options) {
+  if (state.prefetching.has(cacheKey)) {
+    return;
+  }
+
+  state.prefetching.add(cacheKey);
+  state.stats.prefetches++;
+  ctx.addTag("cache_prefetch");
+  ctx.waitUntil(
+    refreshEntry(ctx, chain, tag, state.memory, cacheKey, options).finally(() =>
+      state.prefetching.delete(cacheKey)
+    )
+  );
+}
+
+/**
+ * Check whether an entry is in the last part of its TTL
+ *
+ * @param {Object} entry - Cached entry
+ * @param {number} now - Current time (epoch ms)
+ * @param {number} threshold - Percentage of the TTL
+ * @returns {boolean} True if at most `threshold` percent of the TTL is left
+ */
+function isNearExpiry(entry, now, threshold) {
+  const { stored, expires } = entry;
+  if (!stored || !expires) {
+    return false;
+  }
+  return (expires - now) * 100 <= (expires - stored) * threshold;
+}
+
+/**
+ * Count a request for a cache key
+ *
+ * @param {Object} state - Cache instance state
+ * @param {string} cacheKey - Cache key
+ * @returns {number} Requests for the key, including this one
+ */
+function countRequest(state, cacheKey) {
+  const count = (state.requests.get(cacheKey) || 0) + 1;
+  state.requests.set(cacheKey, count);
+  return count;
+}
+
+/**
+ * Get the cache settings from plugin arguments
+ *
+ * @param {Object} args - Plugin arguments
+ * @returns {Object} TTL limits in seconds
+ */
+function getCacheOptions(args) {
+  return {
+    ttl: args.ttl || 300, // Default 5 minutes
+    staleTtl: args.stale_ttl || 0,
+    negativeTtl: args.negative_ttl ?? 300,
+    servfailTtl: args.servfail_ttl ?? 5,
+    prefetch: Boolean(args.prefetch),
+    prefetchThreshold: args.prefetch_threshold ?? DEFAULT_PREFETCH_THRESHOLD,
+    prefetchMinRequests:
+      args.prefetch_min_requests ?? DEFAULT_PREFETCH_MIN_REQUESTS,
+  };
+}
+
+/**
+ * Get the state of a cache instance, creating it on first use
+ *
+ * @param {Object} args - Plugin arguments
+ * @returns {Object} In-memory tier (`memory`), request counts by cache key
+ *   (`requests`), the keys being prefetched (`prefetching`) and counters
+ *   since the isolate started (`stats`)
+ */
+function getCacheState(args) {
+  let state = cacheStates.get(args);
+  if (!state) {
+    state = {
+      memory: createLruCache({
+        maxEntries: args.size ?? DEFAULT_SIZE,
+        maxBytes: args.max_bytes ?? DEFAULT_MAX_BYTES,
+        sizeOf: (entry) => entry.buffer.byteLength,
+      }),
+      requests: createLruCache({
+        maxEntries: PREFETCH_TRACKED_NAMES,
+        sizeOf: () => 0,
+      }),
+      prefetching: new Set(),
+      stats: { ...createTierCounters(), prefetches: 0 },
+    };
+    cacheStates.set(args, state);
+  }
+  return state;
+}
+
+/**
+ * Find the cached entry for a key, in memory first and then in the Cache
+ * API
+ *
+ * Entries are returned while fresh or stale; the caller decides what to
+ * do with them.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} state - Cache instance state
+ * @param {string} cacheKey - Cache key
+ * @param {Object} options - Cache options
+ * @returns {Promise<Object|null>} Entry with `buffer`, `stored`, `expires`
+ *   and `kind`, or null
+ */
+async function lookupEntry(ctx, state, cacheKey, options) {
+  const { memory } = state;
+  const requestStats = getRequestStats(ctx);
+  const count = (tier, outcome) => {
+    requestStats[tier][outcome]++;
+    state.stats[tier][outcome]++;
+  };
+
+  const cached = memory.get(cacheKey);
+  if (cached && Date.now() < cached.evictAt) {
+    count("l1", "hits");
+    return cached;
+  }
+  if (cached) {
+    memory.delete(cacheKey);
+  }
+  count("l1", "misses");
+
+  const cacheResponse = await caches.default.match(cacheKey);
+  if (!cacheResponse) {
+    count("l2", "misses");
+    return null;
+  }
+  count("l2", "hits");
+
+  const entry = await readCacheResponse(cacheResponse);
+
+  // Entries stored without expiry headers can't be aged, so they stay in L2
+  if (entry.expires) {
+    entry.evictAt = entry.expires + getStaleTtl(entry.kind, options) * 1000;
+    memory.set(cacheKey, entry);
+  }
+
+  return entry;
+}
+
+/**
+ * Read an entry from a Cache API response
+ *
+ * @param {Response} cacheResponse - Response stored by storeResponse
+ * @returns {Promise<Object>} Entry with `buffer`, `stored`, `expires` and
+ *   `kind`; the times are 0 for responses stored without headers
+ */
+async function readCacheResponse(cacheResponse) {
+  return {
+    buffer: await cacheResponse.arrayBuffer(),
+    stored: Number(cacheResponse.headers?.get(STORED_HEADER)) || 0,
+    expires: Number(cacheResponse.headers?.get(EXPIRES_HEADER)) || 0,
+    kind: cacheResponse.headers?.get(KIND_HEADER) || EntryKind.POSITIVE,
+  };
+}
+
+/**
+ * Create hit and miss counters for both cache tiers
+ *
+ * @returns {Object} Counters for `l1` (memory) and `l2` (Cache API)
+ */
+function createTierCounters() {
+  return {
+    l1: { hits: 0, misses: 0 },
+    l2: { hits: 0, misses: 0 },
+  };
+}
+
+/**
+ * Get the per-tier hit and miss counters of a request
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @returns {Object} Counters for `l1` (memory) and `l2` (Cache API)
+ */
+function getRequestStats(ctx) {
+  if (!ctx.metadata.cacheStats) {
+    ctx.metadata.cacheStats = createTierCounters();
+  }
+  return ctx.metadata.cacheStats;
+}
+
+/**
+ * Get how long an entry may be served past its expiry
+ *
+ * @param {string} kind - Entry kind
+ * @param {Object} options - Cache options
+ * @returns {number} Seconds; a failure is never served stale
+ */
+function getStaleTtl(kind, options) {
+  return kind === EntryKind.SERVFAIL ? 0 : options.staleTtl;
+}
+
+/**
+ * Store a response in both cache tiers
+ *
+ * The entry outlives its TTL by the stale window, except for SERVFAIL.
+ * When it was stored, when it stops being fresh and what kind of answer it
+ * holds are kept in headers. Responses with a zero TTL are not cached.
+ *
+ * @param {Object} memory - In-memory tier
+ * @param {string} cacheKey - Cache key
+ * @param {ArrayBuffer} responseBuffer - DNS response
+ * @param {Object} options - Cache options
+ * @returns {Promise} Resolves once stored
+ */
+async function storeResponse(memory, cacheKey, responseBuffer, options) {
+  const { kind, ttl } = getCachePolicy(responseBuffer, options);
+  if (ttl <= 0) {
+    return;
+  }
+
+  const staleTtl = getStaleTtl(kind, options);
+  const now = Date.now();
+
+  // Copied, as later plugins may modify the response they were given
+  memory.set(cacheKey, {
+    buffer: responseBuffer.slice(0),
+    stored: now,
+    expires: now + ttl * 1000,
+    evictAt: now + (ttl + staleTtl) * 1000,
+    kind,
+  });
+
+  const response = new Response(responseBuffer, {
+    headers: {
+      "Content-Type": "application/dns-message",
+      "Cache-Control": `max-age=${ttl + staleTtl}`,
+      [STORED_HEADER]: String(now),
+      [EXPIRES_HEADER]: String(now + ttl * 1000),
+      [KIND_HEADER]: kind,
+    },
+  });
+
+  await caches.default.put(cacheKey, response);
+}
+
+/**
+ * Decide how a response is cached
+ *
+ * @param {ArrayBuffer} responseBuffer - DNS response
+ * @param {Object} options - Cache options
+ * @returns {Object} Entry `kind` and `ttl` in seconds (0 to not cache)
+ */
+function getCachePolicy(responseBuffer, options) {
+  // Keep unparseable responses for the configured TTL
+  if (
+    !(responseBuffer instanceof ArrayBuffer) ||
+    responseBuffer.byteLength < 12
+  ) {
+    return { kind: EntryKind.POSITIVE, ttl: options.ttl };
+  }
+
+  const view = new DataView(responseBuffer);
+  const rcode = view.getUint16(2) & 0x000f;
+  const answerCount = view.getUint16(6);
+
+  if (rcode === RCODE.SERVFAIL) {
+    return { kind: EntryKind.SERVFAIL, ttl: options.servfailTtl };
+  }
+
+  if (rcode === RCODE.NXDOMAIN || (rcode === RCODE.NOERROR && !answerCount)) {
+    return {
+      kind: EntryKind.NEGATIVE,
+      ttl: getNegativeTtl(responseBuffer, options.negativeTtl),
+    };
+  }
+
+  if (rcode !== RCODE.NOERROR) {
+    return { kind: EntryKind.POSITIVE, ttl: 0 };
+  }
+
+  let ttl = options.ttl;
+  try {
+    walkResourceRecords(responseBuffer, (record) => {
+      if (record.type !== RRType.OPT) {
+        ttl = Math.min(ttl, record.ttl);
+      }
+    });
+  } catch (error) {
+    return { kind: EntryKind.POSITIVE, ttl: options.ttl };
+  }
+
+  return { kind: EntryKind.POSITIVE, ttl };
+}
+
+/**
+ * Get how long a negative answer may be cached (RFC 2308 section 5)
+ *
+ * @param {ArrayBuffer} responseBuffer - NXDOMAIN or NODATA response
+ * @param {number} maxTtl - Upper bound in seconds
+ * @returns {number} The lower of the SOA record's TTL and MINIMUM field,
+ *   capped by `maxTtl`; 0 if the authority section has no SOA
+ */
+function getNegativeTtl(responseBuffer, maxTtl) {
+  const view = new DataView(responseBuffer);
+  let ttl = 0;
+
+  try {
+    walkResourceRecords(responseBuffer, (record) => {
+      if (
+        record.section === "authority" &&
+        record.type === RRType.SOA &&
+        record.rdlength >= 4
+      ) {
+        // MINIMUM is the last field of the SOA data
+        const minimum = view.getUint32(
+          record.rdataOffset + record.rdlength - 4
+        );
+        ttl = Math.min(record.ttl, minimum, maxTtl);
+      }
+    });
+  } catch (error) {
+    return 0;
+  }
+
+  return ttl;
+}
+
+/**
+ * Check whether a response is worth caching or answering with
+ *
+ * @param {ArrayBuffer} response - DNS response
+ * @returns {boolean} True for a well-formed response other than SERVFAIL
+ */
+function isUsableResponse(response) {
+  return (
+    response instanceof ArrayBuffer &&
+    parseDnsResponse(response).rcode !== RCODE.SERVFAIL
+  );
+}
+
+/**
+ * Copy a cached response for answering a new query
+ *
+ * @param {ArrayBuffer} responseBuffer - Cached DNS response
+ * @param {Object} options - Rewrite options
+ * @param {number} [options.ttl] - Set every record TTL to this value
+ * @param {number} [options.age] - Seconds to subtract from every TTL
+ * @param {number} [options.maxTtl] - Upper bound for every TTL
+ * @param {number} [options.id] - Transaction ID of the new query
+ * @returns {ArrayBuffer|null} Modified copy, or null if it could not be
+ *   parsed
+ */
+function rewriteResponse(responseBuffer, options) {
+  const { ttl, age = 0, maxTtl = Infinity, id } = options;
+
+  try {
+    const buffer = responseBuffer.slice(0);
+    const view = new DataView(buffer);
+
+    walkResourceRecords(buffer, (record) => {
+      // The TTL field of OPT carries EDNS flags
+      if (record.type === RRType.OPT) {
+        return;
+      }
+
+      const newTtl =
+        ttl !== undefined
+          ? ttl
+          : Math.min(Math.max(record.ttl - age, 0), maxTtl);
+      view.setUint32(record.ttlOffset, newTtl);
+    });
+
+    if (id !== undefined) {
+      view.setUint16(0, id);
+    }
+
+    return buffer;
+  } catch (error) {
+    console.error("Error rewriting cached response TTL:", error);
+    return null;
+  }
+}
+
+/**
+ * Check whether an answer was resolved for a client subnet that isn't part
+ * of its cache key
+ *
+ * Keys hold the subnets the chain's forward plugins send upstream, so
+ * this only catches a subnet (`metadata.ecs`) sent by a forward instance
+ * the cache couldn't see when it built the key.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {string} cacheKey - Key the answer would be stored under
+ * @returns {boolean} True if the answer must not be cached
+ */
+function isSubnetSpecific(ctx, cacheKey) {
+  const { ecs } = ctx.metadata;
+  if (!ecs) {
+    return false;
+  }
+
+  const params = new URLSearchParams(cacheKey.slice(cacheKey.indexOf("?")));
+  return !(params.get("upstream_ecs") || "").split(",").includes(ecs);
+}
+
+/**
+ * Get the client subnets the chain's forward plugins would send upstream
+ * for a query
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} [chain] - Plugin chain
+ * @returns {Array<string>} Distinct subnets, sorted
+ */
+function getForwardedSubnets(ctx, chain) {
+  const subnets = new Set();
+  for (const plugin of chain?.getPlugins?.() || []) {
+    if (plugin.type === "forward") {
+      const subnet = getOutgoingSubnet(ctx, plugin.args);
+      if (subnet) {
+        subnets.add(subnet);
+      }
+    }
+  }
+  return [...subnets].sort();
+}
+
+/**
+ * Get the transaction ID of the query being answered
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @returns {number|undefined} Query ID, or undefined for queries without
+ *   a wire-format message (JSON API)
+ */
+function getQueryId(ctx) {
+  const query = typeof ctx.getQuery === "function" ? ctx.getQuery() : null;
+  return query ? query.header.id : undefined;
+}
+
+/**
+ * Build the Cache API key for a query
+ *
+ * Queries only share an entry when the answer can't differ between them:
+ * the key is a URL made of the case-folded name, type and class, the DO
+ * and CD bits, the client subnet when the query carries ECS, and the
+ * subnets the chain's forward plugins send upstream in its place.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {string} domain - Query name
+ * @param {number} type - Query type
+ * @param {Object} [chain] - Plugin chain, to find its forward plugins
+ * @returns {string} Cache key URL
+ */
+export function getCacheKey(ctx, domain, type, chain) {
+  const query = typeof ctx.getQuery === "function" ? ctx.getQuery() : null;
+  const flags = query?.header.flags || 0;
+  const ecs = query?.edns?.options.find(
+    (option) => option.code === EdnsOption.ECS && option.data.length >= 4
+  );
+
+  return buildCacheKey({
+    name: domain,
+    type,
+    qclass: query?.questions[0]?.class,
+    dnssecOk: Boolean(query?.edns?.dnssecOk),
+    checkingDisabled: Boolean(flags & HeaderFlag.CD),
+    clientSubnet: ecs ? parseClientSubnetOption(ecs.data).subnet : null,
+    forwardedSubnets: getForwardedSubnets(ctx, chain),
+  });
+}
+
+/**
+ * Build a cache key from the fields that select an answer
+ *
+ * @param {Object} question - Query fields
+ * @param {string} question.name - Query name
+ * @param {number} question.type - Query type
+ * @param {number} [question.qclass] - Query class (default IN)
+ * @param {boolean} [question.dnssecOk] - DO bit
+ * @param {boolean} [question.checkingDisabled] - CD bit
+ * @param {string} [question.clientSubnet] - ECS subnet as "address/prefix"
+ * @param {Array<string>} [question.forwardedSubnets] - Subnets sent
+ *   upstream in place of the client's
+ * @returns {string} Cache key URL
+ */
+function buildCacheKey(question) {
+  const params = new URLSearchParams({
+    do: question.dnssecOk ? "1" : "0",
+    cd: question.checkingDisabled ? "1" : "0",
+  });
+  if (question.clientSubnet) {
+    params.set("ecs", question.clientSubnet);
+  }
+  if (question.forwardedSubnets?.length) {
+    params.set("upstream_ecs", question.forwardedSubnets.join(","));
+  }
+
+  return `${getKeyPrefix(question)}?${params}`;
+}
+
+/**
+ * Get the part of a cache key shared by all variants of a question
+ *
+ * @param {Object} question - Query name, type and class
+ * @returns {string} Key URL without its query string
+ */
+function getKeyPrefix({ name, type, qclass = DnsClass.IN }) {
+  return `${CACHE_KEY_ORIGIN}/${encodeURIComponent(foldName(name))}/${type}/${qclass}`;
+}
+
+/**
+ * Get the query name a cache key was built from
+ *
+ * @param {string} cacheKey - Cache key
+ * @returns {string} Case-folded name
+ */
+function getKeyName(cacheKey) {
+  const path = cacheKey.slice(CACHE_KEY_ORIGIN.length + 1);
+  return decodeURIComponent(path.slice(0, path.indexOf("/")));
+}
+
+/**
+ * Fold a domain name for use in cache keys
+ *
+ * @param {string} name - Domain name
+ * @returns {string} Lower-case name without the trailing dot
+ */
+function foldName(name) {
+  return name.toLowerCase().replace(/\.$/, "") || ".";
+}
+
+/**
+ * Wait for a promise for at most a given time
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise} The promise's value, or null on timeout
+ */
+function withTimeout(promise, timeout) {
+  let timeoutId;
+  const timer = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve(null), timeout);
+  });
+
+  return Promise.race([promise, timer]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Look up the cached answer for a question, for the cache API
+ *
+ * Nothing is counted, aged out or copied into memory, so looking an entry
+ * up doesn't change how queries are answered.
+ *
+ * @param {Object} args - Cache plugin arguments
+ * @param {Object} question - Query fields, as taken by buildCacheKey
+ * @returns {Promise<Object|null>} The entry's `key`, `tier` ("l1" or
+ *   "l2"), `kind`, remaining `ttl` in seconds (null if unknown), whether it
+ *   is `stale`, its `rcode` and its `answers` and `authorities` with TTLs
+ *   counted down; null if not cached
+ */
+export async function inspectCacheEntry(args, question) {
+  const key = buildCacheKey(question);
+  const now = Date.now();
+
+  let tier = "l1";
+  let entry = getCacheState(args).memory.peek(key);
+  if (!entry || now >= entry.evictAt) {
+    tier = "l2";
+    const cacheResponse = await caches.default.match(key);
+    entry = cacheResponse ? await readCacheResponse(cacheResponse) : null;
+  }
+  if (!entry) {
+    return null;
+  }
+
+  const { buffer, stored, expires, kind } = entry;
+  const fresh = !expires || now < expires;
+  const response = parseDnsResponse(
+    expires
+      ? rewriteResponse(buffer, {
+          age: Math.floor((now - stored) / 1000),
+          maxTtl: Math.max(Math.ceil((expires - now) / 1000), 0),
+        }) || buffer
+      : buffer
+  );
+
+  return {
+    key,
+    tier,
+    kind,
+    ttl: expires ? Math.max(Math.ceil((expires - now) / 1000), 0) : null,
+    stale: !fresh,
+    rcode: response.rcode,
+    answers: response.answers.map(formatRecord),
+    authorities: response.authorities.map(formatRecord),
+  };
+}
+
+/**
+ * Give a record its presentation form for the API
+ *
+ * @param {Object} record - Parsed record
+ * @returns {Object} Record with displayable data
+ */
+function formatRecord(record) {
+  return { ...record, data: formatRecordData(record) };
+}
+
+/**
+ * Remove the cached answers for a name, type and class
+ *
+ * All variants are removed from memory. In the Cache API, which can't be
+ * listed, the variants without a client subnet are removed; entries for
+ * ECS queries expire on their own.
+ *
+ * @param {Object} args - Cache plugin arguments
+ * @param {Object} question - Query `name`, `type` and `qclass`
+ * @returns {Promise<Object>} Number of entries removed from `l1` and `l2`
+ */
+export async function purgeCacheEntry(args, question) {
+  const { memory } = getCacheState(args);
+  const prefix = `${getKeyPrefix(question)}?`;
+  const removed = { l1: 0, l2: 0 };
+
+  for (const key of memory.keys()) {
+    if (key.startsWith(prefix) && memory.delete(key)) {
+      removed.l1++;
+    }
+  }
+
+  for (const dnssecOk of [false, true]) {
+    for (const checkingDisabled of [false, true]) {
+      const key = buildCacheKey({ ...question, dnssecOk, checkingDisabled });
+      if (await caches.default.delete(key)) {
+        removed.l2++;
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Remove the cached answers for a domain and its subdomains from memory
+ *
+ * @param {Object} args - Cache plugin arguments
+ * @param {string} suffix - Domain name
+ * @returns {number} Number of entries removed
+ */
+export function purgeCacheSuffix(args, suffix) {
+  const { memory } = getCacheState(args);
+  const domain = foldName(suffix);
+  let removed = 0;
+
+  for (const key of memory.keys()) {
+    const name = getKeyName(key);
+    if (
+      (domain === "." || name === domain || name.endsWith(`.${domain}`)) &&
+      memory.delete(key)
+    ) {
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Get the counters of a cache instance since the isolate started
+ *
+ * @param {Object} args - Cache plugin arguments
+ * @returns {Object} Hits and misses per tier, the memory tier's size and
+ *   the number of prefetches
+ */
+export function getCacheInstanceStats(args) {
+  const { memory, stats } = getCacheState(args);
+  return {
+    l1: { ...stats.l1, entries: memory.size, bytes: memory.bytes },
+    l2: { ...stats.l2 },
+    prefetches: stats.prefetches,
+  };
+}
+
 /**
  * Register the cache plugin
  */
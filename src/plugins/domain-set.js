@@ -6,10 +6,15 @@
  */
 
 import { registerPlugin } from "../core/plugin-chain.js";
+import { loadDomainIndex, resolveDataKey } from "../core/data-loader.js";
+import { createDomainIndex } from "../utils/domain-index.js";
 
-// Cache for domain sets
+// Domain sets declared in the plugin chain, by tag
 const domainSetCache = new Map();
 
+// Domain set state, keyed by the plugin's args object
+const domainSetStates = new WeakMap();
+
 /**
  * Execute domain set plugin
  *
@@ -18,43 +23,15 @@ const domainSetCache = new Map();
  * @returns {Promise<boolean>} True if domain is in set
  */
 export async function executeDomainSet(ctx, args) {
-  const { files = [], domains = [], includeSubdomains = true } = args;
-
   try {
     const queryDomain = ctx.getQueryDomain();
     if (!queryDomain) {
       return false;
     }
 
-    // Combine domains from args and files
-    const domainSet = new Set(domains);
-
-    // Load domains from files if provided
-    if (files && files.length > 0) {
-      await loadDomainsFromFiles(files, domainSet);
-    }
-
     // Match query domain against our domain set
-    let matched = false;
-
-    // Check for exact match
-    if (domainSet.has(queryDomain)) {
-      matched = true;
-    }
-    // Check for subdomain match if enabled
-    else if (includeSubdomains) {
-      // Split domain into parts
-      const parts = queryDomain.split(".");
-
-      // Try matching at each level
-      for (let i = 1; i < parts.length; i++) {
-        const parent = parts.slice(i).join(".");
-        if (domainSet.has(parent)) {
-          matched = true;
-          break;
-        }
-      }
-    }
+    const indexes = await getIndexes(getState(args), ctx.env);
+    const matched = indexes.some((index) => index.has(queryDomain));
 
     if (matched) {
       // Tag the context
@@ -70,55 +47,107 @@ export async function executeDomainSet(ctx, args) {
 }
 
 /**
- * Load domains from files
+ * Get the state of a domain set
  *
- * @param {Array<string>} files - Array of file paths
- * @param {Set<string>} domainSet - Set to add domains to
+ * @param {Object} args - Plugin arguments
+ * @returns {Object} State with the args, domains added at runtime and the
+ *   compiled inline index
  */
-async function loadDomainsFromFiles(files, domainSet) {
-  for (const file of files) {
-    // Check cache first
-    if (domainSetCache.has(file)) {
-      const cachedDomains = domainSetCache.get(file);
-      cachedDomains.forEach((domain) => domainSet.add(domain));
-      continue;
-    }
+function getState(args) {
+  let state = domainSetStates.get(args);
+  if (!state) {
+    state = { args, extra: new Set(), inline: null };
+    domainSetStates.set(args, state);
+  }
+  return state;
+}
 
-    try {
-      // In Cloudflare Workers, we would load from KV store
-      // For this example, we'll just log that we would load from the file
-      console.log(`Would load domains from file: ${file}`);
+/**
+ * Get the compiled indexes of a domain set
+ *
+ * Inline `domains` (plus any added with addToDomainSet) are compiled once;
+ * `files` are loaded from DATA_KV through the data loader, so they follow
+ * its cache expiry.
+ *
+ * @param {Object} state - Domain set state
+ * @param {Object} env - Environment with KV bindings
+ * @returns {Promise<Array<Object>>} Domain indexes
+ */
+async function getIndexes(state, env) {
+  const { files = [], domains = [], includeSubdomains = true } = state.args;
 
-      // Simulate loading from KV store
-      // const domainList = await KV.get(file);
-      const domainList = [];
+  // Plain entries match subdomains too unless disabled
+  const defaultKind = includeSubdomains ? "domain" : "full";
 
-      // Add to cache
-      domainSetCache.set(file, domainList);
+  if (!state.inline) {
+    state.inline = createDomainIndex([...domains, ...state.extra], {
+      defaultKind,
+    });
+  }
 
-      // Add to set
-      domainList.forEach((domain) => domainSet.add(domain));
-    } catch (error) {
-      console.error(`Error loading domains from file ${file}:`, error);
+  const indexes = [state.inline];
+  for (const file of Array.isArray(files) ? files : [files]) {
+    if (file) {
+      indexes.push(
+        await loadDomainIndex(resolveDataKey(file, "domains"), env, defaultKind)
+      );
     }
   }
+
+  return indexes;
+}
+
+/**
+ * Make a configured domain set available by its tag
+ *
+ * @param {Object} args - Plugin arguments
+ * @param {string} tag - Plugin tag
+ */
+function declareDomainSet(args, tag) {
+  domainSetCache.set(tag, getState(args));
 }
 
 /**
  * Register the domain set plugin
  */
 export function register() {
-  registerPlugin("domain_set", executeDomainSet);
+  registerPlugin("domain_set", executeDomainSet, declareDomainSet);
 }
 
 /**
- * Get a cached domain set by tag
+ * Get a domain set by tag
+ *
+ * Resolves the set's files from DATA_KV, so the returned matcher covers
+ * the inline `domains`, any added with addToDomainSet and the lists as
+ * currently cached by the data loader, with the same rule semantics as the
+ * plugin itself. This replaces the synchronous `Set` of raw entries the
+ * function used to return, which could not include the set's files.
  *
  * @param {string} tag - Domain set tag
- * @returns {Set<string>|null} Set of domains or null if not found
+ * @param {Object} env - Environment with KV bindings
+ * @returns {Promise<Object|null>} Matcher with `has(domain)`, or null if
+ *   no set has that tag
+ */
+export async function getDomainSet(tag, env) {
+  const state = domainSetCache.get(tag);
+  if (!state) {
+    return null;
+  }
+
+  const indexes = await getIndexes(state, env);
+  return {
+    has: (domain) => indexes.some((index) => index.has(domain)),
+  };
+}
+
+/**
+ * Forget all domain sets declared by tag
+ *
+ * Called before a new plugin chain is created, so sets from a previous
+ * configuration are no longer resolvable.
  */
-export function getDomainSet(tag) {
-  return domainSetCache.get(tag) || null;
+export function resetDomainSets() {
+  domainSetCache.clear();
 }
 
 /**
@@ -133,12 +162,13 @@ export function addToDomainSet(tag, domains) {
     return false;
   }
 
-  let set = domainSetCache.get(tag);
-  if (!set) {
-    set = new Set();
-    domainSetCache.set(tag, set);
+  let state = domainSetCache.get(tag);
+  if (!state) {
+    state = getState({});
+    domainSetCache.set(tag, state);
   }
 
-  domains.forEach((domain) => set.add(domain));
+  domains.forEach((domain) => state.extra.add(domain));
+  state.inline = null;
   return true;
 }
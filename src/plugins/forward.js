@@ -5,6 +5,24 @@
  */
 
 import { registerPlugin } from "../core/plugin-chain";
+import {
+  createClientSubnetOption,
+  encodeDnsMessage,
+  parseClientSubnetOption,
+  parseDnsMessage,
+} from "../core/dns-message.js";
+import { EdnsOption, RRType } from "../core/types.js";
+import {
+  getHealthOptions,
+  isUpstreamAvailable,
+  recordUpstreamAttempt,
+  recordUpstreamFailure,
+  recordUpstreamSuccess,
+} from "../core/upstream-health.js";
+
+// Default ECS source prefixes (RFC 7871 section 11.1)
+const DEFAULT_ECS_IPV4_PREFIX = 24;
+const DEFAULT_ECS_IPV6_PREFIX = 56;
 
 /**
  * Register the forward plugin
@@ -16,6 +34,19 @@ export function register() {
 /**
  * Execute the forward plugin
  *
+ * Upstream health is tracked per URL: after `failure_threshold` consecutive
+ * failures (default 5) the upstream is skipped for `circuit_cooldown` ms
+ * (default 30000) before a single probe query is let through.
+ *
+ * EDNS Client Subnet (RFC 7871) can be set on the outgoing query:
+ * - `edns_client_subnet`: send the client's address from the
+ *   CF-Connecting-IP header, truncated to `ecs_ipv4_prefix` (default 24)
+ *   or `ecs_ipv6_prefix` (default 56) bits
+ * - `ecs_subnet`: always send this subnet ("address/prefix") instead
+ * - `ecs_strip`: otherwise remove any subnet sent by the client
+ * The client's own ECS option is replaced in all three cases, and the
+ * response's EDNS is put back to what the client sent.
+ *
  * @param {DnsContext} ctx - DNS request context
  * @param {Object} args - Plugin arguments
  * @returns {Promise<boolean>} True if successful
@@ -24,14 +55,15 @@ export async function executeForward(ctx, args) {
   const {
     upstream = "https://security.cloudflare-dns.com/dns-query",
     timeout = 5000,
-    edns_client_subnet = false,
     use_http = false,
     headers = {},
   } = args;
 
+  const healthOptions = getHealthOptions(args);
+  let upstreamUrl = upstream;
+
   try {
     // Normalize the upstream URL
-    let upstreamUrl = upstream;
     if (!upstreamUrl.startsWith("http")) {
       upstreamUrl = `https://${upstreamUrl}/dns-query`;
     }
@@ -39,6 +71,14 @@ export async function executeForward(ctx, args) {
     // Save upstream used for metrics
     ctx.metadata.upstream = upstreamUrl;
 
+    // Don't query an upstream whose circuit breaker is open
+    if (!isUpstreamAvailable(upstreamUrl)) {
+      ctx.metadata.upstreamError = "Upstream circuit open";
+      return false;
+    }
+
+    const query = prepareQuery(ctx, args);
+
     // Prepare fetch options
     const fetchOptions = {
       method: "POST",
@@ -47,34 +87,41 @@ export async function executeForward(ctx, args) {
         "Content-Type": "application/dns-message",
         ...headers,
       },
-      body: ctx.dnsMessage,
+      body: query.body,
       cf: { cacheTtl: 300 }, // Use Cloudflare edge cache when possible
     };
 
-    // Set up request timeout
+    // Set up request timeout, and abort early if the caller stops waiting
+    // (e.g. another upstream already answered a parallel query)
     const controller = new AbortController();
     const timeoutId = setTimeout(
       () => controller.abort("DNS query timeout"),
       timeout
     );
-    fetchOptions.signal = controller.signal;
-
-    // Add EDNS Client Subnet if requested
-    if (
-      edns_client_subnet &&
-      ctx.metadata.clientInfo &&
-      ctx.metadata.clientInfo.ip
-    ) {
-      // In a real implementation, we would modify the DNS query to include ECS
-      // This would require more complex DNS message manipulation
-      console.log("Would add ECS for client IP:", ctx.metadata.clientInfo.ip);
+    const onAbort = () => controller.abort(ctx.signal.reason);
+    if (ctx.signal) {
+      if (ctx.signal.aborted) {
+        onAbort();
+      } else {
+        ctx.signal.addEventListener("abort", onAbort, { once: true });
+      }
     }
+    fetchOptions.signal = controller.signal;
 
     // Execute the fetch
     console.log("Fetching from:", upstreamUrl);
     console.log("Fetch options:", fetchOptions);
-    const response = await fetch(upstreamUrl, fetchOptions);
-    clearTimeout(timeoutId);
+    let response;
+    const startTime = Date.now();
+    recordUpstreamAttempt(upstreamUrl, healthOptions);
+    try {
+      response = await fetch(upstreamUrl, fetchOptions);
+    } finally {
+      clearTimeout(timeoutId);
+      if (ctx.signal) {
+        ctx.signal.removeEventListener("abort", onAbort);
+      }
+    }
 
     // Check for error responses
     if (!response.ok) {
@@ -84,7 +131,12 @@ export async function executeForward(ctx, args) {
     }
 
     // Process the response
-    const responseBuffer = await response.arrayBuffer();
+    let responseBuffer = await response.arrayBuffer();
+    recordUpstreamSuccess(upstreamUrl, Date.now() - startTime);
+
+    if (query.rewritten) {
+      responseBuffer = restoreClientEdns(responseBuffer, query.clientEdns);
+    }
 
     // Set response on context
     ctx.setResponse(responseBuffer);
@@ -96,13 +148,176 @@ export async function executeForward(ctx, args) {
     console.log("Response:", response);
     return true;
   } catch (error) {
+    // Cancelled by the caller, nothing went wrong upstream
+    if (ctx.signal && ctx.signal.aborted) {
+      return false;
+    }
+
     console.error("Error in forward plugin:", error);
 
     // Record error
     ctx.metadata.upstreamError = error.message;
+    recordUpstreamFailure(upstreamUrl, error, healthOptions);
 
     // Don't set an error response, let other plugins handle it
     // or let the default error handler kick in
     return false;
   }
 }
+
+/**
+ * Build the query sent upstream, applying the ECS settings
+ *
+ * A subnet that can't be used (e.g. an invalid `ecs_subnet`) is logged and
+ * the client's query is sent unchanged.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} args - Plugin arguments
+ * @returns {Object} Query `body`, whether it was `rewritten`, and the
+ *   client's EDNS parameters (`clientEdns`)
+ */
+function prepareQuery(ctx, args) {
+  const unchanged = { body: ctx.dnsMessage, rewritten: false };
+
+  try {
+    const subnet = getClientSubnet(ctx, args);
+    if (subnet === undefined) {
+      return unchanged;
+    }
+
+    const message = parseDnsMessage(ctx.dnsMessage);
+    const clientEdns = message.edns;
+    const options = (clientEdns?.options || []).filter(
+      (option) => option.code !== EdnsOption.ECS
+    );
+
+    // Nothing to strip
+    if (
+      subnet === null &&
+      options.length === (clientEdns?.options || []).length
+    ) {
+      return unchanged;
+    }
+
+    if (subnet) {
+      const option = createClientSubnetOption(subnet);
+      options.push(option);
+      ctx.metadata.ecs = parseClientSubnetOption(option.data).subnet;
+    }
+
+    return {
+      body: encodeDnsMessage({
+        ...message,
+        edns: { ...clientEdns, options },
+      }),
+      rewritten: true,
+      clientEdns,
+    };
+  } catch (error) {
+    console.error("Error setting EDNS client subnet:", error);
+    return unchanged;
+  }
+}
+
+/**
+ * Get the client subnet a forward instance sends upstream for a query
+ *
+ * Lets the cache key answers by the subnet they are resolved for before
+ * the query is forwarded.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} args - Plugin arguments
+ * @returns {string|null} Subnet as "address/prefix", truncated to the
+ *   prefix as it is sent, or null if the instance doesn't add one
+ */
+export function getOutgoingSubnet(ctx, args) {
+  try {
+    const subnet = getClientSubnet(ctx, args);
+    return subnet
+      ? parseClientSubnetOption(createClientSubnetOption(subnet).data).subnet
+      : null;
+  } catch (error) {
+    // An unusable subnet is not sent (see prepareQuery)
+    return null;
+  }
+}
+
+/**
+ * Get the client subnet to send upstream
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} args - Plugin arguments
+ * @returns {string|null|undefined} Subnet as "address/prefix", null to
+ *   remove the client's subnet, or undefined to leave the query alone
+ */
+function getClientSubnet(ctx, args) {
+  const {
+    edns_client_subnet = false,
+    ecs_subnet = null,
+    ecs_strip = false,
+    ecs_ipv4_prefix = DEFAULT_ECS_IPV4_PREFIX,
+    ecs_ipv6_prefix = DEFAULT_ECS_IPV6_PREFIX,
+  } = args;
+
+  if (ecs_subnet) {
+    return ecs_subnet;
+  }
+
+  const clientIp =
+    edns_client_subnet && ctx.request?.headers?.get("CF-Connecting-IP");
+  if (clientIp) {
+    const prefix = clientIp.includes(":") ? ecs_ipv6_prefix : ecs_ipv4_prefix;
+    return `${clientIp}/${prefix}`;
+  }
+
+  return ecs_strip || edns_client_subnet ? null : undefined;
+}
+
+/**
+ * Give a response the EDNS the client asked with
+ *
+ * Once the query's ECS was changed, the upstream's ECS option describes a
+ * subnet the client never sent (RFC 7871 section 7.2.2), and an OPT record
+ * added to a query without one must not reach the client (RFC 6891).
+ *
+ * @param {ArrayBuffer} responseBuffer - Upstream response
+ * @param {Object|null} clientEdns - EDNS parameters of the client's query
+ * @returns {ArrayBuffer} Response for the client
+ */
+function restoreClientEdns(responseBuffer, clientEdns) {
+  try {
+    const message = parseDnsMessage(responseBuffer);
+    if (!message.edns) {
+      return responseBuffer;
+    }
+
+    if (!clientEdns) {
+      return encodeDnsMessage({
+        ...message,
+        additionals: message.additionals.filter(
+          (record) => record.type !== RRType.OPT
+        ),
+        edns: null,
+      });
+    }
+
+    const clientEcs = clientEdns.options.filter(
+      (option) => option.code === EdnsOption.ECS
+    );
+    return encodeDnsMessage({
+      ...message,
+      edns: {
+        ...message.edns,
+        options: [
+          ...message.edns.options.filter(
+            (option) => option.code !== EdnsOption.ECS
+          ),
+          ...clientEcs,
+        ],
+      },
+    });
+  } catch (error) {
+    console.error("Error restoring response EDNS:", error);
+    return responseBuffer;
+  }
+}
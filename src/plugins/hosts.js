@@ -2,12 +2,27 @@
  * Hosts Plugin
  * 
  * Implements local DNS resolution similar to a hosts file.
- * Allows specifying static A/AAAA records for domains.
+ * Allows specifying static A/AAAA records and CNAME aliases for domains,
+ * either inline or in hosts files stored in DATA_KV, and answers PTR
+ * queries for every configured address.
  */
 
 import { registerPlugin } from '../core/plugin-chain';
-import { RRType, RCODE } from '../core/types';
-import { normalizeDomain } from '../utils/dns-util';
+import { DnsContext } from '../core/context';
+import { RRType, RCODE, DnsClass, HeaderFlag } from '../core/types';
+import { buildDnsResponse, encodeDnsMessage, parseDnsMessage } from '../core/dns-message';
+import { loadHostsFile, resolveDataKey } from '../core/data-loader';
+import { normalizeDomain, isIpAddress, createSoaRecord, ipToReverseName } from '../utils/dns-util';
+import { executeForward } from './forward';
+
+// Query types answered from the hosts table
+const HANDLED_TYPES = [RRType.A, RRType.AAAA, RRType.CNAME, RRType.PTR];
+
+// Maximum number of CNAME records in a synthesized alias chain
+const MAX_CNAME_CHAIN = 8;
+
+// Compiled lookup tables, keyed by the plugin's args object
+const compiledTables = new WeakMap();
 
 /**
  * Register the hosts plugin
@@ -25,7 +40,6 @@ export function register() {
  */
 export async function executeHosts(ctx, args) {
   const {
-    hosts = {},         // Map of domain -> IP(s)
     ttl = 300,          // TTL for responses
     passThrough = true  // Whether to pass through unmatched domains
   } = args;
@@ -42,46 +56,56 @@ export async function executeHosts(ctx, args) {
     // Normalize the query domain
     const normalizedDomain = normalizeDomain(queryDomain);
     
-    // Only handle A and AAAA queries
-    if (queryType !== RRType.A && queryType !== RRType.AAAA) {
+    // Only handle address, alias and reverse-lookup queries
+    if (!HANDLED_TYPES.includes(queryType)) {
       return false;
     }
     
+    const table = await getHostsTable(ctx, args);
+
+    // Reverse lookups are answered from the addresses of every named entry
+    if (queryType === RRType.PTR) {
+      const hostnames = table.reverse.get(normalizedDomain);
+      if (!hostnames) {
+        return false;
+      }
+
+      const answers = hostnames.map(hostname => ({
+        name: queryDomain,
+        type: RRType.PTR,
+        class: DnsClass.IN,
+        ttl,
+        data: hostname
+      }));
+
+      ctx.setResponse(buildHostsResponse(ctx, queryDomain, answers, ttl));
+      ctx.addTag('hosts_resolved');
+      return true;
+    }
+
     // Check if we have a hosts entry for this domain
-    if (!hosts[normalizedDomain]) {
+    const entry = lookupHosts(table, normalizedDomain);
+    if (!entry) {
       return false;
     }
+
+    const { answers, rcode } = entry.target
+      ? await resolveAlias(ctx, table, queryDomain, entry, queryType, args)
+      : { answers: addressRecords(queryDomain, entry.ips, queryType, ttl), rcode: RCODE.NOERROR };
     
-    // Get the IP address(es) for this domain
-    let ips = hosts[normalizedDomain];
-    if (!Array.isArray(ips)) {
-      ips = [ips];
-    }
-    
-    // Filter IPs based on query type (IPv4 for A, IPv6 for AAAA)
-    const filteredIps = ips.filter(ip => {
-      const isIPv6 = ip.includes(':');
-      return (queryType === RRType.A && !isIPv6) || (queryType === RRType.AAAA && isIPv6);
-    });
-    
-    if (filteredIps.length === 0) {
+    if (answers.length === 0) {
       if (passThrough) {
         return false; // Let other plugins handle it
-      } else {
-        // Return NODATA response (NOERROR with no answers)
-        ctx.setError(RCODE.NOERROR);
-        return true;
       }
+
+      // The name exists but has no records of this type: answer NODATA
+      // (NOERROR with no answers) with an SOA so resolvers can cache it
+      ctx.setResponse(buildHostsResponse(ctx, queryDomain, [], ttl));
+      ctx.addTag('hosts_resolved');
+      return true;
     }
-    
-    // In a real implementation, we would construct a proper DNS response
-    // with the A/AAAA records. For this example, we'll just log what we'd do
-    console.log(`Would respond to ${queryDomain} with ${filteredIps.join(', ')}`);
-    
-    // Set a mock response for now
-    // In a real implementation, this would be generated with proper records
-    const responseBuffer = generateMockResponse(ctx.dnsMessage, filteredIps, ttl);
-    ctx.setResponse(responseBuffer);
+
+    ctx.setResponse(buildHostsResponse(ctx, queryDomain, answers, ttl, rcode));
     ctx.addTag('hosts_resolved');
     
     return true;
@@ -92,36 +116,338 @@ export async function executeHosts(ctx, args) {
 }
 
 /**
- * Generate a mock DNS response
+ * Build A/AAAA records for the addresses matching the query type
+ * 
+ * @param {string} name - Owner name of the records
+ * @param {Array<string>} ips - Configured addresses
+ * @param {number} queryType - Query type (A or AAAA)
+ * @param {number} ttl - Record TTL
+ * @returns {Array<Object>} Answer records
+ */
+function addressRecords(name, ips, queryType, ttl) {
+  // Filter IPs based on query type (IPv4 for A, IPv6 for AAAA)
+  return ips
+    .filter(ip => {
+      const isIPv6 = ip.includes(':');
+      return (queryType === RRType.A && !isIPv6) || (queryType === RRType.AAAA && isIPv6);
+    })
+    .map(ip => ({
+      name,
+      type: queryType,
+      class: DnsClass.IN,
+      ttl,
+      data: ip
+    }));
+}
+
+/**
+ * Resolve an alias entry into a CNAME chain
+ * 
+ * Targets are followed through the hosts table first; a target the table
+ * does not know is resolved upstream and the upstream answers are appended
+ * to the chain. Loops and chains longer than MAX_CNAME_CHAIN stop at the
+ * last CNAME.
+ * 
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} table - Compiled hosts table
+ * @param {string} queryDomain - Queried domain name
+ * @param {Object} entry - Hosts entry of the queried domain
+ * @param {number} queryType - Query type
+ * @param {Object} args - Plugin arguments
+ * @returns {Promise<Object>} Answer records and response code
+ */
+async function resolveAlias(ctx, table, queryDomain, entry, queryType, args) {
+  const { ttl = 300 } = args;
+  const answers = [];
+  const seen = new Set([normalizeDomain(queryDomain)]);
+  let owner = queryDomain;
+  let current = entry;
+
+  while (current.target) {
+    answers.push({
+      name: owner,
+      type: RRType.CNAME,
+      class: DnsClass.IN,
+      ttl,
+      data: current.target
+    });
+
+    // A CNAME query is answered by the alias itself
+    if (queryType === RRType.CNAME || seen.has(current.target) || seen.size >= MAX_CNAME_CHAIN) {
+      return { answers, rcode: RCODE.NOERROR };
+    }
+
+    seen.add(current.target);
+    owner = current.target;
+    current = lookupHosts(table, owner);
+
+    if (!current) {
+      const upstream = await resolveUpstream(ctx, owner, queryType, args);
+      if (!upstream) {
+        return { answers, rcode: RCODE.NOERROR };
+      }
+      return { answers: [...answers, ...upstream.answers], rcode: upstream.rcode };
+    }
+  }
+
+  return {
+    answers: [...answers, ...addressRecords(owner, current.ips, queryType, ttl)],
+    rcode: RCODE.NOERROR
+  };
+}
+
+/**
+ * Resolve an alias target through the forward plugin
+ * 
+ * @param {DnsContext} ctx - DNS request context
+ * @param {string} name - Target domain name
+ * @param {number} type - Query type
+ * @param {Object} args - Plugin arguments (`upstream`, `timeout`)
+ * @returns {Promise<Object|null>} Upstream answers and response code, or null on failure
+ */
+async function resolveUpstream(ctx, name, type, args) {
+  const { upstream, timeout } = args;
+
+  try {
+    const query = encodeDnsMessage({
+      header: { id: 0, flags: HeaderFlag.RD },
+      questions: [{ name, type }]
+    });
+
+    const subContext = new DnsContext(ctx.request, query);
+    subContext.env = ctx.env;
+
+    const forwarded = await executeForward(subContext, { upstream, timeout });
+    if (!forwarded || !subContext.response) {
+      return null;
+    }
+
+    const message = parseDnsMessage(subContext.response);
+    return {
+      answers: message.answers,
+      rcode: message.header.flags & HeaderFlag.RCODE
+    };
+  } catch (error) {
+    console.error('Error chasing hosts alias upstream:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the compiled hosts table for a plugin instance
+ * 
+ * Merges the inline `hosts` map with every file in `files`. The table is
+ * rebuilt only when one of its sources changes (the data loader hands out
+ * a new object once its cache entry expires or the file is re-uploaded).
+ * 
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} args - Plugin arguments
+ * @returns {Promise<Object>} Compiled hosts table
+ */
+async function getHostsTable(ctx, args) {
+  const { hosts = {}, files = [] } = args;
+  const sources = [hosts];
+
+  for (const file of Array.isArray(files) ? files : [files]) {
+    if (file) {
+      sources.push(await loadHostsFile(resolveDataKey(file, 'hosts'), ctx.env));
+    }
+  }
+
+  const cached = compiledTables.get(args);
+  if (
+    cached &&
+    cached.sources.length === sources.length &&
+    cached.sources.every((source, i) => source === sources[i])
+  ) {
+    return cached.table;
+  }
+
+  const table = compileHostsTable(sources);
+  compiledTables.set(args, { sources, table });
+  return table;
+}
+
+/**
+ * Compile hosts mappings into a lookup table
+ * 
+ * Keys are host names (exact match), wildcards (`*.example.com` matches
+ * subdomains but not the name itself) or MosDNS-style rules: `full:`,
+ * `domain:` (the name and its subdomains), `keyword:` (substring) and
+ * `regexp:`. Values are IP addresses or a host name, which makes the
+ * entry an alias (CNAME) for that name. Values for the same rule are
+ * merged across sources.
+ * 
+ * @param {Array<Object>} sources - Mappings of rule to IP(s) or alias target
+ * @returns {Object} Lookup table
+ */
+function compileHostsTable(sources) {
+  const table = {
+    full: new Map(),
+    wildcard: new Map(),
+    domain: new Map(),
+    keyword: new Map(),
+    regexp: new Map(),
+    reverse: new Map()
+  };
+
+  for (const source of sources) {
+    for (const [rule, value] of Object.entries(source)) {
+      const values = Array.isArray(value) ? value : [value];
+      const match = rule.match(/^(domain|full|keyword|regexp):(.*)$/);
+      let kind = match ? match[1] : 'full';
+      let pattern = kind === 'regexp' ? match[2] : normalizeDomain(match ? match[2] : rule);
+
+      if (kind === 'full' && pattern.startsWith('*.')) {
+        kind = 'wildcard';
+        pattern = pattern.slice(2);
+      }
+
+      const bucket = table[kind];
+      bucket.set(pattern, [...new Set([...(bucket.get(pattern) || []), ...values])]);
+    }
+  }
+
+  for (const kind of ['full', 'wildcard', 'domain', 'keyword', 'regexp']) {
+    for (const [pattern, values] of table[kind]) {
+      table[kind].set(pattern, toHostsEntry(values));
+    }
+  }
+
+  // Every address of a named entry answers the matching PTR query
+  for (const kind of ['full', 'domain']) {
+    for (const [hostname, entry] of table[kind]) {
+      for (const ip of entry.ips) {
+        const reverseName = ipToReverseName(ip);
+        const hostnames = table.reverse.get(reverseName) || [];
+        if (!hostnames.includes(hostname)) {
+          table.reverse.set(reverseName, [...hostnames, hostname]);
+        }
+      }
+    }
+  }
+
+  // Compile regular expressions once
+  table.regexp = [...table.regexp]
+    .map(([source, entry]) => [compileRegExp(source), entry])
+    .filter(([regex]) => regex);
+
+  return table;
+}
+
+/**
+ * Compile the pattern of a `regexp:` rule
+ * 
+ * An invalid pattern is skipped with a warning rather than failing the
+ * whole table.
+ * 
+ * @param {string} source - Regular expression source
+ * @returns {RegExp|null} Compiled expression, or null if invalid
+ */
+function compileRegExp(source) {
+  try {
+    return new RegExp(source);
+  } catch (error) {
+    console.warn(`Skipping invalid hosts rule "regexp:${source}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Split the values of a rule into addresses and an alias target
+ * 
+ * Addresses that can't be put in an answer, such as scoped IPv6 addresses
+ * (`fe80::1%lo0`), are skipped with a warning rather than failing the
+ * whole table.
+ * 
+ * @param {Array<string>} values - IP addresses and/or host names
+ * @returns {Object} Entry with `ips` and `target` (null unless an alias)
+ */
+function toHostsEntry(values) {
+  const ips = values.filter(value => isIpAddress(value) && isUsableAddress(value));
+  const target = values.find(value => !isIpAddress(value));
+
+  return { ips, target: target ? normalizeDomain(target) : null };
+}
+
+/**
+ * Check that a hosts address can be encoded in an answer
+ * 
+ * @param {string} ip - Address accepted by isIpAddress
+ * @returns {boolean} True if usable
+ */
+function isUsableAddress(ip) {
+  try {
+    ipToReverseName(ip);
+    return true;
+  } catch (error) {
+    console.warn(`Skipping invalid hosts address "${ip}":`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Look up the hosts entry for a domain
+ * 
+ * Exact names take precedence over wildcards and `domain:` rules (longest
+ * suffix first), then `regexp:` and finally `keyword:` rules, as in MosDNS.
  * 
- * In a real implementation, this would properly construct a DNS response packet.
- * For this example, we're just modifying the query to look like a response.
+ * @param {Object} table - Compiled hosts table
+ * @param {string} domain - Normalized query domain
+ * @returns {Object|null} Hosts entry, or null if nothing matches
+ */
+function lookupHosts(table, domain) {
+  if (table.full.has(domain)) {
+    return table.full.get(domain);
+  }
+
+  let suffix = domain;
+  while (suffix) {
+    if (table.domain.has(suffix)) {
+      return table.domain.get(suffix);
+    }
+    if (suffix !== domain && table.wildcard.has(suffix)) {
+      return table.wildcard.get(suffix);
+    }
+    const dot = suffix.indexOf('.');
+    suffix = dot === -1 ? '' : suffix.slice(dot + 1);
+  }
+
+  for (const [regex, entry] of table.regexp) {
+    if (regex.test(domain)) {
+      return entry;
+    }
+  }
+
+  for (const [keyword, entry] of table.keyword) {
+    if (domain.includes(keyword)) {
+      return entry;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an authoritative response for a hosts entry
  * 
- * @param {Object} dnsMessage - Original DNS message
- * @param {Array<string>} ips - IP addresses for the response
- * @param {number} ttl - TTL for the response
+ * @param {DnsContext} ctx - DNS request context
+ * @param {string} queryDomain - Queried domain name
+ * @param {Array<Object>} answers - Answer records (empty for NODATA)
+ * @param {number} ttl - TTL used for the negative-caching SOA
+ * @param {number} rcode - Response code
  * @returns {ArrayBuffer} DNS response buffer
  */
-function generateMockResponse(dnsMessage, ips, ttl) {
-  if (!dnsMessage || !dnsMessage.buffer) {
+function buildHostsResponse(ctx, queryDomain, answers, ttl, rcode = RCODE.NOERROR) {
+  const query = ctx.getQuery();
+  if (!query || query.questions.length === 0) {
     throw new Error('Invalid DNS message');
   }
-  
-  // Clone the original message buffer
-  const responseBuffer = new ArrayBuffer(dnsMessage.buffer.byteLength);
-  new Uint8Array(responseBuffer).set(new Uint8Array(dnsMessage.buffer));
-  
-  // Modify it to be a response
-  const view = new DataView(responseBuffer);
-  
-  // Set QR bit to 1 (response)
-  let flags = view.getUint16(2);
-  flags |= 0x8000;
-  view.setUint16(2, flags);
-  
-  // Set ANCOUNT to the number of IPs
-  // In a real implementation, we would add actual answer records
-  view.setUint16(6, ips.length);
-  
-  return responseBuffer;
-} 
\ No newline at end of file
+
+  return buildDnsResponse(query, {
+    aa: true,
+    rcode,
+    answers,
+    authorities: answers.length === 0 ? [createSoaRecord(queryDomain, ttl)] : []
+  });
+}
@@ -5,11 +5,14 @@
  * supporting allow/deny lists and conditional forwarding based on IP.
  */
 
-import { registerPlugin } from "../core/plugin-chain.js";
-import { RCODE } from "../core/types.js";
+import { getPluginTag, registerPlugin } from "../core/plugin-chain.js";
+import { EdeCode, RCODE, RRType } from "../core/types.js";
+import { parseDnsResponse } from "../core/dns-message.js";
+import { loadIPTrie, resolveDataKey } from "../core/data-loader.js";
+import { createCidrTrie } from "../utils/ip-matcher.js";
 
-// Cache for IP sets
-const ipSetCache = new Map();
+// Tries compiled from inline `ips`, keyed by the plugin's args object
+const inlineTries = new WeakMap();
 
 /**
  * Execute IP matcher plugin
@@ -19,13 +22,7 @@ const ipSetCache = new Map();
  * @returns {Promise<boolean>} True if matched, false otherwise
  */
 export async function executeIpMatcher(ctx, args) {
-  const {
-    files = [],
-    ips = [],
-    action = "accept",
-    inverse = false,
-    rcode = RCODE.NXDOMAIN,
-  } = args;
+  const { action = "accept", inverse = false, rcode = RCODE.NXDOMAIN } = args;
 
   try {
     // Wait for the response to be available
@@ -40,33 +37,20 @@ export async function executeIpMatcher(ctx, args) {
       return false;
     }
 
-    // Combine configured IPs and IPs from files
-    let ipSet = new Set(ips);
+    // Match response IPs against the configured IPs and every IP file
+    const tries = await getIPTries(ctx, args);
+    const matched = responseIPs.some((ip) =>
+      tries.some((trie) => trie.contains(ip))
+    );
 
-    // Load IPs from files if provided
-    if (files && files.length > 0) {
-      await loadIPsFromFiles(files, ipSet);
-    }
-
-    // Match response IPs against our IP set
-    let matched = false;
-
-    for (const ip of responseIPs) {
-      if (ipSet.has(ip) || matchSubnet(ip, ipSet)) {
-        matched = true;
-        break;
-      }
-    }
-
-    // Handle inverse matching
-    if (inverse) {
-      matched = !matched;
-    }
-
-    if (matched) {
+    // Inverse matching acts on responses with no matching address
+    if (matched !== inverse) {
       // Perform action based on match
       if (action === "reject") {
-        ctx.setError(rcode);
+        ctx.setError(rcode, {
+          infoCode: EdeCode.BLOCKED,
+          extraText: `Blocked by ${getPluginTag(args) || "ip_matcher"}`,
+        });
         ctx.addTag("ip_matcher_rejected");
         ctx.resolved = true;
       } else {
@@ -86,17 +70,17 @@ export async function executeIpMatcher(ctx, args) {
  * Extract IP addresses from DNS response
  *
  * @param {ArrayBuffer} responseBuffer - DNS response buffer
- * @returns {Array<string>} Array of IP addresses
+ * @returns {Array<string>} Addresses of the A and AAAA answer records
  */
 function extractIPsFromResponse(responseBuffer) {
   try {
-    // This is a simplified implementation
-    // In a real implementation, we would parse the DNS response buffer
-    // to extract A and AAAA records
+    if (!(responseBuffer instanceof ArrayBuffer)) {
+      return [];
+    }
 
-    // For now, just return an empty array
-    // The actual implementation would depend on the DNS message parsing code
-    return [];
+    return parseDnsResponse(responseBuffer)
+      .answers.filter((rr) => rr.type === RRType.A || rr.type === RRType.AAAA)
+      .map((rr) => rr.data);
   } catch (error) {
     console.error("Error extracting IPs from response:", error);
     return [];
@@ -104,66 +88,37 @@ function extractIPsFromResponse(responseBuffer) {
 }
 
 /**
- * Match an IP against a set of subnets
+ * Get the prefix tries for a plugin instance
  *
- * @param {string} ip - IP address to match
- * @param {Set<string>} subnets - Set of subnet patterns
- * @returns {boolean} True if IP matches any subnet
- */
-function matchSubnet(ip, subnets) {
-  // Simplified implementation
-  // In a real implementation, we would:
-  // 1. Parse the IP address
-  // 2. Check if it falls within any of the subnets in the set
-
-  // For now, just check if the IP starts with any of the subnets
-  for (const subnet of subnets) {
-    if (subnet.includes("/") && ip.startsWith(subnet.split("/")[0])) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
-/**
- * Load IP addresses from files
+ * Inline `ips` are compiled once per args object; `files` are compiled
+ * and cached by the data loader.
  *
- * @param {Array<string>} files - Array of file paths
- * @param {Set<string>} ipSet - Set to add IPs to
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} args - Plugin arguments
+ * @returns {Promise<Array<Object>>} Prefix tries
  */
-async function loadIPsFromFiles(files, ipSet) {
-  for (const file of files) {
-    // Check cache first
-    if (ipSetCache.has(file)) {
-      const cachedIPs = ipSetCache.get(file);
-      cachedIPs.forEach((ip) => ipSet.add(ip));
-      continue;
-    }
-
-    try {
-      // In Cloudflare Workers, we would load from KV store
-      // For this example, we'll just log that we would load from the file
-      console.log(`Would load IPs from file: ${file}`);
+async function getIPTries(ctx, args) {
+  const { ips = [], files = [] } = args;
 
-      // Simulate loading from KV store
-      // const ipList = await KV.get(file);
-      const ipList = [];
-
-      // Add to cache
-      ipSetCache.set(file, ipList);
+  let inline = inlineTries.get(args);
+  if (!inline) {
+    inline = createCidrTrie(ips);
+    inlineTries.set(args, inline);
+  }
 
-      // Add to set
-      ipList.forEach((ip) => ipSet.add(ip));
-    } catch (error) {
-      console.error(`Error loading IPs from file ${file}:`, error);
+  const tries = [inline];
+  for (const file of Array.isArray(files) ? files : [files]) {
+    if (file) {
+      tries.push(await loadIPTrie(resolveDataKey(file, "ips"), ctx.env));
     }
   }
+
+  return tries;
 }
 
 /**
  * Register the IP matcher plugin
  */
 export function register() {
-  registerPlugin("ip_matcher", executeIpMatcher);
+  registerPlugin("ip_matcher", executeIpMatcher, { afterResponse: true });
 }
@@ -6,19 +6,52 @@
  */
 
 import { registerPlugin } from "../core/plugin-chain.js";
+import { parseDnsResponse } from "../core/dns-message.js";
+import { HeaderFlag, RCODE } from "../core/types.js";
+import {
+  getHealthOptions,
+  getUpstreamLatency,
+  isUpstreamAvailable,
+  recordUpstreamAttempt,
+  recordUpstreamFailure,
+  recordUpstreamSuccess,
+} from "../core/upstream-health.js";
+
+// Next upstream index for round_robin, keyed by the plugin's args object
+const roundRobinState = new WeakMap();
 
 /**
  * Execute load balancer plugin
  *
+ * Upstreams are the tags of other plugins in the chain, usually forwarders
+ * marked `reference_only`. Each is either a tag or `{ tag, weight }`; the
+ * weight is only used by the weighted strategy and defaults to 1.
+ *
+ * Strategies:
+ * - random: one upstream picked at random
+ * - round_robin: upstreams in turn
+ * - weighted: one upstream picked at random in proportion to its weight
+ * - latency: the upstream with the lowest smoothed response time
+ * - parallel: all upstreams at once, first usable answer wins
+ * - fallback: upstreams in order until one succeeds
+ *
+ * Every upstream runs against its own clone of the context, and only the
+ * chosen upstream's response is copied back.
+ *
+ * Health is tracked per upstream tag with the same circuit breaker as the
+ * forward plugin (`failure_threshold`, `circuit_cooldown`). Strategies only
+ * pick from upstreams whose breaker lets queries through, unless none
+ * does, in which case all are tried rather than failing outright.
+ *
  * @param {DnsContext} ctx - DNS request context
  * @param {Object} args - Plugin arguments
+ * @param {Object} chain - Plugin chain the load balancer belongs to
  * @returns {Promise<boolean>} True if successful
  */
-export async function executeLoadBalancer(ctx, args) {
+export async function executeLoadBalancer(ctx, args, chain) {
   const {
     upstreams = [],
     strategy = "random",
-    timeout = 5000,
     parallel_timeout = 2000, // Timeout for parallel queries
   } = args;
 
@@ -27,112 +60,65 @@ export async function executeLoadBalancer(ctx, args) {
     return false;
   }
 
+  if (!chain) {
+    console.error("Load balancer plugin must run inside a plugin chain");
+    return false;
+  }
+
   try {
-    // Get global plugins registry
-    const plugins = global.plugins || {};
+    const healthOptions = getHealthOptions(args);
+    const configured = upstreams.map(toUpstream);
+    const available = configured.filter(({ tag }) => isUpstreamAvailable(tag));
+    const targets = available.length > 0 ? available : configured;
+    const run = (tag, signal) =>
+      runUpstream(ctx, chain, tag, healthOptions, signal);
 
     // Strategy: random selection
     if (strategy === "random") {
-      const randomIndex = Math.floor(Math.random() * upstreams.length);
-      const selectedUpstream = upstreams[randomIndex];
+      const index = Math.floor(Math.random() * targets.length);
+      return await useUpstream(ctx, run, targets[index].tag);
+    }
 
-      // Get the plugin function
-      const plugin = plugins[selectedUpstream];
+    // Strategy: round robin, per plugin instance
+    if (strategy === "round_robin") {
+      const index = roundRobinState.get(args) || 0;
+      roundRobinState.set(args, (index + 1) % targets.length);
+      return await useUpstream(ctx, run, targets[index % targets.length].tag);
+    }
 
-      if (!plugin) {
-        console.error(`Referenced plugin not found: ${selectedUpstream}`);
+    // Strategy: weighted random selection
+    if (strategy === "weighted") {
+      const selected = pickWeighted(targets);
+      if (!selected) {
+        console.error("Load balancer upstreams have no positive weight");
         return false;
       }
+      return await useUpstream(ctx, run, selected.tag);
+    }
 
-      // Execute the selected plugin
-      return await plugin(ctx, {});
+    // Strategy: fastest upstream; ones without samples yet are tried first
+    if (strategy === "latency") {
+      const fastest = targets.reduce((best, target) =>
+        (getUpstreamLatency(target.tag) ?? 0) <
+        (getUpstreamLatency(best.tag) ?? 0)
+          ? target
+          : best
+      );
+      return await useUpstream(ctx, run, fastest.tag);
     }
 
     // Strategy: parallel queries (similar to MosDNS concurrent)
     if (strategy === "parallel") {
-      // Create a promise for each upstream
-      const queries = upstreams.map((upstream) => {
-        return new Promise(async (resolve) => {
-          // Create a context clone for this query
-          const queryCtx = {
-            ...ctx,
-            dnsMessage: ctx.dnsMessage,
-            resolved: false,
-            metadata: { ...ctx.metadata },
-          };
-
-          // Get the plugin function
-          const plugin = plugins[upstream];
-
-          if (!plugin) {
-            console.error(`Referenced plugin not found: ${upstream}`);
-            resolve({ success: false, upstream });
-            return;
-          }
-
-          // Set timeout
-          const timeoutId = setTimeout(() => {
-            resolve({ success: false, upstream, error: "timeout" });
-          }, parallel_timeout);
-
-          try {
-            // Execute the plugin
-            const result = await plugin(queryCtx, {});
-            clearTimeout(timeoutId);
-
-            resolve({
-              success: result && queryCtx.resolved,
-              upstream,
-              ctx: queryCtx,
-            });
-          } catch (error) {
-            clearTimeout(timeoutId);
-            resolve({ success: false, upstream, error });
-          }
-        });
-      });
-
-      // Race the promises
-      const results = await Promise.all(queries);
-
-      // Find the first successful response
-      const firstSuccess = results.find((r) => r.success);
-
-      if (firstSuccess) {
-        // Copy the response from the successful context to the original context
-        ctx.setResponse(firstSuccess.ctx.response);
-        ctx.resolved = true;
-        ctx.metadata.upstream = firstSuccess.upstream;
-        return true;
-      }
-
-      // If we reach here, all upstreams failed
-      return false;
+      const outcome = await raceUpstreams(ctx, run, targets, parallel_timeout);
+      return outcome ? adoptResponse(ctx, outcome) : false;
     }
 
     // Strategy: fallback (try upstreams in order until one succeeds)
     if (strategy === "fallback") {
-      for (const upstream of upstreams) {
-        // Get the plugin function
-        const plugin = plugins[upstream];
-
-        if (!plugin) {
-          console.error(`Referenced plugin not found: ${upstream}`);
-          continue;
-        }
-
-        try {
-          // Execute the plugin
-          const result = await plugin(ctx, {});
-
-          // If successful, return true
-          if (result && ctx.resolved) {
-            ctx.metadata.upstream = upstream;
-            return true;
-          }
-        } catch (error) {
-          console.error(`Error executing upstream ${upstream}:`, error);
-          // Continue to next upstream
+      for (const { tag } of targets) {
+        const outcome = await run(tag);
+        if (outcome.success) {
+          return adoptResponse(ctx, outcome);
         }
       }
 
@@ -149,6 +135,219 @@ export async function executeLoadBalancer(ctx, args) {
   }
 }
 
+/**
+ * Normalize an upstream entry
+ *
+ * @param {string|Object} upstream - Plugin tag or `{ tag, weight }`
+ * @returns {Object} Upstream with `tag` and `weight`
+ */
+function toUpstream(upstream) {
+  if (typeof upstream === "string") {
+    return { tag: upstream, weight: 1 };
+  }
+
+  const weight = Number(upstream.weight ?? 1);
+  return { tag: upstream.tag, weight: weight > 0 ? weight : 0 };
+}
+
+/**
+ * Pick an upstream at random in proportion to its weight
+ *
+ * @param {Array<Object>} targets - Upstreams with weights
+ * @returns {Object|null} Selected upstream, or null if no weight is positive
+ */
+function pickWeighted(targets) {
+  const total = targets.reduce((sum, target) => sum + target.weight, 0);
+  if (total <= 0) {
+    return null;
+  }
+
+  let point = Math.random() * total;
+  for (const target of targets) {
+    if (target.weight > 0 && point < target.weight) {
+      return target;
+    }
+    point -= target.weight;
+  }
+
+  // Rounding can leave the point at the very end of the range
+  return targets.filter((target) => target.weight > 0).pop();
+}
+
+/**
+ * Query all upstreams at once and take the first usable answer
+ *
+ * Returns as soon as one upstream gives a response that parses and is not
+ * SERVFAIL; the others are aborted through their context's signal. The
+ * outcome of the race is recorded in `ctx.metadata.race`.
+ *
+ * Without a usable answer, an upstream's SERVFAIL is returned so the client
+ * still gets a DNS answer. If there is none either, the reason is left in
+ * `ctx.metadata.upstreamError`.
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Function} run - Runs an upstream by tag, with an abort signal
+ * @param {Array<Object>} targets - Upstreams
+ * @param {number} timeout - Milliseconds to wait for a usable answer
+ * @returns {Promise<Object|null>} Winning outcome, a SERVFAIL outcome, or
+ *   null if no upstream answered in time
+ */
+async function raceUpstreams(ctx, run, targets, timeout) {
+  const startTime = Date.now();
+  const controllers = targets.map(() => new AbortController());
+  const pending = new Set(targets.keys());
+
+  // Losing the parent's interest cancels every query
+  const onAbort = () => {
+    controllers.forEach((controller) => controller.abort(ctx.signal.reason));
+  };
+  if (ctx.signal) {
+    if (ctx.signal.aborted) {
+      onAbort();
+    } else {
+      ctx.signal.addEventListener("abort", onAbort, { once: true });
+    }
+  }
+
+  let timeoutId;
+  let serverFailure = null;
+  const winner = await new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve(null), timeout);
+
+    targets.forEach(({ tag }, index) => {
+      run(tag, controllers[index].signal).then((outcome) => {
+        pending.delete(index);
+        if (outcome.success) {
+          const response = parseDnsResponse(outcome.ctx.response);
+          if (response.rcode !== RCODE.SERVFAIL) {
+            resolve(outcome);
+            return;
+          }
+          // Malformed responses parse as flagless SERVFAILs
+          if (response.flags & HeaderFlag.QR) {
+            serverFailure = outcome;
+          }
+        }
+        if (pending.size === 0) {
+          resolve(null);
+        }
+      });
+    });
+  });
+
+  clearTimeout(timeoutId);
+  if (ctx.signal) {
+    ctx.signal.removeEventListener("abort", onAbort);
+  }
+
+  // Cancel the queries still in flight
+  const aborted = [];
+  targets.forEach(({ tag }, index) => {
+    if (pending.has(index)) {
+      controllers[index].abort("Another upstream answered first");
+      aborted.push(tag);
+    }
+  });
+
+  ctx.metadata.race = {
+    winner: winner ? winner.upstream : null,
+    time: Date.now() - startTime,
+    aborted,
+  };
+
+  if (!winner && !serverFailure && aborted.length > 0) {
+    ctx.metadata.upstreamError = `No upstream answered within ${timeout} ms`;
+  }
+
+  return winner || serverFailure;
+}
+
+/**
+ * Run one upstream and use its response if it succeeds
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Function} run - Runs an upstream by tag
+ * @param {string} tag - Upstream plugin tag
+ * @returns {Promise<boolean>} True if the upstream answered
+ */
+async function useUpstream(ctx, run, tag) {
+  const outcome = await run(tag);
+  return outcome.success ? adoptResponse(ctx, outcome) : false;
+}
+
+/**
+ * Run an upstream plugin against a clone of the context
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} chain - Plugin chain
+ * @param {string} tag - Upstream plugin tag
+ * @param {Object} healthOptions - Circuit breaker options
+ * @param {AbortSignal} [signal] - Signal to cancel this upstream's query
+ * @returns {Promise<Object>} Outcome with `success`, `upstream` and the
+ *   clone as `ctx`, or `error` on failure
+ */
+async function runUpstream(ctx, chain, tag, healthOptions, signal) {
+  const queryCtx = ctx.clone();
+  if (signal) {
+    queryCtx.signal = signal;
+  }
+
+  const startTime = Date.now();
+  recordUpstreamAttempt(tag, healthOptions);
+
+  let outcome;
+  try {
+    const result = await chain.invoke(tag, queryCtx);
+    outcome = {
+      success: Boolean(result && queryCtx.resolved && queryCtx.response),
+      upstream: tag,
+      ctx: queryCtx,
+    };
+  } catch (error) {
+    outcome = { success: false, upstream: tag, error };
+  }
+
+  // A cancelled query says nothing about the upstream's health
+  if (queryCtx.signal && queryCtx.signal.aborted) {
+    return outcome;
+  }
+
+  if (outcome.success) {
+    recordUpstreamSuccess(tag, Date.now() - startTime);
+  } else {
+    if (outcome.error) {
+      console.error(`Error executing upstream ${tag}:`, outcome.error);
+    }
+    const error =
+      outcome.error || queryCtx.metadata.upstreamError || "No response";
+    recordUpstreamFailure(tag, error, healthOptions);
+
+    // Explains the answer if no upstream succeeds
+    ctx.metadata.upstream = tag;
+    ctx.metadata.upstreamError =
+      error instanceof Error ? error.message : String(error);
+  }
+
+  return outcome;
+}
+
+/**
+ * Copy a successful upstream's response to the original context
+ *
+ * @param {DnsContext} ctx - DNS request context
+ * @param {Object} outcome - Successful upstream outcome
+ * @returns {boolean} Always true
+ */
+function adoptResponse(ctx, outcome) {
+  // Set first, so the cache sees which subnet the answer was resolved for
+  if (outcome.ctx.metadata.ecs) {
+    ctx.metadata.ecs = outcome.ctx.metadata.ecs;
+  }
+  ctx.setResponse(outcome.ctx.response);
+  ctx.metadata.upstream = outcome.upstream;
+  return true;
+}
+
 /**
  * Register the load balancer plugin
  */
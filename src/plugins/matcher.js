@@ -4,12 +4,21 @@
  * Matches DNS queries against patterns and takes actions based on matches.
  */
 
-import { registerPlugin } from "../core/plugin-chain.js";
-import { RCODE } from "../core/types.js";
+import { getPluginTag, registerPlugin } from "../core/plugin-chain.js";
+import { EdeCode, RCODE } from "../core/types.js";
+import { loadDomainIndex, resolveDataKey } from "../core/data-loader.js";
+import { createDomainIndex } from "../utils/domain-index.js";
+import { getDomainSet } from "./domain-set.js";
+
+// Compiled pattern indexes, keyed by the plugin's args object
+const patternIndexes = new WeakMap();
 
 /**
  * Execute matcher plugin
  *
+ * Rejected queries carry a Blocked Extended DNS Error naming this
+ * instance and the list that matched.
+ *
  * @param {DnsContext} ctx - DNS request context
  * @param {Object} args - Plugin arguments
  * @returns {Promise<boolean>} True if matched, false otherwise
@@ -27,72 +36,51 @@ export async function executeMatcher(ctx, args) {
     return false;
   }
 
-  // Get patterns to match against
-  const patterns = [];
-
-  // Domain list
-  if (args.domains && Array.isArray(args.domains)) {
-    patterns.push(...args.domains);
-  }
-
-  // Domain patterns
-  if (args.patterns && Array.isArray(args.patterns)) {
-    patterns.push(...args.patterns);
-  }
-
-  // Single domain
-  if (args.domain) {
-    if (Array.isArray(args.domain)) {
-      patterns.push(...args.domain);
-    } else {
-      patterns.push(args.domain);
-    }
-  }
-
-  // No patterns to match against
-  if (patterns.length === 0) {
-    return false;
-  }
-
-  // Check for matches
-  let matched = false;
+  // Compiled inline patterns, domain list files and referenced domain sets,
+  // with the name given when one of them rejects a query
+  const lists = [];
+  let match;
 
   try {
-    for (const pattern of patterns) {
-      // Exact match
-      if (pattern === domain) {
-        matched = true;
-        break;
-      }
+    const patternIndex = getPatternIndex(args);
+    if (patternIndex.size > 0) {
+      lists.push({ index: patternIndex, name: null });
+    }
 
-      // Subdomain match (*.example.com)
-      if (
-        typeof pattern === "string" &&
-        pattern.startsWith("*.") &&
-        domain.endsWith(pattern.slice(1))
-      ) {
-        matched = true;
-        break;
-      }
+    const files = Array.isArray(args.files) ? args.files : [args.files];
+    for (const file of files.filter(Boolean)) {
+      lists.push({
+        index: await loadDomainIndex(resolveDataKey(file, "domains"), ctx.env),
+        name: `list ${file}`,
+      });
+    }
 
-      // Simple pattern match (contains)
-      if (typeof pattern === "string" && domain.includes(pattern)) {
-        matched = true;
-        break;
+    // Domain sets declared elsewhere in the chain, by tag
+    const sets = Array.isArray(args.domain_set)
+      ? args.domain_set
+      : [args.domain_set];
+    for (const tag of sets.filter(Boolean)) {
+      const set = await getDomainSet(tag, ctx.env);
+      if (set) {
+        lists.push({ index: set, name: `domain set ${tag}` });
+      } else {
+        console.warn(`Matcher references unknown domain set "${tag}"`);
       }
+    }
 
-      // Regex pattern
-      if (pattern instanceof RegExp && pattern.test(domain)) {
-        matched = true;
-        break;
-      }
+    // No patterns to match against
+    if (lists.length === 0) {
+      return false;
     }
+
+    match = lists.find(({ index }) => index.has(domain));
   } catch (error) {
     console.error("Error in matcher plugin:", error);
     return false;
   }
 
   // Apply inverse matching if requested
+  let matched = Boolean(match);
   if (args.inverse) {
     matched = !matched;
   }
@@ -106,7 +94,14 @@ export async function executeMatcher(ctx, args) {
   const action = args.action || "accept";
 
   if (action === "reject") {
-    ctx.setError(args.rcode || RCODE.NXDOMAIN);
+    const source = getPluginTag(args) || "matcher";
+    ctx.setError(args.rcode || RCODE.NXDOMAIN, {
+      infoCode: EdeCode.BLOCKED,
+      extraText:
+        match && match.name
+          ? `Blocked by ${source} (${match.name})`
+          : `Blocked by ${source}`,
+    });
     ctx.resolved = true;
     ctx.addTag("matcher_rejected");
   } else {
@@ -116,6 +111,49 @@ export async function executeMatcher(ctx, args) {
   return true;
 }
 
+/**
+ * Get the compiled index of a plugin instance's inline patterns
+ *
+ * Patterns come from `domains`, `patterns` and `domain`. Plain strings
+ * match as substrings of the query, `*.example.com` matches subdomains and
+ * RegExp objects are tested against the name; MosDNS `full:`, `domain:`,
+ * `keyword:` and `regexp:` prefixes are honoured as well.
+ *
+ * @param {Object} args - Plugin arguments
+ * @returns {Object} Domain index
+ */
+function getPatternIndex(args) {
+  let index = patternIndexes.get(args);
+  if (index) {
+    return index;
+  }
+
+  const patterns = [];
+
+  // Domain list
+  if (args.domains && Array.isArray(args.domains)) {
+    patterns.push(...args.domains);
+  }
+
+  // Domain patterns
+  if (args.patterns && Array.isArray(args.patterns)) {
+    patterns.push(...args.patterns);
+  }
+
+  // Single domain
+  if (args.domain) {
+    if (Array.isArray(args.domain)) {
+      patterns.push(...args.domain);
+    } else {
+      patterns.push(args.domain);
+    }
+  }
+
+  index = createDomainIndex(patterns, { defaultKind: "keyword" });
+  patternIndexes.set(args, index);
+  return index;
+}
+
 /**
  * Register the matcher plugin
  */
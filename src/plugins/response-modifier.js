@@ -5,8 +5,16 @@
  * and response actions like accept/reject.
  */
 
-import { registerPlugin } from "../core/plugin-chain.js";
-import { RCODE } from "../core/types.js";
+import { getPluginTag, registerPlugin } from "../core/plugin-chain.js";
+import { EdeCode, RCODE, RRType, DnsClass, HeaderFlag } from "../core/types.js";
+import {
+  encodeDnsMessage,
+  parseDnsMessage,
+  walkResourceRecords,
+} from "../core/dns-message.js";
+
+// TTL of address records synthesized when the upstream returned none
+const SYNTHESIZED_TTL = 300;
 
 /**
  * Execute response modifier plugin
@@ -30,16 +38,21 @@ export async function executeResponseModifier(ctx, args) {
   try {
     // Action: reject (similar to MosDNS black_hole)
     if (action === "reject") {
-      ctx.setError(rcode);
+      ctx.setError(rcode, {
+        infoCode: EdeCode.BLOCKED,
+        extraText: `Blocked by ${getPluginTag(args) || "response_modifier"}`,
+      });
       ctx.addTag("response_rejected");
       ctx.resolved = true;
+      ctx.finished = true;
       return true;
     }
 
-    // Action: accept (mark as resolved)
+    // Action: accept (answer with the response as it is)
     if (action === "accept") {
       ctx.addTag("response_accepted");
       ctx.resolved = true;
+      ctx.finished = true;
       return true;
     }
 
@@ -86,36 +99,35 @@ export async function executeResponseModifier(ctx, args) {
 
     // Action: modify TTL
     if ((minTtl !== null || maxTtl !== null || ttl !== null) && ctx.response) {
-      // Get existing response
-      const responseView = new DataView(ctx.response);
-
-      // Get current TTL values and modify them
-      // This is a simplified example - actual implementation would need
-      // to parse the DNS message format properly
-      modifyResponseTTL(ctx.response, {
+      const modified = modifyResponseTTL(ctx.response, {
         minTtl: minTtl !== null ? minTtl : undefined,
         maxTtl: maxTtl !== null ? maxTtl : undefined,
         ttl: ttl !== null ? ttl : undefined,
       });
+      if (!modified) {
+        return false;
+      }
 
+      ctx.setResponse(modified);
       ctx.addTag("ttl_modified");
       return true;
     }
 
     // Action: replace IP (similar to MosDNS black_hole with IP)
-    if ((ip || (ips && ips.length > 0)) && ctx.response) {
-      // Choose a random IP if multiple are provided
-      const targetIp =
-        ip ||
-        (ips.length > 0 ? ips[Math.floor(Math.random() * ips.length)] : null);
-
-      if (targetIp) {
-        // Replace IPs in the response
-        replaceResponseIPs(ctx.response, targetIp);
-
-        ctx.addTag("ip_replaced");
-        return true;
+    const targetIps = [ip, ...(ips || [])].filter(Boolean);
+    if (targetIps.length > 0 && ctx.response) {
+      const modified = replaceResponseIPs(
+        ctx.response,
+        targetIps,
+        ctx.getQueryType()
+      );
+      if (!modified) {
+        return false;
       }
+
+      ctx.setResponse(modified);
+      ctx.addTag("ip_replaced");
+      return true;
     }
 
     return false;
@@ -128,45 +140,135 @@ export async function executeResponseModifier(ctx, args) {
 /**
  * Modify TTL values in a DNS response
  *
+ * Rewrites the TTL of every record in the answer, authority and additional
+ * sections. A fixed `ttl` wins over the `minTtl`/`maxTtl` bounds. OPT
+ * pseudo-records are left alone, since their TTL field carries EDNS flags.
+ *
  * @param {ArrayBuffer} responseBuffer - DNS response buffer
  * @param {Object} options - TTL modification options
+ * @returns {ArrayBuffer|null} Modified copy of the response, or null if it
+ *   could not be parsed
  */
 function modifyResponseTTL(responseBuffer, options) {
   const { minTtl, maxTtl, ttl } = options;
 
   try {
-    // This is a simplified implementation
-    // In a real implementation, we would:
-    // 1. Parse the DNS message
-    // 2. Iterate through all records
-    // 3. Modify TTL values according to the rules
-    // 4. Rewrite the message
-
-    // The actual implementation would depend on the DNS message parsing code
-    console.log("Would modify TTL values:", { minTtl, maxTtl, ttl });
+    const buffer = responseBuffer.slice(0);
+    const view = new DataView(buffer);
+
+    walkResourceRecords(buffer, (record) => {
+      if (record.type === RRType.OPT) {
+        return;
+      }
+
+      let newTtl = record.ttl;
+      if (ttl !== undefined) {
+        newTtl = ttl;
+      } else {
+        if (minTtl !== undefined) {
+          newTtl = Math.max(newTtl, minTtl);
+        }
+        if (maxTtl !== undefined) {
+          newTtl = Math.min(newTtl, maxTtl);
+        }
+      }
+
+      view.setUint32(record.ttlOffset, newTtl);
+    });
+
+    return buffer;
   } catch (error) {
     console.error("Error modifying response TTL:", error);
+    return null;
   }
 }
 
 /**
  * Replace IP addresses in a DNS response
  *
+ * Every A and AAAA answer set is replaced by the target addresses of the
+ * same family, keeping the owner name and TTL; sets with no target of
+ * their family are dropped. CNAME and other records stay in place. When
+ * the response has no addresses of the queried type at all (NODATA,
+ * NXDOMAIN), records are synthesized at the end of the CNAME chain and the
+ * response is turned into a NOERROR answer.
+ *
  * @param {ArrayBuffer} responseBuffer - DNS response buffer
- * @param {string} targetIp - IP address to replace with
+ * @param {Array<string>} targetIps - IP addresses to answer with
+ * @param {number} queryType - Type of the original query
+ * @returns {ArrayBuffer|null} Rewritten response, or null if it could not
+ *   be parsed
  */
-function replaceResponseIPs(responseBuffer, targetIp) {
+function replaceResponseIPs(responseBuffer, targetIps, queryType) {
   try {
-    // This is a simplified implementation
-    // In a real implementation, we would:
-    // 1. Parse the DNS message
-    // 2. Replace A/AAAA record values with the target IP
-    // 3. Update the message checksum if needed
-
-    // The actual implementation would depend on the DNS message parsing code
-    console.log("Would replace IPs with:", targetIp);
+    const message = parseDnsMessage(responseBuffer);
+    const targets = {
+      [RRType.A]: targetIps.filter((ip) => !ip.includes(":")),
+      [RRType.AAAA]: targetIps.filter((ip) => ip.includes(":")),
+    };
+
+    const answers = [];
+    const replaced = new Set();
+    for (const record of message.answers) {
+      if (record.type !== RRType.A && record.type !== RRType.AAAA) {
+        answers.push(record);
+        continue;
+      }
+
+      // Emit the replacement set once, where the first record of its
+      // owner and family appeared
+      const key = `${record.type}/${record.name.toLowerCase()}`;
+      if (!replaced.has(key)) {
+        replaced.add(key);
+        for (const address of targets[record.type]) {
+          answers.push({ ...record, data: address });
+        }
+      }
+    }
+
+    let flags = message.header.flags;
+    let authorities = message.authorities;
+    const hasQueriedType = message.answers.some((rr) => rr.type === queryType);
+
+    if (!hasQueriedType && targets[queryType]?.length > 0) {
+      // Answer at the end of the CNAME chain, or the question name
+      let owner = message.questions[0]?.name;
+      const chain = message.answers.filter((rr) => rr.type === RRType.CNAME);
+      for (let hops = 0; hops < chain.length; hops++) {
+        const next = chain.find(
+          (rr) => rr.name.toLowerCase() === owner.toLowerCase()
+        );
+        if (!next) {
+          break;
+        }
+        owner = next.data;
+      }
+
+      for (const address of targets[queryType]) {
+        answers.push({
+          name: owner,
+          type: queryType,
+          class: DnsClass.IN,
+          ttl: SYNTHESIZED_TTL,
+          data: address,
+        });
+      }
+
+      // Negative answers carry an SOA that no longer applies
+      flags = (flags & ~HeaderFlag.RCODE) | RCODE.NOERROR;
+      authorities = authorities.filter((rr) => rr.type !== RRType.SOA);
+    }
+
+    return encodeDnsMessage({
+      header: { id: message.header.id, flags },
+      questions: message.questions,
+      answers,
+      authorities,
+      additionals: message.additionals,
+    });
   } catch (error) {
     console.error("Error replacing response IPs:", error);
+    return null;
   }
 }
 
@@ -174,5 +276,7 @@ function replaceResponseIPs(responseBuffer, targetIp) {
  * Register the response modifier plugin
  */
 export function register() {
-  registerPlugin("response_modifier", executeResponseModifier);
+  registerPlugin("response_modifier", executeResponseModifier, {
+    afterResponse: true,
+  });
 }
@@ -4,6 +4,13 @@
  * Helper functions for DNS operations and domain matching.
  */
 
+import { RRType, DnsClass } from '../core/types';
+import { ipv4ToBytes, ipv6ToBytes } from './encoding';
+import { createDomainIndex } from './domain-index';
+
+// Compiled indexes for domainMatchList, keyed by the pattern array
+const listIndexes = new WeakMap();
+
 /**
  * Convert domain to normalized form
  * 
@@ -46,6 +53,10 @@ export function domainMatch(domain, pattern, includeSubdomains = true) {
 /**
  * Check if a domain matches any pattern in a list
  * 
+ * The list is compiled into a domain index on first use and the index is
+ * reused for later calls with the same array, so lists must not be
+ * modified after they are first matched against.
+ * 
  * @param {string} domain - Domain to check
  * @param {Array<string>} patterns - List of domain patterns
  * @param {boolean} includeSubdomains - Whether to include subdomains in match
@@ -56,7 +67,18 @@ export function domainMatchList(domain, patterns, includeSubdomains = true) {
     return false;
   }
   
-  return patterns.some(pattern => domainMatch(domain, pattern, includeSubdomains));
+  let indexes = listIndexes.get(patterns);
+  if (!indexes) {
+    indexes = {};
+    listIndexes.set(patterns, indexes);
+  }
+
+  const kind = includeSubdomains ? 'domain' : 'full';
+  if (!indexes[kind]) {
+    indexes[kind] = createDomainIndex(patterns, { defaultKind: kind });
+  }
+
+  return indexes[kind].has(domain);
 }
 
 /**
@@ -114,4 +136,51 @@ export function isIpAddress(domain) {
   const ipv6Regex = /^([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)/;
   
   return ipv4Regex.test(domain) || ipv6Regex.test(domain);
-} 
\ No newline at end of file
+}
+
+/**
+ * Create a synthetic SOA record for locally generated answers
+ * 
+ * Negative answers (NXDOMAIN/NODATA) carry an SOA in the authority section
+ * so resolvers know how long to cache them (RFC 2308). Both the record TTL
+ * and the MINIMUM field are set to the given TTL.
+ * 
+ * @param {string} zone - Owner name of the SOA record
+ * @param {number} ttl - Negative caching TTL in seconds
+ * @returns {Object} SOA resource record
+ */
+export function createSoaRecord(zone, ttl = 300) {
+  return {
+    name: normalizeDomain(zone),
+    type: RRType.SOA,
+    class: DnsClass.IN,
+    ttl,
+    data: {
+      mname: 'localhost',
+      rname: 'hostmaster.localhost',
+      serial: 1,
+      refresh: 3600,
+      retry: 600,
+      expire: 86400,
+      minimum: ttl
+    }
+  };
+}
+
+/**
+ * Get the reverse-lookup (PTR) name for an IP address
+ * 
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string} Name under in-addr.arpa or ip6.arpa
+ */
+export function ipToReverseName(ip) {
+  if (ip.includes(':')) {
+    const nibbles = [];
+    for (const byte of ipv6ToBytes(ip)) {
+      nibbles.push((byte >> 4).toString(16), (byte & 0x0f).toString(16));
+    }
+    return nibbles.reverse().join('.') + '.ip6.arpa';
+  }
+
+  return Array.from(ipv4ToBytes(ip)).reverse().join('.') + '.in-addr.arpa';
+}
@@ -0,0 +1,140 @@
+/**
+ * Domain Index
+ *
+ * Compiles domain lists into a lookup structure that answers matches in
+ * time proportional to the number of labels in the query, not the size of
+ * the list. Shared by the matcher, domain_set and adblock plugins.
+ */
+
+import { normalizeDomain } from "./dns-util.js";
+
+// MosDNS-style rule prefixes
+const RULE_PATTERN = /^(full|domain|keyword|regexp):(.*)$/;
+
+/**
+ * Compile domain rules into an index
+ *
+ * Each entry is one of:
+ * - `full:example.com` - the name itself
+ * - `domain:example.com` - the name and all its subdomains
+ * - `*.example.com` - subdomains only
+ * - `keyword:ads` - names containing the substring
+ * - `regexp:^ad[0-9]+\.` or a RegExp - names matching the expression
+ * - a plain name, interpreted as `options.defaultKind`
+ *
+ * Exact and suffix rules live in hash tables probed once per label of the
+ * query; only keyword and regexp rules are scanned. Keywords are matched
+ * as written, apart from case. Invalid regular expressions are skipped and
+ * counted in `invalid`.
+ *
+ * @param {Iterable<string|RegExp>} entries - Domain rules
+ * @param {Object} options - Index options
+ * @param {string} [options.defaultKind] - Kind of plain entries: "domain"
+ *   (default), "full" or "keyword"
+ * @returns {Object} Index with `has(domain)`, `size` and `invalid`
+ */
+export function createDomainIndex(entries = [], options = {}) {
+  const { defaultKind = "domain" } = options;
+
+  const full = new Set();
+  const domain = new Set();
+  const wildcard = new Set();
+  const keywords = new Set();
+  const regexps = [];
+  let size = 0;
+  let invalid = 0;
+
+  for (const entry of entries) {
+    if (entry instanceof RegExp) {
+      regexps.push(entry);
+      size++;
+      continue;
+    }
+
+    if (typeof entry !== "string" || !entry.trim()) {
+      continue;
+    }
+
+    const rule = entry.trim();
+    const match = rule.match(RULE_PATTERN);
+    let kind = match ? match[1] : defaultKind;
+    let value = match ? match[2] : rule;
+
+    if (kind === "regexp") {
+      try {
+        regexps.push(new RegExp(value));
+        size++;
+      } catch (error) {
+        invalid++;
+      }
+      continue;
+    }
+
+    if (!match && value.startsWith("*.")) {
+      kind = "wildcard";
+      value = value.slice(2);
+    }
+
+    // Keywords are substrings, not names: a trailing dot is part of the
+    // rule ("ad." must not become "ad")
+    if (kind === "keyword") {
+      keywords.add(value.toLowerCase());
+      size++;
+      continue;
+    }
+
+    value = normalizeDomain(value);
+
+    switch (kind) {
+      case "full":
+        full.add(value);
+        break;
+      case "wildcard":
+        wildcard.add(value);
+        break;
+      default:
+        domain.add(value);
+    }
+    size++;
+  }
+
+  return {
+    size,
+    invalid,
+
+    /**
+     * Check whether a domain matches any rule of the index
+     *
+     * @param {string} name - Domain name to check
+     * @returns {boolean} True if a rule matches
+     */
+    has(name) {
+      if (!name) {
+        return false;
+      }
+
+      const query = normalizeDomain(name);
+      if (full.has(query) || domain.has(query)) {
+        return true;
+      }
+
+      // Walk the parent names: a.b.example.com, b.example.com, ...
+      let dot = query.indexOf(".");
+      while (dot !== -1) {
+        const suffix = query.slice(dot + 1);
+        if (domain.has(suffix) || wildcard.has(suffix)) {
+          return true;
+        }
+        dot = query.indexOf(".", dot + 1);
+      }
+
+      for (const keyword of keywords) {
+        if (query.includes(keyword)) {
+          return true;
+        }
+      }
+
+      return regexps.some((regex) => regex.test(query));
+    },
+  };
+}
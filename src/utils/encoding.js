@@ -75,3 +75,85 @@ export function hexToBuffer(hex) {
 
   return bytes.buffer;
 }
+
+/**
+ * Convert a dotted-quad IPv4 address to its 4-byte wire form
+ *
+ * @param {string} ip - IPv4 address
+ * @returns {Uint8Array} Address bytes
+ */
+export function ipv4ToBytes(ip) {
+  const parts = String(ip).trim().split(".");
+  if (parts.length !== 4) {
+    throw new Error(`Invalid IPv4 address: ${ip}`);
+  }
+
+  const bytes = new Uint8Array(4);
+  parts.forEach((part, i) => {
+    const value = Number(part);
+    if (!/^\d{1,3}$/.test(part) || value > 255) {
+      throw new Error(`Invalid IPv4 address: ${ip}`);
+    }
+    bytes[i] = value;
+  });
+
+  return bytes;
+}
+
+/**
+ * Convert an IPv6 address to its 16-byte wire form
+ *
+ * Accepts compressed notation ("2001:db8::1") and an embedded IPv4
+ * tail ("::ffff:192.0.2.1").
+ *
+ * @param {string} ip - IPv6 address
+ * @returns {Uint8Array} Address bytes
+ */
+export function ipv6ToBytes(ip) {
+  let address = String(ip).trim();
+  let v4Tail = null;
+
+  // An embedded IPv4 tail stands in for the last two groups
+  const lastColon = address.lastIndexOf(":");
+  if (address.indexOf(".", lastColon) !== -1) {
+    v4Tail = ipv4ToBytes(address.slice(lastColon + 1));
+    address = address.slice(0, lastColon + 1) + "0:0";
+  }
+
+  const halves = address.split("::");
+  if (halves.length > 2) {
+    throw new Error(`Invalid IPv6 address: ${ip}`);
+  }
+
+  const parseGroups = (text) =>
+    text === ""
+      ? []
+      : text.split(":").map((group) => {
+          if (!/^[0-9a-fA-F]{1,4}$/.test(group)) {
+            throw new Error(`Invalid IPv6 address: ${ip}`);
+          }
+          return parseInt(group, 16);
+        });
+
+  const head = parseGroups(halves[0]);
+  const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+
+  // "::" must stand in for at least one group, and nothing else may be short
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    throw new Error(`Invalid IPv6 address: ${ip}`);
+  }
+
+  const groups = [...head, ...new Array(missing).fill(0), ...tail];
+  const bytes = new Uint8Array(16);
+  groups.forEach((group, i) => {
+    bytes[i * 2] = group >> 8;
+    bytes[i * 2 + 1] = group & 0xff;
+  });
+
+  if (v4Tail) {
+    bytes.set(v4Tail, 12);
+  }
+
+  return bytes;
+}
@@ -4,45 +4,112 @@
  * Functions for matching IP addresses against CIDR ranges and IP lists.
  */
 
+import { ipv4ToBytes, ipv6ToBytes } from './encoding';
+
+// Prefix of IPv4-mapped IPv6 addresses (::ffff:0:0/96)
+const IPV4_MAPPED_PREFIX = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff];
+
+// Any IPv4 address, used to test for the IPv4-mapped form
+const ZERO_IPV4 = new Uint8Array(4);
+
 /**
- * Parse an IPv4 address to a numeric value
+ * Convert an IPv4 or IPv6 address to its wire-format bytes
  * 
- * @param {string} ip - IPv4 address
- * @returns {number} Numeric representation of the IP
+ * IPv6 addresses may use compressed notation, an embedded IPv4 tail and
+ * a zone ID ("fe80::1%eth0"), which is ignored.
+ * 
+ * @param {string} ip - IP address
+ * @returns {Uint8Array} 4 or 16 address bytes
  */
-function ipv4ToInt(ip) {
-  const parts = ip.split('.');
-  if (parts.length !== 4) {
-    throw new Error('Invalid IPv4 address');
+function ipToBytes(ip) {
+  const address = String(ip).trim();
+  if (!address.includes(':')) {
+    return ipv4ToBytes(address);
   }
-  
-  return (parseInt(parts[0], 10) << 24) |
-         (parseInt(parts[1], 10) << 16) |
-         (parseInt(parts[2], 10) << 8) |
-         parseInt(parts[3], 10);
+
+  const zone = address.indexOf('%');
+  return ipv6ToBytes(zone === -1 ? address : address.slice(0, zone));
+}
+
+/**
+ * Bring two addresses to the same family where possible
+ * 
+ * An IPv4-mapped IPv6 address compared with an IPv4 address is reduced to
+ * its IPv4 part, so "::ffff:10.0.0.1" falls within "10.0.0.0/8".
+ * 
+ * @param {Uint8Array} ipBytes - Address being checked
+ * @param {Uint8Array} rangeBytes - Address of the range
+ * @returns {Uint8Array} Address bytes comparable with rangeBytes
+ */
+function alignFamily(ipBytes, rangeBytes) {
+  if (
+    ipBytes.length === 16 &&
+    rangeBytes.length === 4 &&
+    IPV4_MAPPED_PREFIX.every((byte, i) => ipBytes[i] === byte)
+  ) {
+    return ipBytes.subarray(12);
+  }
+  return ipBytes;
+}
+
+/**
+ * Compare two addresses of the same family
+ * 
+ * @param {Uint8Array} a - First address
+ * @param {Uint8Array} b - Second address
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareBytes(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
 }
 
 /**
- * Check if an IPv4 address is within a CIDR range
+ * Check if an IP address is within a CIDR range
  * 
- * @param {string} ip - IPv4 address to check
- * @param {string} cidr - CIDR range (e.g., "192.168.0.0/24")
+ * Works for both IPv4 and IPv6. A range without a prefix length matches
+ * that single address; an address never matches a range of the other
+ * family, except IPv4-mapped IPv6 addresses checked against IPv4 ranges.
+ * 
+ * @param {string} ip - IP address to check
+ * @param {string} cidr - CIDR range (e.g., "192.168.0.0/24", "2001:db8::/32")
  * @returns {boolean} True if IP is in range
  */
 export function ipInCidr(ip, cidr) {
   try {
     const [range, bitsStr] = cidr.split('/');
-    const bits = parseInt(bitsStr, 10);
-    
-    if (bits < 0 || bits > 32) {
+    const rangeBytes = ipToBytes(range);
+    const ipBytes = alignFamily(ipToBytes(ip), rangeBytes);
+
+    if (ipBytes.length !== rangeBytes.length) {
+      return false;
+    }
+
+    const maxBits = rangeBytes.length * 8;
+    const bits = bitsStr === undefined ? maxBits : Number(bitsStr);
+    if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) {
       throw new Error('Invalid CIDR bit count');
     }
-    
-    const ipInt = ipv4ToInt(ip);
-    const rangeInt = ipv4ToInt(range);
-    const mask = ~((1 << (32 - bits)) - 1);
-    
-    return (ipInt & mask) === (rangeInt & mask);
+
+    // Compare whole bytes, then the remaining high bits of the next one
+    const fullBytes = bits >> 3;
+    for (let i = 0; i < fullBytes; i++) {
+      if (ipBytes[i] !== rangeBytes[i]) {
+        return false;
+      }
+    }
+
+    const remainder = bits & 7;
+    if (remainder === 0) {
+      return true;
+    }
+
+    const mask = (0xff << (8 - remainder)) & 0xff;
+    return (ipBytes[fullBytes] & mask) === (rangeBytes[fullBytes] & mask);
   } catch (error) {
     console.error('Error in CIDR match:', error);
     return false;
@@ -68,7 +135,7 @@ export function ipMatchCidrList(ip, cidrs) {
  * Parse a simplified IP range (e.g., "192.168.0.1-192.168.0.100")
  * 
  * @param {string} range - IP range in the format "start-end"
- * @returns {Object} Object with start and end IP as integers
+ * @returns {Object} Object with start and end address bytes
  */
 function parseIpRange(range) {
   const [start, end] = range.split('-');
@@ -76,9 +143,15 @@ function parseIpRange(range) {
     throw new Error('Invalid IP range format');
   }
   
+  const startBytes = ipToBytes(start);
+  const endBytes = ipToBytes(end);
+  if (startBytes.length !== endBytes.length) {
+    throw new Error('IP range mixes address families');
+  }
+
   return {
-    start: ipv4ToInt(start.trim()),
-    end: ipv4ToInt(end.trim())
+    start: startBytes,
+    end: endBytes
   };
 }
 
@@ -86,15 +159,19 @@ function parseIpRange(range) {
  * Check if an IP is within a simple range
  * 
  * @param {string} ip - IP address to check
- * @param {string} range - IP range in the format "start-end"
+ * @param {string} range - IP range in the format "start-end" (IPv4 or IPv6)
  * @returns {boolean} True if IP is in range
  */
 export function ipInRange(ip, range) {
   try {
-    const ipInt = ipv4ToInt(ip);
     const { start, end } = parseIpRange(range);
+    const ipBytes = alignFamily(ipToBytes(ip), start);
+
+    if (ipBytes.length !== start.length) {
+      return false;
+    }
     
-    return ipInt >= start && ipInt <= end;
+    return compareBytes(ipBytes, start) >= 0 && compareBytes(ipBytes, end) <= 0;
   } catch (error) {
     console.error('Error in IP range match:', error);
     return false;
@@ -102,9 +179,12 @@ export function ipInRange(ip, range) {
 }
 
 /**
- * Check if an IPv4 address is private
+ * Check if an IP address is private
  * 
- * @param {string} ip - IPv4 address to check
+ * Covers the RFC 1918 and loopback IPv4 ranges and, for IPv6, loopback,
+ * unique local (fc00::/7) and link-local (fe80::/10) addresses.
+ * 
+ * @param {string} ip - IPv4 or IPv6 address to check
  * @returns {boolean} True if IP is private
  */
 export function isPrivateIp(ip) {
@@ -112,8 +192,174 @@ export function isPrivateIp(ip) {
     '10.0.0.0/8',
     '172.16.0.0/12',
     '192.168.0.0/16',
-    '127.0.0.0/8'
+    '127.0.0.0/8',
+    '::1/128',
+    'fc00::/7',
+    'fe80::/10'
   ];
   
   return ipMatchCidrList(ip, privateRanges);
-} 
\ No newline at end of file
+}
+
+/**
+ * Split an address range into the CIDR blocks that exactly cover it
+ * 
+ * @param {Uint8Array} start - First address of the range
+ * @param {Uint8Array} end - Last address of the range (same family)
+ * @returns {Array<Array>} Pairs of [address bytes, prefix length]
+ */
+function rangeToCidrs(start, end) {
+  const width = start.length * 8;
+  const toBigInt = bytes => bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  const toBytes = value => {
+    const bytes = new Uint8Array(start.length);
+    for (let i = bytes.length - 1; i >= 0; i--) {
+      bytes[i] = Number(value & 0xffn);
+      value >>= 8n;
+    }
+    return bytes;
+  };
+
+  const blocks = [];
+  let low = toBigInt(start);
+  const high = toBigInt(end);
+
+  while (low <= high) {
+    // Grow the block while it stays aligned on `low` and within the range
+    let hostBits = 0;
+    while (
+      hostBits < width &&
+      ((low >> BigInt(hostBits)) & 1n) === 0n &&
+      low + (1n << BigInt(hostBits + 1)) - 1n <= high
+    ) {
+      hostBits++;
+    }
+
+    blocks.push([toBytes(low), width - hostBits]);
+    low += 1n << BigInt(hostBits);
+  }
+
+  return blocks;
+}
+
+/**
+ * Build a binary prefix trie over IPv4 and IPv6 ranges
+ * 
+ * Entries may be CIDR ranges, single addresses or "start-end" ranges.
+ * The trie is stored in typed arrays, and a lookup walks at most one node
+ * per address bit, stopping at the first covering prefix. Entries that
+ * cannot be parsed are skipped and counted in `invalid`.
+ * 
+ * @param {Iterable<string>} entries - IP set entries
+ * @returns {Object} Trie with `contains(ip)` and `size`, `nodes` and
+ *   `invalid` counters
+ */
+export function createCidrTrie(entries = []) {
+  let capacity = 1024;
+  let children = new Int32Array(capacity * 2);
+  let terminal = new Uint8Array(capacity);
+
+  // Node 0 is the IPv4 root and node 1 the IPv6 root. Neither is ever a
+  // child, so a child index of 0 means "no child".
+  let nodes = 2;
+  let size = 0;
+  let invalid = 0;
+
+  const bitAt = (bytes, i) => (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+
+  const grow = () => {
+    capacity *= 2;
+    const nextChildren = new Int32Array(capacity * 2);
+    nextChildren.set(children);
+    children = nextChildren;
+    const nextTerminal = new Uint8Array(capacity);
+    nextTerminal.set(terminal);
+    terminal = nextTerminal;
+  };
+
+  const insert = (bytes, bits) => {
+    let node = bytes.length === 4 ? 0 : 1;
+    for (let i = 0; i < bits; i++) {
+      // Already covered by a shorter prefix
+      if (terminal[node]) {
+        return;
+      }
+
+      const slot = node * 2 + bitAt(bytes, i);
+      if (children[slot] === 0) {
+        if (nodes === capacity) {
+          grow();
+        }
+        children[slot] = nodes++;
+      }
+      node = children[slot];
+    }
+    terminal[node] = 1;
+  };
+
+  const lookup = bytes => {
+    let node = bytes.length === 4 ? 0 : 1;
+    const bits = bytes.length * 8;
+    for (let i = 0; ; i++) {
+      if (terminal[node]) {
+        return true;
+      }
+      if (i === bits) {
+        return false;
+      }
+      node = children[node * 2 + bitAt(bytes, i)];
+      if (node === 0) {
+        return false;
+      }
+    }
+  };
+
+  for (const entry of entries) {
+    try {
+      if (entry.includes('-')) {
+        const { start, end } = parseIpRange(entry);
+        rangeToCidrs(start, end).forEach(([bytes, bits]) => insert(bytes, bits));
+      } else {
+        const [address, bitsStr] = entry.split('/');
+        const bytes = ipToBytes(address);
+        const maxBits = bytes.length * 8;
+        const bits = bitsStr === undefined ? maxBits : Number(bitsStr);
+        if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) {
+          throw new Error('Invalid CIDR bit count');
+        }
+        insert(bytes, bits);
+      }
+      size++;
+    } catch (error) {
+      invalid++;
+    }
+  }
+
+  return {
+    size,
+    invalid,
+    nodes,
+
+    /**
+     * Check whether an address falls within any entry of the trie
+     * 
+     * @param {string} ip - IPv4 or IPv6 address
+     * @returns {boolean} True if a prefix covers the address
+     */
+    contains(ip) {
+      let bytes;
+      try {
+        bytes = ipToBytes(ip);
+      } catch (error) {
+        return false;
+      }
+
+      // IPv4-mapped IPv6 addresses also match IPv4 prefixes
+      const ipv4 = alignFamily(bytes, ZERO_IPV4);
+      if (ipv4 !== bytes && lookup(ipv4)) {
+        return true;
+      }
+      return lookup(bytes);
+    }
+  };
+}
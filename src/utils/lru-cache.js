@@ -0,0 +1,133 @@
+/**
+ * LRU Cache
+ *
+ * A least-recently-used map bounded both by entry count and by the total
+ * size of its values. Used by the cache plugin for its in-memory tier.
+ */
+
+/**
+ * Create an LRU cache
+ *
+ * Relies on Map keeping insertion order: reading an entry moves it to the
+ * end, so the first key is always the least recently used one and is
+ * evicted first when either limit is exceeded. A value larger than
+ * `maxBytes` on its own is not stored.
+ *
+ * @param {Object} options - Cache limits
+ * @param {number} options.maxEntries - Maximum number of entries
+ * @param {number} [options.maxBytes] - Maximum total size (Infinity if
+ *   omitted)
+ * @param {Function} [options.sizeOf] - Size of a value in bytes (default
+ *   `value.byteLength`)
+ * @returns {Object} Cache with `get`, `peek`, `set`, `delete`, `keys`,
+ *   `clear`, `size` and `bytes`
+ */
+export function createLruCache(options) {
+  const {
+    maxEntries,
+    maxBytes = Infinity,
+    sizeOf = (value) => value.byteLength || 0,
+  } = options;
+
+  const entries = new Map();
+  let bytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      entries.delete(key);
+      bytes -= entry.bytes;
+    }
+    return Boolean(entry);
+  };
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    get bytes() {
+      return bytes;
+    },
+
+    /**
+     * Get a value and mark it as recently used
+     *
+     * @param {string} key - Entry key
+     * @returns {*} The value, or undefined if not cached
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    /**
+     * Get a value without marking it as recently used
+     *
+     * @param {string} key - Entry key
+     * @returns {*} The value, or undefined if not cached
+     */
+    peek(key) {
+      return entries.get(key)?.value;
+    },
+
+    /**
+     * Store a value, evicting the least recently used entries to make room
+     *
+     * @param {string} key - Entry key
+     * @param {*} value - Value to store
+     * @returns {boolean} True if the value was stored
+     */
+    set(key, value) {
+      remove(key);
+
+      const size = sizeOf(value);
+      if (maxEntries <= 0 || size > maxBytes) {
+        return false;
+      }
+
+      entries.set(key, { value, bytes: size });
+      bytes += size;
+
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) {
+          break;
+        }
+        remove(oldest);
+      }
+      return true;
+    },
+
+    /**
+     * Remove an entry
+     *
+     * @param {string} key - Entry key
+     * @returns {boolean} True if an entry was removed
+     */
+    delete(key) {
+      return remove(key);
+    },
+
+    /**
+     * List the keys, least recently used first
+     *
+     * @returns {Array<string>} Keys
+     */
+    keys() {
+      return [...entries.keys()];
+    },
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+      entries.clear();
+      bytes = 0;
+    },
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for configuration loading and validation
+ */
+
+import { jest } from "@jest/globals";
+import { loadConfig, validateConfig } from "../src/config.js";
+
+describe("Configuration", () => {
+  const cyclicConfig = {
+    plugins: [
+      { type: "forward", tag: "upstream", args: { upstream: "https://x" } },
+      { type: "reference", tag: "a", reference: "b" },
+      { type: "reference", tag: "b", reference: "a" },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should load configuration from CONFIG", () => {
+    const config = { plugins: [{ type: "forward", tag: "upstream" }] };
+
+    expect(loadConfig({ CONFIG: JSON.stringify(config) })).toEqual(config);
+  });
+
+  test("should refuse CONFIG with a plugin reference cycle", () => {
+    const config = loadConfig({ CONFIG: JSON.stringify(cyclicConfig) });
+
+    expect(config).toEqual(loadConfig());
+    expect(console.error).toHaveBeenCalledWith(
+      "Refusing CONFIG with a plugin reference cycle:",
+      "a -> b -> a"
+    );
+  });
+
+  test("should fall back to a preset when CONFIG is refused", () => {
+    const config = loadConfig({
+      CONFIG: JSON.stringify(cyclicConfig),
+      CONFIG_PRESET: "basic",
+    });
+
+    expect(config.plugins.some((plugin) => plugin.tag === "a")).toBe(false);
+  });
+
+  test("should reject configurations with a plugin reference cycle", () => {
+    expect(validateConfig(cyclicConfig)).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(
+      "Configuration has a plugin reference cycle: a -> b -> a"
+    );
+
+    expect(validateConfig({ plugins: cyclicConfig.plugins.slice(0, 2) })).toBe(
+      true
+    );
+  });
+});
@@ -7,7 +7,13 @@
 
 import { jest } from "@jest/globals";
 import { DnsContext } from "../../src/core/context.js";
-import { RCODE, RRType } from "../../src/core/types.js";
+import { EdeCode, RCODE, RRType } from "../../src/core/types.js";
+import {
+  createExtendedErrorOption,
+  encodeDnsMessage,
+  parseDnsMessage,
+  parseDnsResponse,
+} from "../../src/core/dns-message.js";
 
 // Mock implementations of required browser APIs
 global.atob = jest.fn((str) => Buffer.from(str, "base64").toString("binary"));
@@ -150,6 +156,10 @@ describe("DNS Context Methods", () => {
     ctx.jsonQuery = { name: "example.com", type: RRType.AAAA };
     expect(ctx.getQueryType()).toBe(RRType.AAAA);
 
+    // Test with JSON query naming the type
+    ctx.jsonQuery = { name: "example.com", type: "aaaa" };
+    expect(ctx.getQueryType()).toBe(RRType.AAAA);
+
     // Test with JSON query without type (should default to A)
     ctx.jsonQuery = { name: "example.com" };
     expect(ctx.getQueryType()).toBe(RRType.A);
@@ -172,6 +182,17 @@ describe("DNS Context Methods", () => {
     expect(ctx.error).toBe(RCODE.REFUSED);
   });
 
+  test("setError should map rcode names from configurations", () => {
+    ctx.setError("NXDOMAIN");
+    expect(ctx.error).toBe(RCODE.NXDOMAIN);
+
+    ctx.setError("refused");
+    expect(ctx.error).toBe(RCODE.REFUSED);
+
+    ctx.setError("NOT_AN_RCODE");
+    expect(ctx.error).toBe(RCODE.SERVFAIL);
+  });
+
   test("addTag and hasTag should manage tags", () => {
     // Start with no tags
     expect(ctx.hasTag("test")).toBe(false);
@@ -187,6 +208,26 @@ describe("DNS Context Methods", () => {
     expect(ctx.metadata.tags).toContain("another");
   });
 
+  test("clone should isolate state from the original", () => {
+    ctx.env = { DATA_KV: {} };
+    ctx.addTag("before");
+    ctx.references.push("lb");
+
+    const copy = ctx.clone();
+    copy.addTag("upstream");
+    copy.metadata.timings.forward = 5;
+    copy.setResponse(new ArrayBuffer(20));
+
+    expect(copy.dnsMessage).toBe(ctx.dnsMessage);
+    expect(copy.env).toBe(ctx.env);
+    expect(copy.hasTag("before")).toBe(true);
+    expect(copy.references).toEqual(["lb"]);
+    expect(ctx.hasTag("upstream")).toBe(false);
+    expect(ctx.metadata.timings.forward).toBeUndefined();
+    expect(ctx.resolved).toBe(false);
+    expect(ctx.response).toBeNull();
+  });
+
   test("buildResponse should return appropriate response based on context state", () => {
     // Test with unresolved context
     expect(ctx.resolved).toBe(false);
@@ -274,4 +315,153 @@ describe("DNS Context Methods", () => {
       console.error = originalConsoleError;
     }
   });
+
+  test("buildResponse answers errors with a DNS message when the query decodes", () => {
+    ctx.dnsMessage = encodeDnsMessage({
+      header: { id: 77, flags: 0x0100 },
+      questions: [{ name: "blocked.example.com", type: RRType.A }],
+    });
+    ctx.setError(RCODE.NXDOMAIN);
+    ctx.resolved = true;
+
+    const response = ctx.buildResponse();
+    expect(response.status).toBe(200);
+
+    const message = parseDnsMessage(response.body);
+    expect(message.header.id).toBe(77);
+    expect(message.header.flags & 0x000f).toBe(RCODE.NXDOMAIN);
+    expect(message.questions[0].name).toBe("blocked.example.com");
+  });
+
+  test("getQuery parses the wire query once and tolerates garbage", () => {
+    expect(ctx.getQuery()).toBeNull();
+
+    const other = new DnsContext(
+      { method: "POST", url: "https://example.com/dns-query" },
+      encodeDnsMessage({
+        header: { id: 5 },
+        questions: [{ name: "example.net", type: RRType.AAAA }],
+      })
+    );
+    const query = other.getQuery();
+    expect(query.questions[0]).toEqual({
+      name: "example.net",
+      type: RRType.AAAA,
+      class: 1,
+    });
+    expect(other.getQuery()).toBe(query);
+
+    // Wire queries report their real question
+    expect(other.getQueryDomain()).toBe("example.net");
+    expect(other.getQueryType()).toBe(RRType.AAAA);
+  });
+
+  test("getEdns returns the query's EDNS parameters", () => {
+    expect(ctx.getEdns()).toBeNull();
+
+    const other = new DnsContext(
+      { method: "POST", url: "https://example.com/dns-query" },
+      encodeDnsMessage({
+        header: { id: 5 },
+        questions: [{ name: "example.net", type: RRType.A }],
+        edns: { udpSize: 4096, dnssecOk: true },
+      })
+    );
+    expect(other.getEdns()).toMatchObject({ udpSize: 4096, dnssecOk: true });
+  });
+
+  describe("Extended DNS Errors", () => {
+    const blocked = {
+      infoCode: EdeCode.BLOCKED,
+      extraText: "Blocked by ads",
+    };
+
+    const encodeQuery = (edns) =>
+      encodeDnsMessage({
+        header: { id: 9, flags: 0x0100 },
+        questions: [{ name: "ads.example.com", type: RRType.A }],
+        edns,
+      });
+
+    test("setError attaches the extended error to the answer", () => {
+      ctx.dnsMessage = encodeQuery({});
+      ctx.setError(RCODE.NXDOMAIN, blocked);
+      ctx.resolved = true;
+
+      const response = parseDnsResponse(ctx.buildResponse().body);
+      expect(response.rcode).toBe(RCODE.NXDOMAIN);
+      expect(response.edns.options).toEqual([
+        createExtendedErrorOption(blocked),
+      ]);
+    });
+
+    test("encodes rcode names into the answer header", () => {
+      ctx.dnsMessage = encodeQuery({});
+      ctx.setError("NXDOMAIN", blocked);
+      ctx.resolved = true;
+
+      const response = parseDnsResponse(ctx.buildResponse().body);
+      expect(response.rcode).toBe(RCODE.NXDOMAIN);
+    });
+
+    test("answers failed upstreams with SERVFAIL and a network error", () => {
+      ctx.dnsMessage = encodeQuery({});
+      ctx.metadata.upstream = "https://dns.example/dns-query";
+      ctx.metadata.upstreamError = "Network error";
+
+      const response = ctx.buildResponse();
+      expect(response.status).toBe(200);
+
+      const message = parseDnsResponse(response.body);
+      expect(message.rcode).toBe(RCODE.SERVFAIL);
+      expect(message.edns.options).toEqual([
+        createExtendedErrorOption({
+          infoCode: EdeCode.NETWORK_ERROR,
+          extraText: "https://dns.example/dns-query: Network error",
+        }),
+      ]);
+    });
+
+    test("adds extended errors to answers from plugins", () => {
+      const stale = {
+        infoCode: EdeCode.STALE_ANSWER,
+        extraText: "Expired answer from cache",
+      };
+      const answer = (edns) =>
+        encodeDnsMessage({
+          header: { id: 9, flags: 0x8180 },
+          questions: [{ name: "example.com", type: RRType.A }],
+          answers: [
+            { name: "example.com", type: RRType.A, ttl: 30, data: "192.0.2.1" },
+          ],
+          edns,
+        });
+
+      ctx.dnsMessage = encodeQuery({});
+      ctx.setResponse(answer({}));
+      ctx.addExtendedError(stale.infoCode, stale.extraText);
+
+      const response = parseDnsResponse(ctx.buildResponse().body);
+      expect(response.answers).toHaveLength(1);
+      expect(response.edns.options).toEqual([createExtendedErrorOption(stale)]);
+
+      // Clients that didn't ask with EDNS get the answer unchanged
+      const plain = new DnsContext(ctx.request, encodeQuery());
+      const plainAnswer = answer();
+      plain.setResponse(plainAnswer);
+      plain.addExtendedError(stale.infoCode, stale.extraText);
+      expect(plain.buildResponse().body).toBe(plainAnswer);
+    });
+
+    test("lists extended errors in JSON answers", async () => {
+      ctx.dnsMessage = encodeQuery();
+      ctx.jsonQuery = { name: "ads.example.com", type: RRType.A };
+      ctx.setError(RCODE.NXDOMAIN, blocked);
+      ctx.resolved = true;
+
+      const json = await ctx.buildResponse().json();
+      expect(json.Status).toBe(RCODE.NXDOMAIN);
+      expect(json.Comment).toEqual(["EDE(15): Blocked by ads"]);
+    });
+  });
 });
@@ -11,8 +11,11 @@ import {
   loadDomainList,
   loadIPList,
   loadHostsFile,
+  resolveDataKey,
   clearCache,
   getCacheStats,
+  loadIPTrie,
+  loadDomainIndex,
 } from "../../src/core/data-loader.js";
 
 // Mock Date.now to control cache expiration
@@ -174,10 +177,56 @@ describe("Data Loader Functionality", () => {
 
       // Verify hosts were parsed correctly (ignoring comments and empty lines)
       expect(Object.keys(hosts).length).toBe(4);
-      expect(hosts["localhost"]).toBe("127.0.0.1");
-      expect(hosts["router.local"]).toBe("192.168.1.1");
-      expect(hosts["admin.router.local"]).toBe("192.168.1.1");
-      expect(hosts["nas.local"]).toBe("10.0.0.1");
+      expect(hosts["localhost"]).toEqual(["127.0.0.1"]);
+      expect(hosts["router.local"]).toEqual(["192.168.1.1"]);
+      expect(hosts["admin.router.local"]).toEqual(["192.168.1.1"]);
+      expect(hosts["nas.local"]).toEqual(["10.0.0.1"]);
+    });
+
+    test("should merge addresses and accept MosDNS-style rules", async () => {
+      mockKV.get.mockResolvedValue(
+        [
+          "127.0.0.1 localhost",
+          "::1 localhost ip6-localhost # loopback",
+          "domain:Dev.Internal 10.0.0.1 fd00::1",
+          "full:api.example.com. 192.0.2.1",
+          "keyword:tracker 0.0.0.0",
+          "regexp:^cdn[0-9]+\\.Example\\.com$ 192.0.2.9",
+          "www.example.com Web.Example.com.",
+        ].join("\n")
+      );
+
+      const hosts = await loadHostsFile("hosts/mosdns", mockEnv);
+
+      expect(hosts).toEqual({
+        localhost: ["127.0.0.1", "::1"],
+        "ip6-localhost": ["::1"],
+        "domain:dev.internal": ["10.0.0.1", "fd00::1"],
+        "api.example.com": ["192.0.2.1"],
+        "keyword:tracker": ["0.0.0.0"],
+        "regexp:^cdn[0-9]+\\.Example\\.com$": ["192.0.2.9"],
+        "www.example.com": ["web.example.com"],
+      });
+    });
+
+    test("should skip scoped IPv6 addresses", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      mockKV.get.mockResolvedValue(
+        [
+          "127.0.0.1 localhost",
+          "fe80::1%lo0 localhost",
+          "router.local fe80::1%en0 192.168.1.1",
+        ].join("\n")
+      );
+
+      const hosts = await loadHostsFile("hosts/scoped", mockEnv);
+
+      expect(hosts).toEqual({
+        localhost: ["127.0.0.1"],
+        "router.local": ["192.168.1.1"],
+      });
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      warnSpy.mockRestore();
     });
 
     test("should use cached hosts file when available", async () => {
@@ -196,6 +245,18 @@ describe("Data Loader Functionality", () => {
     });
   });
 
+  describe("Data Keys", () => {
+    test("should map file references to upload keys", () => {
+      expect(resolveDataKey("hosts/internal", "hosts")).toBe("hosts/internal");
+      expect(resolveDataKey("/etc/mosdns/hosts.txt", "hosts")).toBe(
+        "hosts/hosts.txt"
+      );
+      expect(resolveDataKey("geosite_cn.txt", "domains")).toBe(
+        "domains/geosite_cn.txt"
+      );
+    });
+  });
+
   describe("Cache Management", () => {
     test("should clear specific cache type", async () => {
       // Load data into different caches
@@ -245,6 +306,42 @@ describe("Data Loader Functionality", () => {
       expect(getCacheStats().hosts).toBe(0);
     });
 
+    test("should compile domain lists into a reusable index", async () => {
+      mockKV.get.mockResolvedValue("example.com\nkeyword:tracker");
+
+      const index = await loadDomainIndex("domains/block", mockEnv);
+      expect(index.has("www.example.com")).toBe(true);
+      expect(index.has("tracker.example.org")).toBe(true);
+      expect(await loadDomainIndex("domains/block", mockEnv)).toBe(index);
+
+      const exact = await loadDomainIndex("domains/block", mockEnv, "full");
+      expect(exact.has("www.example.com")).toBe(false);
+      expect(mockKV.get).toHaveBeenCalledTimes(1);
+      expect(getCacheStats().domainIndexes).toBe(2);
+
+      clearCache("domains");
+      expect(getCacheStats().domainIndexes).toBe(0);
+    });
+
+    test("should compile IP lists into a reusable trie", async () => {
+      mockKV.get.mockResolvedValue("10.0.0.0/8\n2001:db8::/32\n192.0.2.1");
+
+      const trie = await loadIPTrie("ips/cn", mockEnv);
+      expect(trie.contains("10.1.2.3")).toBe(true);
+      expect(trie.contains("2001:db8::1")).toBe(true);
+      expect(trie.contains("192.0.2.2")).toBe(false);
+      expect(await loadIPTrie("ips/cn", mockEnv)).toBe(trie);
+
+      const stats = getCacheStats();
+      expect(stats.ipTries.lists).toBe(1);
+      expect(stats.ipTries.prefixes).toBe(3);
+      expect(stats.ipTries.nodes).toBeGreaterThan(2);
+      expect(stats.ipTries.buildTime).toBeGreaterThanOrEqual(0);
+
+      clearCache("ips");
+      expect(getCacheStats().ipTries.lists).toBe(0);
+    });
+
     test("should return cache statistics", async () => {
       // Load data into different caches
       mockKV.get.mockResolvedValueOnce("example.com\ntest.org");
@@ -5,11 +5,20 @@
 import { jest } from "@jest/globals";
 import {
   parseDnsQuery,
+  parseDnsMessage,
   buildDnsResponse,
+  encodeDnsMessage,
+  formatRecordData,
   arrayBufferToBase64Url,
+  createOptRecord,
+  createClientSubnetOption,
+  parseClientSubnetOption,
+  createExtendedErrorOption,
+  parseExtendedErrorOption,
   parseDnsResponse,
+  walkResourceRecords,
 } from "../../src/core/dns-message.js";
-import { RRType, RCODE } from "../../src/core/types.js";
+import { RRType, RCODE, HeaderFlag } from "../../src/core/types.js";
 
 // Mock implementation of btoa for tests
 global.btoa = (str) => Buffer.from(str, "binary").toString("base64");
@@ -226,4 +235,452 @@ describe("DNS Message Parser", () => {
     const result3 = parseDnsResponse(tooSmall);
     expect(result3.rcode).toBe(RCODE.SERVFAIL);
   });
+
+  test("parseDnsMessage follows compression pointers", () => {
+    const responseBuffer = createDnsResponseBuffer("example.com");
+    const message = parseDnsMessage(responseBuffer);
+
+    // The answer owner name is a pointer back to the question
+    expect(message.answers[0].name).toBe("example.com");
+    expect(message.authorities).toEqual([]);
+    expect(message.additionals).toEqual([]);
+  });
+
+  test("parseDnsMessage rejects pointer loops", () => {
+    const buffer = createDnsQueryBuffer("example.com");
+    const view = new DataView(buffer);
+    view.setUint16(12, 0xc00c); // Question name points at itself
+
+    expect(() => parseDnsMessage(buffer)).toThrow(/compression pointers/);
+  });
+});
+
+describe("DNS Message Encoder", () => {
+  const question = { name: "example.com", type: RRType.A, class: 1 };
+
+  test("encodeDnsMessage round-trips every supported record type", () => {
+    const answers = [
+      { name: "example.com", type: RRType.A, ttl: 300, data: "192.0.2.1" },
+      {
+        name: "example.com",
+        type: RRType.AAAA,
+        ttl: 300,
+        data: "2001:db8::1",
+      },
+      {
+        name: "www.example.com",
+        type: RRType.CNAME,
+        ttl: 60,
+        data: "example.com",
+      },
+      {
+        name: "example.com",
+        type: RRType.NS,
+        ttl: 60,
+        data: "ns1.example.com",
+      },
+      {
+        name: "1.2.0.192.in-addr.arpa",
+        type: RRType.PTR,
+        ttl: 60,
+        data: "example.com",
+      },
+      {
+        name: "example.com",
+        type: RRType.MX,
+        ttl: 60,
+        data: { preference: 10, exchange: "mail.example.com" },
+      },
+      { name: "example.com", type: RRType.TXT, ttl: 60, data: "v=spf1 -all" },
+      {
+        name: "_sip._tcp.example.com",
+        type: RRType.SRV,
+        ttl: 60,
+        data: "10 5 5060 sip.example.com",
+      },
+      { name: "example.com", type: 99, ttl: 60, data: "0xdeadbeef" },
+    ];
+    const authorities = [
+      {
+        name: "example.com",
+        type: RRType.SOA,
+        ttl: 3600,
+        data: {
+          mname: "ns1.example.com",
+          rname: "hostmaster.example.com",
+          serial: 2024010101,
+          refresh: 7200,
+          retry: 3600,
+          expire: 1209600,
+          minimum: 300,
+        },
+      },
+    ];
+
+    const buffer = encodeDnsMessage({
+      header: { id: 4321, flags: 0x8180 },
+      questions: [question],
+      answers,
+      authorities,
+    });
+    const message = parseDnsMessage(buffer);
+
+    expect(message.header).toMatchObject({
+      id: 4321,
+      flags: 0x8180,
+      qdcount: 1,
+      ancount: answers.length,
+      nscount: 1,
+      arcount: 0,
+    });
+    expect(message.questions).toEqual([question]);
+    expect(message.answers.map((rr) => rr.data)).toEqual([
+      "192.0.2.1",
+      "2001:0db8:0000:0000:0000:0000:0000:0001",
+      "example.com",
+      "ns1.example.com",
+      "example.com",
+      "10 mail.example.com",
+      [new TextEncoder().encode("v=spf1 -all")],
+      "10 5 5060 sip.example.com",
+      "0xdeadbeef",
+    ]);
+    expect(message.answers[2]).toMatchObject({
+      name: "www.example.com",
+      class: 1,
+      ttl: 60,
+    });
+    expect(message.authorities[0].data).toBe(
+      "ns1.example.com hostmaster.example.com 2024010101 7200 3600 1209600 300"
+    );
+  });
+
+  test("encodeDnsMessage compresses repeated names", () => {
+    const answer = { name: "example.com", type: RRType.A, ttl: 60 };
+    const buffer = encodeDnsMessage({
+      header: { id: 1 },
+      questions: [question],
+      answers: [
+        { ...answer, data: "192.0.2.1" },
+        { ...answer, data: "192.0.2.2" },
+      ],
+    });
+    const view = new DataView(buffer);
+
+    // Header (12) + question (13 + 4) + two answers using 2-byte pointers
+    expect(buffer.byteLength).toBe(12 + 17 + 2 * (2 + 10 + 4));
+    expect(view.getUint16(29)).toBe(0xc00c);
+  });
+
+  test("encodeDnsMessage does not compress SRV targets", () => {
+    const buffer = encodeDnsMessage({
+      questions: [{ name: "example.com", type: RRType.SRV }],
+      answers: [
+        {
+          name: "example.com",
+          type: RRType.SRV,
+          ttl: 60,
+          data: { priority: 1, weight: 1, port: 53, target: "example.com" },
+        },
+      ],
+    });
+    const bytes = new Uint8Array(buffer);
+
+    // The target is written out in full at the end of the message
+    expect(bytes[bytes.length - 13]).toBe(7);
+    expect(parseDnsMessage(buffer).answers[0].data).toBe("1 1 53 example.com");
+  });
+
+  test("encodeDnsMessage splits long TXT strings", () => {
+    const text = "a".repeat(300);
+    const buffer = encodeDnsMessage({
+      questions: [{ name: "example.com", type: RRType.TXT }],
+      answers: [{ name: "example.com", type: RRType.TXT, ttl: 1, data: text }],
+    });
+
+    const [answer] = parseDnsMessage(buffer).answers;
+    expect(answer.data).toEqual([
+      new TextEncoder().encode("a".repeat(255)),
+      new TextEncoder().encode("a".repeat(45)),
+    ]);
+  });
+
+  test("TXT character-strings survive a round trip byte for byte", () => {
+    // A DKIM key split in two, and a string that isn't valid UTF-8
+    const strings = [
+      new TextEncoder().encode(`v=DKIM1; p=${"A".repeat(240)}`),
+      new TextEncoder().encode("B".repeat(40)),
+      new Uint8Array([0x68, 0xe9, 0xff, 0x22, 0x00]),
+    ];
+    const buffer = encodeDnsMessage({
+      questions: [{ name: "example.com", type: RRType.TXT }],
+      answers: [
+        { name: "example.com", type: RRType.TXT, ttl: 1, data: strings },
+      ],
+    });
+
+    const message = parseDnsMessage(buffer);
+    expect(message.answers[0].data).toEqual(strings);
+    expect(new Uint8Array(encodeDnsMessage(message))).toEqual(
+      new Uint8Array(buffer)
+    );
+
+    expect(
+      formatRecordData({
+        type: RRType.TXT,
+        data: [strings[1].subarray(0, 2), strings[2]],
+      })
+    ).toBe('"BB" "h\\233\\255\\"\\000"');
+  });
+
+  test("encodeDnsMessage rejects invalid names", () => {
+    expect(() =>
+      encodeDnsMessage({
+        questions: [{ name: `${"a".repeat(64)}.com`, type: RRType.A }],
+      })
+    ).toThrow(/Invalid domain name/);
+    expect(() =>
+      encodeDnsMessage({
+        questions: [{ name: "example..com", type: RRType.A }],
+      })
+    ).toThrow(/Invalid domain name/);
+  });
+
+  test("buildDnsResponse carries over the query and encodes answers", () => {
+    const query = parseDnsMessage(
+      encodeDnsMessage({
+        header: { id: 1234, flags: HeaderFlag.RD },
+        questions: [{ name: "example.org", type: RRType.A }],
+      })
+    );
+
+    const response = buildDnsResponse(query, {
+      aa: true,
+      answers: [
+        { name: "example.org", type: RRType.A, ttl: 120, data: "192.0.2.7" },
+      ],
+    });
+    const message = parseDnsMessage(response);
+
+    expect(message.header.id).toBe(1234);
+    expect(message.header.flags & HeaderFlag.QR).toBeTruthy();
+    expect(message.header.flags & HeaderFlag.AA).toBeTruthy();
+    expect(message.header.flags & HeaderFlag.RD).toBeTruthy();
+    expect(message.header.flags & HeaderFlag.RA).toBeTruthy();
+    expect(message.header.flags & HeaderFlag.RCODE).toBe(RCODE.NOERROR);
+    expect(message.questions).toEqual(query.questions);
+    expect(message.answers).toEqual([
+      {
+        name: "example.org",
+        type: RRType.A,
+        class: 1,
+        ttl: 120,
+        data: "192.0.2.7",
+      },
+    ]);
+  });
+});
+
+describe("EDNS", () => {
+  const ecsOption = { code: 8, data: new Uint8Array([0, 1, 24, 0, 192, 0, 2]) };
+
+  const encodeQuery = (opt) =>
+    encodeDnsMessage({
+      header: { id: 7, flags: HeaderFlag.RD },
+      questions: [{ name: "example.com", type: RRType.A }],
+      additionals: opt ? [opt] : [],
+    });
+
+  test("parses the OPT pseudo-record", () => {
+    const message = parseDnsMessage(
+      encodeQuery({
+        name: "",
+        type: RRType.OPT,
+        class: 4096,
+        ttl: 0x01008000,
+        data: [ecsOption, { code: 10, data: new Uint8Array(8) }],
+      })
+    );
+
+    expect(message.edns).toEqual({
+      udpSize: 4096,
+      extendedRcode: 1,
+      version: 0,
+      dnssecOk: true,
+      options: [ecsOption, { code: 10, data: new Uint8Array(8) }],
+    });
+
+    // The record itself stays in the additional section
+    expect(message.additionals).toHaveLength(1);
+    expect(message.additionals[0].type).toBe(RRType.OPT);
+  });
+
+  test("reports no EDNS for plain queries", () => {
+    expect(parseDnsMessage(encodeQuery()).edns).toBeNull();
+  });
+
+  test("rejects options that overrun the record", () => {
+    const buffer = encodeQuery({
+      name: "",
+      type: RRType.OPT,
+      class: 1232,
+      ttl: 0,
+      data: new Uint8Array([0, 8, 0, 9, 0, 1]),
+    });
+
+    expect(() => parseDnsMessage(buffer)).toThrow(/EDNS option/);
+  });
+
+  test("encodes EDNS parameters in place of any OPT record", () => {
+    const original = parseDnsMessage(
+      encodeQuery(createOptRecord({ options: [ecsOption] }))
+    );
+    const buffer = encodeDnsMessage({
+      ...original,
+      edns: { udpSize: 512, dnssecOk: true },
+    });
+    const message = parseDnsMessage(buffer);
+
+    expect(message.additionals).toHaveLength(1);
+    expect(message.edns).toEqual({
+      udpSize: 512,
+      extendedRcode: 0,
+      version: 0,
+      dnssecOk: true,
+      options: [],
+    });
+  });
+
+  test("builds responses with an OPT record for EDNS queries", () => {
+    const query = parseDnsMessage(
+      encodeQuery(createOptRecord({ udpSize: 4096, dnssecOk: true }))
+    );
+    const ede = { code: 15, data: new Uint8Array([0, 15]) };
+    const response = parseDnsResponse(
+      buildDnsResponse(query, { rcode: RCODE.NXDOMAIN, ednsOptions: [ede] })
+    );
+
+    expect(response.rcode).toBe(RCODE.NXDOMAIN);
+    expect(response.edns).toEqual({
+      udpSize: 1232,
+      extendedRcode: 0,
+      version: 0,
+      dnssecOk: true,
+      options: [ede],
+    });
+
+    // Queries without EDNS get none back
+    const plain = buildDnsResponse(parseDnsMessage(encodeQuery()), {
+      ednsOptions: [ede],
+    });
+    expect(parseDnsMessage(plain).edns).toBeNull();
+  });
+
+  test("answers unsupported EDNS versions with BADVERS", () => {
+    const query = parseDnsMessage(encodeQuery(createOptRecord({ version: 1 })));
+    const response = parseDnsResponse(
+      buildDnsResponse(query, {
+        answers: [
+          { name: "example.com", type: RRType.A, ttl: 60, data: "192.0.2.1" },
+        ],
+      })
+    );
+
+    expect(response.rcode).toBe(RCODE.BADVERS);
+    expect(response.flags & HeaderFlag.RCODE).toBe(0);
+    expect(response.answers).toEqual([]);
+    expect(response.edns.version).toBe(0);
+  });
+
+  test("encodes client subnet options truncated to the prefix", () => {
+    expect(createClientSubnetOption("198.51.100.77/24")).toEqual({
+      code: 8,
+      data: new Uint8Array([0, 1, 24, 0, 198, 51, 100]),
+    });
+
+    // Bits past the prefix are cleared
+    const v6 = createClientSubnetOption("2001:db8:abcd:12ff::1/52");
+    expect(v6.data).toEqual(
+      new Uint8Array([0, 2, 52, 0, 0x20, 0x01, 0x0d, 0xb8, 0xab, 0xcd, 0x10])
+    );
+    expect(parseClientSubnetOption(v6.data)).toEqual({
+      family: 2,
+      sourcePrefix: 52,
+      scopePrefix: 0,
+      subnet: "2001:db8:abcd:1000:0:0:0:0/52",
+    });
+
+    expect(() => createClientSubnetOption("192.0.2.1/33")).toThrow(
+      /Invalid client subnet/
+    );
+  });
+
+  test("encodes extended errors with their extra text", () => {
+    const option = createExtendedErrorOption({
+      infoCode: 15,
+      extraText: "Blocked by adblock",
+    });
+
+    expect(option.code).toBe(15);
+    expect([...option.data.subarray(0, 2)]).toEqual([0, 15]);
+    expect(parseExtendedErrorOption(option.data)).toEqual({
+      infoCode: 15,
+      extraText: "Blocked by adblock",
+    });
+    expect(createExtendedErrorOption({ infoCode: 3 }).data).toEqual(
+      new Uint8Array([0, 3])
+    );
+  });
+});
+
+describe("DNS Record Walker", () => {
+  test("visits every record with its field offsets", () => {
+    const buffer = encodeDnsMessage({
+      header: { id: 1, flags: 0x8180 },
+      questions: [{ name: "example.com", type: RRType.A }],
+      answers: [
+        { name: "example.com", type: RRType.A, ttl: 60, data: "192.0.2.1" },
+      ],
+      authorities: [
+        {
+          name: "example.com",
+          type: RRType.NS,
+          ttl: 120,
+          data: "ns.example.com",
+        },
+      ],
+      additionals: [
+        { name: "", type: RRType.OPT, class: 1232, ttl: 0, data: "" },
+      ],
+    });
+
+    const visited = [];
+    walkResourceRecords(buffer, (record) => visited.push(record));
+
+    expect(visited.map((r) => [r.section, r.type, r.ttl])).toEqual([
+      ["answer", RRType.A, 60],
+      ["authority", RRType.NS, 120],
+      ["additional", RRType.OPT, 0],
+    ]);
+    expect(visited[2].class).toBe(1232);
+
+    const view = new DataView(buffer);
+    expect(view.getUint32(visited[1].ttlOffset)).toBe(120);
+    expect(visited[0].rdlength).toBe(4);
+    expect(view.getUint8(visited[0].rdataOffset)).toBe(192);
+  });
+
+  test("rejects truncated messages", () => {
+    const buffer = encodeDnsMessage({
+      header: { id: 1 },
+      questions: [{ name: "example.com", type: RRType.A }],
+      answers: [
+        { name: "example.com", type: RRType.A, ttl: 60, data: "192.0.2.1" },
+      ],
+    });
+
+    expect(() =>
+      walkResourceRecords(buffer.slice(0, buffer.byteLength - 2), () => {})
+    ).toThrow();
+  });
 });
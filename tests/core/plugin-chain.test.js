@@ -10,6 +10,8 @@ import { jest } from "@jest/globals";
 import {
   registerPlugin,
   createPluginChain,
+  findReferenceCycle,
+  getPluginTag,
   loadPlugins,
 } from "../../src/core/plugin-chain.js";
 
@@ -202,6 +204,30 @@ describe("Plugin Chain", () => {
 
       expect(ctx.metadata.args).toEqual({ key1: "value1", key2: 42 });
     });
+
+    test("should call the setup hook once per configured instance", () => {
+      const setup = jest.fn();
+      registerPlugin("declaring_plugin", jest.fn(), setup);
+
+      const args = { files: ["list.txt"] };
+      createPluginChain([
+        { type: "declaring_plugin", tag: "first", args },
+        { type: "declaring_plugin" },
+      ]);
+
+      expect(setup).toHaveBeenCalledTimes(2);
+      expect(setup).toHaveBeenNthCalledWith(1, args, "first");
+      expect(setup).toHaveBeenNthCalledWith(2, {}, "plugin_1");
+    });
+
+    test("should look up an instance's tag by its args", () => {
+      const args = { action: "reject" };
+      createPluginChain([{ type: "test_plugin", tag: "rejector", args }]);
+
+      expect(getPluginTag(args)).toBe("rejector");
+      expect(getPluginTag({ action: "reject" })).toBeNull();
+      expect(getPluginTag(undefined)).toBeNull();
+    });
   });
 
   // Plugin chain execution tests
@@ -290,6 +316,77 @@ describe("Plugin Chain", () => {
       expect(executionOrder).not.toContain("plugin3");
     });
 
+    test("should keep running response plugins once resolved", async () => {
+      const executionOrder = [];
+      const track =
+        (name, effect = () => {}) =>
+        async (ctx) => {
+          executionOrder.push(name);
+          effect(ctx);
+          return true;
+        };
+
+      registerPlugin(
+        "resolver",
+        track("resolver", (ctx) => {
+          ctx.resolved = true;
+        })
+      );
+      registerPlugin("plugin3", track("plugin3"));
+      registerPlugin("rewriter", track("rewriter"), { afterResponse: true });
+      registerPlugin(
+        "finisher",
+        track("finisher", (ctx) => {
+          ctx.finished = true;
+        }),
+        { afterResponse: true }
+      );
+
+      const chain = createPluginChain([
+        { type: "resolver", tag: "resolve" },
+        { type: "plugin3", tag: "skipped" },
+        { type: "plugin3", tag: "marked", after_response: true },
+        { type: "rewriter", tag: "rewrite" },
+        { type: "rewriter", tag: "unmarked", after_response: false },
+        { type: "finisher", tag: "finish" },
+        { type: "rewriter", tag: "after_finish" },
+      ]);
+      await chain.execute(new MockDnsContext());
+
+      expect(executionOrder).toEqual([
+        "resolver",
+        "plugin3",
+        "rewriter",
+        "finisher",
+      ]);
+    });
+
+    test("should stop execution once an error is set", async () => {
+      const executionOrder = [];
+      registerPlugin("rejecter", async (ctx) => {
+        executionOrder.push("rejecter");
+        ctx.error = 3;
+        ctx.resolved = true;
+        return true;
+      });
+      registerPlugin(
+        "rewriter",
+        async () => {
+          executionOrder.push("rewriter");
+          return true;
+        },
+        { afterResponse: true }
+      );
+
+      const chain = createPluginChain([
+        { type: "rejecter", tag: "reject" },
+        { type: "rewriter", tag: "rewrite" },
+      ]);
+      await chain.execute(new MockDnsContext());
+
+      expect(executionOrder).toEqual(["rejecter"]);
+    });
+
     test("should add tag to context when plugin returns true", async () => {
       registerPlugin("true_plugin", async () => true);
       registerPlugin("false_plugin", async () => false);
@@ -535,6 +632,138 @@ describe("Plugin Chain", () => {
     });
   });
 
+  // Plugin reference tests
+  describe("Plugin References", () => {
+    test("should expose configured plugins by tag", () => {
+      registerPlugin("tagged_plugin", jest.fn());
+
+      const chain = createPluginChain([
+        { type: "tagged_plugin", tag: "upstream" },
+        { type: "tagged_plugin", tag: "upstream" },
+      ]);
+
+      expect(chain.getPlugin("upstream")).toBe(chain.getPlugins()[0]);
+      expect(chain.getPlugin("missing")).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Duplicate plugin tag "upstream"')
+      );
+    });
+
+    test("should run referenced plugins only through references", async () => {
+      const executionOrder = [];
+      registerPlugin("referenced_plugin", async (ctx, args, chain) => {
+        executionOrder.push(args.name);
+        expect(chain.getPlugin("remote")).not.toBeNull();
+        return true;
+      });
+
+      const chain = createPluginChain([
+        {
+          type: "referenced_plugin",
+          tag: "remote",
+          args: { name: "remote" },
+          reference_only: true,
+        },
+        { type: "reference", tag: "exec_remote", reference: "remote" },
+        { type: "reference", tag: "exec_args", args: { reference: "remote" } },
+      ]);
+      const ctx = new MockDnsContext();
+
+      await chain.execute(ctx);
+
+      expect(executionOrder).toEqual(["remote", "remote"]);
+      expect(ctx.metadata.tags).toEqual(["exec_remote", "exec_args"]);
+      expect(await chain.invoke("remote", ctx)).toBe(true);
+    });
+
+    test("should execute the plugins after a given tag", async () => {
+      const executionOrder = [];
+      registerPlugin("ordered_plugin", async (ctx, args) => {
+        executionOrder.push(args.name);
+        return true;
+      });
+
+      const chain = createPluginChain([
+        { type: "ordered_plugin", tag: "first", args: { name: "first" } },
+        { type: "ordered_plugin", tag: "second", args: { name: "second" } },
+        { type: "ordered_plugin", tag: "third", args: { name: "third" } },
+      ]);
+      const ctx = new MockDnsContext();
+
+      await chain.executeAfter("first", ctx);
+
+      expect(executionOrder).toEqual(["second", "third"]);
+      expect(ctx.metadata.tags).toEqual(["second", "third"]);
+      await expect(chain.executeAfter("missing", ctx)).rejects.toThrow(
+        'Plugin "missing" not found in chain'
+      );
+    });
+
+    test("should record an error for unknown references", async () => {
+      const chain = createPluginChain([
+        { type: "reference", tag: "exec_missing", reference: "missing" },
+      ]);
+      const ctx = new MockDnsContext();
+
+      await chain.execute(ctx);
+
+      expect(ctx.metadata.errors).toEqual([
+        {
+          plugin: "exec_missing",
+          error: 'Referenced plugin "missing" not found',
+        },
+      ]);
+    });
+
+    test("should reject reference cycles in the configuration", () => {
+      expect(() =>
+        createPluginChain([
+          { type: "reference", tag: "a", reference: "b" },
+          { type: "reference", tag: "b", reference: "a" },
+        ])
+      ).toThrow("Plugin reference cycle: a -> b -> a");
+    });
+
+    test("should find reference cycles without building a chain", () => {
+      expect(
+        findReferenceCycle([
+          { type: "reference", tag: "entry", reference: "a" },
+          { type: "reference", tag: "a", args: { reference: "b" } },
+          { type: "reference", tag: "b", reference: "a" },
+        ])
+      ).toEqual(["entry", "a", "b", "a"]);
+
+      expect(
+        findReferenceCycle([
+          { type: "forward", tag: "a" },
+          { type: "reference", tag: "b", reference: "a" },
+        ])
+      ).toBeNull();
+      expect(findReferenceCycle(undefined)).toBeNull();
+    });
+
+    test("should stop reference cycles through other plugins", async () => {
+      let calls = 0;
+      registerPlugin("looping_plugin", async (ctx, args, chain) => {
+        calls++;
+        return chain.invoke("exec_loop", ctx);
+      });
+
+      const chain = createPluginChain([
+        { type: "looping_plugin", tag: "loop", reference_only: true },
+        { type: "reference", tag: "exec_loop", reference: "loop" },
+      ]);
+      const ctx = new MockDnsContext();
+
+      await chain.execute(ctx);
+
+      expect(calls).toBe(1);
+      expect(ctx.metadata.errors[0].error).toBe(
+        "Plugin reference cycle: loop -> exec_loop -> loop"
+      );
+    });
+  });
+
   // Plugin loading tests
   describe("Plugin Loading", () => {
     // We can't fully test loadPlugins without mocking dynamic imports
@@ -6,7 +6,13 @@
  */
 
 import { jest } from "@jest/globals";
-import { RRType, RCODE, PluginStatus } from "../../src/core/types.js";
+import {
+  RRType,
+  RCODE,
+  EdnsOption,
+  EdeCode,
+  PluginStatus,
+} from "../../src/core/types.js";
 
 describe("DNS Type Definitions", () => {
   describe("RRType Constants", () => {
@@ -43,6 +49,7 @@ describe("DNS Type Definitions", () => {
       expect(RCODE.NXDOMAIN).toBe(3);
       expect(RCODE.NOTIMP).toBe(4);
       expect(RCODE.REFUSED).toBe(5);
+      expect(RCODE.BADVERS).toBe(16);
     });
 
     test("should have no overlapping response codes", () => {
@@ -54,6 +61,24 @@ describe("DNS Type Definitions", () => {
     });
   });
 
+  describe("EdnsOption Constants", () => {
+    test("should define correct EDNS option codes", () => {
+      expect(EdnsOption.ECS).toBe(8);
+      expect(EdnsOption.COOKIE).toBe(10);
+      expect(EdnsOption.PADDING).toBe(12);
+      expect(EdnsOption.EDE).toBe(15);
+    });
+  });
+
+  describe("EdeCode Constants", () => {
+    test("should define correct extended error codes", () => {
+      expect(EdeCode.STALE_ANSWER).toBe(3);
+      expect(EdeCode.BLOCKED).toBe(15);
+      expect(EdeCode.FILTERED).toBe(17);
+      expect(EdeCode.NETWORK_ERROR).toBe(23);
+    });
+  });
+
   describe("PluginStatus Constants", () => {
     test("should define correct plugin execution statuses", () => {
       // Verify plugin status strings
@@ -80,7 +105,7 @@ describe("DNS Type Definitions", () => {
 
       // Check that object structure is as expected (no additional unexpected exports)
       expect(Object.keys(RRType).length).toBe(11);
-      expect(Object.keys(RCODE).length).toBe(6);
+      expect(Object.keys(RCODE).length).toBe(7);
       expect(Object.keys(PluginStatus).length).toBe(3);
     });
   });
@@ -0,0 +1,133 @@
+/**
+ * Upstream Health Tests
+ *
+ * Tests failure counting, latency smoothing and the circuit breaker shared
+ * by the forward and load_balancer plugins.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  CircuitState,
+  getHealthOptions,
+  getUpstreamHealthStats,
+  getUpstreamLatency,
+  isUpstreamAvailable,
+  recordUpstreamAttempt,
+  recordUpstreamFailure,
+  recordUpstreamSuccess,
+  resetUpstreamHealth,
+} from "../../src/core/upstream-health.js";
+
+describe("Upstream Health", () => {
+  const options = { failureThreshold: 3, cooldown: 1000 };
+  let now;
+
+  beforeEach(() => {
+    resetUpstreamHealth();
+    now = 1700000000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function getStats(name) {
+    return getUpstreamHealthStats().find((stats) => stats.name === name);
+  }
+
+  test("should read options from plugin arguments", () => {
+    expect(getHealthOptions({})).toEqual({
+      failureThreshold: 5,
+      cooldown: 30000,
+    });
+    expect(
+      getHealthOptions({ failure_threshold: 2, circuit_cooldown: 500 })
+    ).toEqual({ failureThreshold: 2, cooldown: 500 });
+  });
+
+  test("should smooth latency over successful queries", () => {
+    expect(getUpstreamLatency("dns")).toBeNull();
+
+    recordUpstreamSuccess("dns", 100);
+    expect(getUpstreamLatency("dns")).toBe(100);
+
+    recordUpstreamSuccess("dns", 200);
+    expect(getUpstreamLatency("dns")).toBeCloseTo(130);
+    expect(getStats("dns")).toMatchObject({
+      state: CircuitState.CLOSED,
+      successes: 2,
+      latency: 130,
+    });
+  });
+
+  test("should open the circuit after consecutive failures", () => {
+    recordUpstreamFailure("dns", new Error("boom"), options);
+    recordUpstreamSuccess("dns", 10);
+    recordUpstreamFailure("dns", "timeout", options);
+    recordUpstreamFailure("dns", "timeout", options);
+    expect(isUpstreamAvailable("dns")).toBe(true);
+
+    recordUpstreamFailure("dns", "timeout", options);
+    expect(isUpstreamAvailable("dns")).toBe(false);
+    expect(getStats("dns")).toMatchObject({
+      state: CircuitState.OPEN,
+      consecutiveFailures: 3,
+      failures: 4,
+      lastError: "timeout",
+      retryAt: now + 1000,
+    });
+  });
+
+  test("should let a single probe through once the cooldown passes", () => {
+    for (let i = 0; i < 3; i++) {
+      recordUpstreamFailure("dns", "timeout", options);
+    }
+
+    now += 1000;
+    expect(isUpstreamAvailable("dns")).toBe(true);
+    recordUpstreamAttempt("dns", options);
+    expect(getStats("dns").state).toBe(CircuitState.HALF_OPEN);
+    expect(isUpstreamAvailable("dns")).toBe(false);
+
+    // A failed probe reopens the circuit
+    recordUpstreamFailure("dns", "timeout", options);
+    expect(getStats("dns").state).toBe(CircuitState.OPEN);
+    expect(isUpstreamAvailable("dns")).toBe(false);
+
+    // A successful probe closes it
+    now += 1000;
+    recordUpstreamAttempt("dns", options);
+    recordUpstreamSuccess("dns", 20);
+    expect(getStats("dns")).toMatchObject({
+      state: CircuitState.CLOSED,
+      consecutiveFailures: 0,
+      retryAt: null,
+    });
+    expect(isUpstreamAvailable("dns")).toBe(true);
+  });
+
+  test("should retry a probe that never reported back", () => {
+    for (let i = 0; i < 3; i++) {
+      recordUpstreamFailure("dns", "timeout", options);
+    }
+
+    now += 1000;
+    recordUpstreamAttempt("dns", options);
+    expect(isUpstreamAvailable("dns")).toBe(false);
+
+    now += 1000;
+    expect(isUpstreamAvailable("dns")).toBe(true);
+  });
+
+  test("should forget upstreams on reset", () => {
+    recordUpstreamSuccess("a", 1);
+    recordUpstreamSuccess("b", 1);
+
+    resetUpstreamHealth("a");
+    expect(getUpstreamHealthStats().map((stats) => stats.name)).toEqual(["b"]);
+
+    resetUpstreamHealth();
+    expect(getUpstreamHealthStats()).toEqual([]);
+  });
+});
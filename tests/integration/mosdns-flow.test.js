@@ -0,0 +1,155 @@
+/**
+ * Integration test for converted MosDNS sequences
+ *
+ * Runs configurations converted by the MosDNS adapter through the real
+ * plugins, with upstreams and KV mocked, to check that steps acting on the
+ * response still run once an upstream has answered.
+ */
+
+import { jest } from "@jest/globals";
+import { DnsContext } from "../../src/core/context.js";
+import { createPluginChain } from "../../src/core/plugin-chain.js";
+import { clearCache } from "../../src/core/data-loader.js";
+import {
+  buildDnsResponse,
+  encodeDnsMessage,
+  parseDnsMessage,
+  parseDnsResponse,
+} from "../../src/core/dns-message.js";
+import { RRType } from "../../src/core/types.js";
+import { convertMosDNSConfig } from "../../src/mosdns-adapter.js";
+import { registerAllPlugins } from "../../src/plugins/index.js";
+
+const LOCAL = "https://local.example/dns-query";
+const REMOTE = "https://remote.example/dns-query";
+
+describe("MosDNS Sequence Flow", () => {
+  let answers;
+  let originalFetch;
+
+  beforeEach(() => {
+    registerAllPlugins();
+    clearCache("ips");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    // Address and TTL each upstream answers with
+    answers = {
+      [LOCAL]: { data: "198.51.100.9", ttl: 5 },
+      [REMOTE]: { data: "203.0.113.9", ttl: 300 },
+    };
+
+    originalFetch = global.fetch;
+    global.fetch = jest.fn(async (url, { body }) => {
+      const query = parseDnsMessage(body);
+      const response = buildDnsResponse(query, {
+        answers: [{ name: "example.com", type: RRType.A, ...answers[url] }],
+      });
+      return { ok: true, arrayBuffer: async () => response };
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  function createChain(sequence) {
+    // Only forwarders the sequence runs, as others would run in chain order
+    const forwarders = [
+      { tag: "local", addr: LOCAL },
+      { tag: "remote", addr: REMOTE },
+    ]
+      .filter(({ tag }) => sequence.some((step) => step.exec === `$${tag}`))
+      .map(({ tag, addr }) => ({
+        tag,
+        type: "forward",
+        args: { upstreams: [{ addr }] },
+      }));
+
+    const { plugins } = convertMosDNSConfig({
+      plugins: [
+        { tag: "cn_ips", type: "ip_set", args: { files: ["cn.txt"] } },
+        ...forwarders,
+        { tag: "main", type: "sequence", args: sequence },
+      ],
+    });
+    return createPluginChain(plugins);
+  }
+
+  async function resolve(chain) {
+    const ctx = new DnsContext(
+      { method: "POST", url: "https://dns.example/dns-query" },
+      encodeDnsMessage({
+        header: { id: 1, flags: 0x0100 },
+        questions: [{ name: "example.com", type: RRType.A, class: 1 }],
+      })
+    );
+    ctx.env = {
+      DATA_KV: { get: jest.fn().mockResolvedValue("198.51.100.0/24") },
+    };
+
+    await chain.execute(ctx);
+    return parseDnsResponse(ctx.response).answers[0];
+  }
+
+  test("should clamp the TTLs an upstream answered with", async () => {
+    const chain = createChain([{ exec: "$local" }, { exec: "ttl 60-3600" }]);
+
+    const answer = await resolve(chain);
+
+    expect(answer.data).toBe("198.51.100.9");
+    expect(answer.ttl).toBe(60);
+  });
+
+  test("should accept domestic answers and query again otherwise", async () => {
+    const chain = createChain([
+      { exec: "$local" },
+      { matches: "resp_ip $cn_ips", exec: "accept" },
+      { exec: "$remote" },
+    ]);
+
+    expect((await resolve(chain)).data).toBe("198.51.100.9");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    answers[LOCAL].data = "192.0.2.9";
+    global.fetch.mockClear();
+
+    expect((await resolve(chain)).data).toBe("203.0.113.9");
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+      LOCAL,
+      REMOTE,
+    ]);
+  });
+
+  test("should query again when the answer is not in the IP set", async () => {
+    const chain = createChain([
+      { exec: "$local" },
+      { matches: "!resp_ip $cn_ips", exec: "$remote" },
+      { exec: "ttl 600" },
+    ]);
+
+    const domestic = await resolve(chain);
+    expect(domestic.data).toBe("198.51.100.9");
+    expect(domestic.ttl).toBe(600);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    answers[LOCAL].data = "192.0.2.9";
+    const foreign = await resolve(chain);
+    expect(foreign.data).toBe("203.0.113.9");
+    expect(foreign.ttl).toBe(600);
+  });
+
+  test("should skip steps with conditions it can't check", async () => {
+    const chain = createChain([
+      { exec: "$local" },
+      { matches: "has_resp", exec: "reject" },
+    ]);
+
+    expect((await resolve(chain)).data).toBe("198.51.100.9");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(
+      'Skipping step 1 of sequence "main": unsupported match condition'
+    );
+  });
+});
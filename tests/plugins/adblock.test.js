@@ -6,7 +6,7 @@
 
 import { jest } from "@jest/globals";
 import { executeAdBlock } from "../../src/plugins/adblock.js";
-import { RCODE } from "../../src/core/types.js";
+import { EdeCode, RCODE } from "../../src/core/types.js";
 
 describe("AdBlock Plugin Functionality", () => {
   let mockContext;
@@ -43,7 +43,10 @@ describe("AdBlock Plugin Functionality", () => {
     expect(result).toBe(true);
 
     // Verify error response was set
-    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NXDOMAIN);
+    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NXDOMAIN, {
+      infoCode: EdeCode.BLOCKED,
+      extraText: "Blocked by adblock",
+    });
 
     // Verify resolved flag and tag
     expect(mockContext.resolved).toBe(true);
@@ -79,7 +82,10 @@ describe("AdBlock Plugin Functionality", () => {
 
       // Verify domain was blocked
       expect(result).toBe(true);
-      expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NXDOMAIN);
+      expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NXDOMAIN, {
+        infoCode: EdeCode.BLOCKED,
+        extraText: "Blocked by adblock",
+      });
     }
   });
 
@@ -99,6 +105,16 @@ describe("AdBlock Plugin Functionality", () => {
     expect(mockContext.addTag).not.toHaveBeenCalled();
   });
 
+  test("should not block names that only contain a pattern without its dot", async () => {
+    for (const domain of ["download.com", "canada.ca", "shadow.net"]) {
+      mockContext.getQueryDomain.mockReturnValue(domain);
+
+      expect(await executeAdBlock(mockContext, {})).toBe(false);
+    }
+
+    expect(mockContext.setError).not.toHaveBeenCalled();
+  });
+
   test("should respect whitelist domains", async () => {
     // Set query domain to an ad domain that's whitelisted
     mockContext.getQueryDomain.mockReturnValue("ads.whitelist.com");
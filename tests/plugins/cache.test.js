@@ -5,8 +5,34 @@
  */
 
 import { jest } from "@jest/globals";
-import { executeCache } from "../../src/plugins/cache.js";
-import { RRType } from "../../src/core/types.js";
+import {
+  executeCache,
+  getCacheInstanceStats,
+  getCacheKey,
+  inspectCacheEntry,
+  purgeCacheEntry,
+  purgeCacheSuffix,
+  register,
+} from "../../src/plugins/cache.js";
+import { EdeCode, RCODE, RRType } from "../../src/core/types.js";
+import { createSoaRecord } from "../../src/utils/dns-util.js";
+import {
+  createPluginChain,
+  registerPlugin,
+} from "../../src/core/plugin-chain.js";
+import { DnsContext } from "../../src/core/context.js";
+import { register as registerForward } from "../../src/plugins/forward.js";
+import {
+  buildDnsResponse,
+  encodeDnsMessage,
+  parseClientSubnetOption,
+  parseDnsMessage,
+  parseDnsResponse,
+} from "../../src/core/dns-message.js";
+
+// Cache keys of the mock contexts' queries
+const KEY_A = "https://cache.fluxdns.internal/example.com/1/1?do=0&cd=0";
+const KEY_AAAA = "https://cache.fluxdns.internal/example.com/28/1?do=0&cd=0";
 
 describe("Cache Plugin Functionality", () => {
   let mockContext;
@@ -33,6 +59,7 @@ describe("Cache Plugin Functionality", () => {
       setResponse: jest.fn(),
       addTag: jest.fn(),
       hasTag: jest.fn().mockReturnValue(false), // Default to no tags
+      waitUntil: jest.fn(),
       resolved: false,
       metadata: {},
     };
@@ -59,7 +86,7 @@ describe("Cache Plugin Functionality", () => {
     expect(mockContext.addTag).toHaveBeenCalledWith("cache_miss");
 
     // Verify metadata is set
-    expect(mockContext.metadata.cacheKey).toBe("dns-example.com-1");
+    expect(mockContext.metadata.cacheKey).toBe(KEY_A);
     expect(mockContext.metadata.cacheTtl).toBe(300);
 
     // Verify setResponse has been replaced
@@ -139,7 +166,7 @@ describe("Cache Plugin Functionality", () => {
 
     // Extract call parameters
     const [cacheKey, response] = global.caches.default.put.mock.calls[0];
-    expect(cacheKey).toBe("dns-example.com-1");
+    expect(cacheKey).toBe(KEY_A);
 
     // Verify response headers
     expect(response.headers.get("Content-Type")).toBe(
@@ -176,7 +203,7 @@ describe("Cache Plugin Functionality", () => {
 
     await executeCache(mockContext, { ttl: 300 });
 
-    expect(mockContext.metadata.cacheKey).toBe("dns-example.com-1");
+    expect(mockContext.metadata.cacheKey).toBe(KEY_A);
 
     // Reset context
     mockContext.metadata = {};
@@ -186,6 +213,724 @@ describe("Cache Plugin Functionality", () => {
 
     await executeCache(mockContext, { ttl: 300 });
 
-    expect(mockContext.metadata.cacheKey).toBe("dns-example.com-28");
+    expect(mockContext.metadata.cacheKey).toBe(KEY_AAAA);
+  });
+});
+
+describe("Cache Plugin Keys", () => {
+  function createContext({ name = "example.com", flags = 0x0100, opt } = {}) {
+    return new DnsContext(
+      { method: "POST", url: "https://dns.example/dns-query" },
+      encodeDnsMessage({
+        header: { id: 1, flags },
+        questions: [{ name, type: RRType.A, class: 1 }],
+        additionals: opt
+          ? [
+              {
+                name: "",
+                type: RRType.OPT,
+                class: 1232,
+                ttl: opt.do ? 0x8000 : 0,
+                data: new Uint8Array(opt.options || []),
+              },
+            ]
+          : [],
+      })
+    );
+  }
+
+  function keyOf(ctx) {
+    return getCacheKey(ctx, ctx.getQueryDomain(), ctx.getQueryType());
+  }
+
+  test("should build a URL from the name, type and class", () => {
+    expect(keyOf(createContext())).toBe(
+      "https://cache.fluxdns.internal/example.com/1/1?do=0&cd=0"
+    );
+  });
+
+  test("should fold the case of the name", () => {
+    expect(keyOf(createContext({ name: "ExAmple.COM" }))).toBe(
+      keyOf(createContext())
+    );
+  });
+
+  test("should separate DNSSEC OK and checking disabled queries", () => {
+    expect(keyOf(createContext({ opt: { do: true } }))).toBe(
+      "https://cache.fluxdns.internal/example.com/1/1?do=1&cd=0"
+    );
+    expect(keyOf(createContext({ flags: 0x0110 }))).toBe(
+      "https://cache.fluxdns.internal/example.com/1/1?do=0&cd=1"
+    );
+  });
+
+  test("should include the client subnet of ECS queries", () => {
+    // ECS option: IPv4, source prefix 24, address 192.0.2.77
+    const v4 = createContext({
+      opt: { options: [0, 8, 0, 8, 0, 1, 24, 0, 192, 0, 2, 77] },
+    });
+    expect(keyOf(v4)).toBe(
+      "https://cache.fluxdns.internal/example.com/1/1?do=0&cd=0&ecs=192.0.2.0%2F24"
+    );
+
+    // IPv6, source prefix 48, address 2001:db8:1::
+    const v6 = createContext({
+      opt: {
+        do: true,
+        options: [0, 8, 0, 10, 0, 2, 48, 0, 0x20, 0x01, 0x0d, 0xb8, 0, 1],
+      },
+    });
+    expect(keyOf(v6)).toBe(
+      "https://cache.fluxdns.internal/example.com/1/1?do=1&cd=0&ecs=2001%3Adb8%3A1%3A0%3A0%3A0%3A0%3A0%2F48"
+    );
+  });
+
+  test("should include the subnets forward plugins send upstream", () => {
+    const ctx = createContext();
+    ctx.request.headers = {
+      get: (name) => (name === "CF-Connecting-IP" ? "198.51.100.7" : null),
+    };
+    const chain = {
+      getPlugins: () => [
+        { type: "forward", args: { edns_client_subnet: true } },
+        { type: "forward", args: { ecs_subnet: "192.0.2.0/24" } },
+        { type: "forward", args: {} },
+      ],
+    };
+
+    expect(getCacheKey(ctx, "example.com", RRType.A, chain)).toBe(
+      "https://cache.fluxdns.internal/example.com/1/1?do=0&cd=0&upstream_ecs=192.0.2.0%2F24%2C198.51.100.0%2F24"
+    );
+  });
+});
+
+describe("Cache Plugin Expiry", () => {
+  let store;
+  let upstream;
+  let now;
+
+  beforeEach(() => {
+    register();
+    now = 1700000000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    // In-memory stand-in for the Cache API
+    store = new Map();
+    global.caches = {
+      default: {
+        match: jest.fn(async (key) => store.get(key)?.clone() || null),
+        put: jest.fn(async (key, response) => {
+          store.set(key, response);
+        }),
+      },
+    };
+
+    // Upstream answering with `upstream.ip` after `upstream.delay` ms
+    upstream = {
+      ip: "192.0.2.1",
+      ttl: 300,
+      delay: 0,
+      fail: false,
+      rcode: null,
+      soa: null,
+      calls: 0,
+    };
+    registerPlugin("stale_test_upstream", async (ctx) => {
+      upstream.calls++;
+      if (upstream.delay) {
+        await new Promise((resolve) => setTimeout(resolve, upstream.delay));
+      }
+      if (upstream.fail) {
+        return false;
+      }
+      if (upstream.rcode !== null) {
+        // Error or empty answer, with `upstream.soa` as the authority
+        ctx.setResponse(
+          buildDnsResponse(ctx.getQuery(), {
+            rcode: upstream.rcode,
+            authorities: upstream.soa ? [upstream.soa] : [],
+          })
+        );
+        return true;
+      }
+      ctx.setResponse(
+        buildDnsResponse(ctx.getQuery(), {
+          answers: [
+            {
+              name: "example.com",
+              type: RRType.A,
+              class: 1,
+              ttl: upstream.ttl,
+              data: upstream.ip,
+            },
+            {
+              name: "example.com",
+              type: RRType.A,
+              class: 1,
+              ttl: upstream.ttl * 2,
+              data: "198.51.100.1",
+            },
+          ],
+        })
+      );
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createChain(cacheArgs) {
+    return createPluginChain([
+      { type: "cache", tag: "cache", args: cacheArgs },
+      { type: "stale_test_upstream", tag: "upstream" },
+    ]);
+  }
+
+  function createContext(id = 9) {
+    const ctx = new DnsContext(
+      { method: "POST", url: "https://dns.example/dns-query" },
+      encodeDnsMessage({
+        header: { id, flags: 0x0100 },
+        questions: [{ name: "example.com", type: RRType.A, class: 1 }],
+      })
+    );
+    ctx.executionCtx = { waitUntil: jest.fn() };
+    return ctx;
+  }
+
+  function answerOf(ctx) {
+    return parseDnsResponse(ctx.response).answers[0];
+  }
+
+  test("should cache for the smallest record TTL up to the limit", async () => {
+    upstream.ttl = 120;
+    await createChain({ ttl: 300 }).execute(createContext());
+    store.clear();
+    await createChain({ ttl: 60 }).execute(createContext());
+
+    const [[, first], [, second]] = global.caches.default.put.mock.calls;
+    expect(first.headers.get("Cache-Control")).toBe("max-age=120");
+    expect(first.headers.get("X-FluxDNS-Expires")).toBe(String(now + 120000));
+    expect(second.headers.get("Cache-Control")).toBe("max-age=60");
+  });
+
+  test("should keep the cache write alive and contain its failure", async () => {
+    const error = new Error("Cache API unavailable");
+    global.caches.default.put.mockRejectedValue(error);
+    const ctx = createContext();
+
+    await createChain({ ttl: 300 }).execute(ctx);
+
+    expect(ctx.executionCtx.waitUntil).toHaveBeenCalledTimes(1);
+    const [write] = ctx.executionCtx.waitUntil.mock.calls[0];
+    await expect(write).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(
+      "Error in background task:",
+      error
+    );
+
+    // The answer was still sent
+    expect(answerOf(ctx).data).toBe("192.0.2.1");
+  });
+
+  test("should not cache responses with a zero TTL", async () => {
+    upstream.ttl = 0;
+    await createChain({ ttl: 300 }).execute(createContext());
+
+    expect(global.caches.default.put).not.toHaveBeenCalled();
+  });
+
+  describe("with a client subnet injected upstream", () => {
+    beforeEach(() => {
+      registerForward();
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      // Upstream answering with an address in the subnet it was sent
+      global.fetch = jest.fn(async (url, { body }) => {
+        const query = parseDnsMessage(body);
+        const ecs = query.edns.options.find((option) => option.code === 8);
+        const subnet = parseClientSubnetOption(ecs.data).subnet;
+        const response = buildDnsResponse(query, {
+          answers: [
+            {
+              name: "example.com",
+              type: RRType.A,
+              ttl: 300,
+              data: subnet.replace(/0\/24$/, "1"),
+            },
+          ],
+        });
+        return { ok: true, arrayBuffer: async () => response };
+      });
+    });
+
+    const createEcsChain = (forwardArgs) =>
+      createPluginChain([
+        { type: "cache", tag: "cache", args: { ttl: 300 } },
+        { type: "forward", tag: "forward", args: forwardArgs },
+      ]);
+
+    const fromClient = (ip) => {
+      const ctx = createContext();
+      ctx.request.headers = {
+        get: (name) => (name === "CF-Connecting-IP" ? ip : null),
+      };
+      return ctx;
+    };
+
+    test("should cache answers per subnet sent upstream", async () => {
+      const chain = createEcsChain({ edns_client_subnet: true });
+
+      const first = fromClient("198.51.100.7");
+      await chain.execute(first);
+      const second = fromClient("203.0.113.9");
+      await chain.execute(second);
+
+      expect(answerOf(first).data).toBe("198.51.100.1");
+      expect(answerOf(second).data).toBe("203.0.113.1");
+      expect(second.hasTag("cache_hit")).toBe(false);
+      expect(global.caches.default.put).toHaveBeenCalledTimes(2);
+
+      // Same /24 as the first client
+      const neighbour = fromClient("198.51.100.200");
+      await chain.execute(neighbour);
+
+      expect(neighbour.hasTag("cache_hit")).toBe(true);
+      expect(answerOf(neighbour).data).toBe("198.51.100.1");
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("should share answers for a fixed subnet", async () => {
+      const chain = createEcsChain({ ecs_subnet: "192.0.2.0/24" });
+
+      await chain.execute(fromClient("198.51.100.7"));
+      const second = fromClient("203.0.113.9");
+      await chain.execute(second);
+
+      expect(second.hasTag("cache_hit")).toBe(true);
+      expect(answerOf(second).data).toBe("192.0.2.1");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test("should count TTLs down and patch the ID on hits", async () => {
+    const chain = createChain({ ttl: 250 });
+    await chain.execute(createContext(9));
+
+    now += 100500;
+    const ctx = createContext(4242);
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit")).toBe(true);
+    expect(upstream.calls).toBe(1);
+
+    const response = parseDnsResponse(ctx.response);
+    expect(response.header).toBe(4242);
+
+    // 300 - 100 and 600 - 100, capped at the 150s left in the cache
+    expect(response.answers.map((record) => record.ttl)).toEqual([150, 150]);
+
+    now += 60000;
+    const later = createContext(7);
+    await chain.execute(later);
+    const laterResponse = parseDnsResponse(later.response);
+    expect(laterResponse.answers.map((record) => record.ttl)).toEqual([90, 90]);
+  });
+
+  test("should count down records shorter than the cache lifetime", async () => {
+    upstream.ttl = 100;
+    const chain = createChain({ ttl: 300 });
+    await chain.execute(createContext());
+
+    now += 40000;
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    const response = parseDnsResponse(ctx.response);
+    expect(response.answers.map((record) => record.ttl)).toEqual([60, 60]);
+  });
+
+  test("should cache negative answers by the SOA minimum", async () => {
+    upstream.rcode = RCODE.NXDOMAIN;
+    upstream.soa = createSoaRecord("example.com", 600);
+    upstream.soa.data.minimum = 120;
+    const chain = createChain({ ttl: 300 });
+    await chain.execute(createContext());
+
+    const [, stored] = global.caches.default.put.mock.calls[0];
+    expect(stored.headers.get("Cache-Control")).toBe("max-age=120");
+    expect(stored.headers.get("X-FluxDNS-Kind")).toBe("negative");
+
+    now += 30000;
+    const ctx = createContext(77);
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit_negative")).toBe(true);
+    expect(ctx.hasTag("cache_hit")).toBe(false);
+    expect(upstream.calls).toBe(1);
+
+    const response = parseDnsResponse(ctx.response);
+    expect(response.header).toBe(77);
+    expect(response.rcode).toBe(RCODE.NXDOMAIN);
+    expect(response.authorities[0].ttl).toBe(90);
+  });
+
+  test("should cap negative caching and cache NODATA", async () => {
+    upstream.rcode = RCODE.NOERROR;
+    upstream.soa = createSoaRecord("example.com", 3600);
+    await createChain({ ttl: 300, negative_ttl: 60 }).execute(createContext());
+
+    const [, stored] = global.caches.default.put.mock.calls[0];
+    expect(stored.headers.get("Cache-Control")).toBe("max-age=60");
+    expect(stored.headers.get("X-FluxDNS-Kind")).toBe("negative");
+  });
+
+  test("should not cache negative answers without an SOA", async () => {
+    upstream.rcode = RCODE.NXDOMAIN;
+    await createChain({ ttl: 300 }).execute(createContext());
+
+    expect(global.caches.default.put).not.toHaveBeenCalled();
+  });
+
+  test("should cache SERVFAIL briefly and never serve it stale", async () => {
+    upstream.rcode = RCODE.SERVFAIL;
+    const chain = createChain({ ttl: 300, stale_ttl: 3600, servfail_ttl: 10 });
+    await chain.execute(createContext());
+
+    const [, stored] = global.caches.default.put.mock.calls[0];
+    expect(stored.headers.get("Cache-Control")).toBe("max-age=10");
+    expect(stored.headers.get("X-FluxDNS-Kind")).toBe("servfail");
+
+    now += 5000;
+    const ctx = createContext();
+    await chain.execute(ctx);
+    expect(ctx.hasTag("cache_hit_servfail")).toBe(true);
+    expect(upstream.calls).toBe(1);
+
+    now += 10000;
+    const later = createContext();
+    await chain.execute(later);
+    expect(later.hasTag("cache_hit_stale")).toBe(false);
+    expect(later.hasTag("cache_miss")).toBe(true);
+    expect(upstream.calls).toBe(2);
+  });
+
+  test("should not cache other error responses", async () => {
+    upstream.rcode = RCODE.REFUSED;
+    await createChain({ ttl: 300 }).execute(createContext());
+
+    expect(global.caches.default.put).not.toHaveBeenCalled();
+  });
+
+  test("should answer from memory before the Cache API", async () => {
+    const chain = createChain({ ttl: 300 });
+    const first = createContext();
+    await chain.execute(first);
+    expect(first.metadata.cacheStats).toEqual({
+      l1: { hits: 0, misses: 1 },
+      l2: { hits: 0, misses: 1 },
+    });
+
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit")).toBe(true);
+    expect(global.caches.default.match).toHaveBeenCalledTimes(1);
+    expect(ctx.metadata.cacheStats).toEqual({
+      l1: { hits: 1, misses: 0 },
+      l2: { hits: 0, misses: 0 },
+    });
+  });
+
+  test("should copy Cache API hits into memory", async () => {
+    await createChain({ ttl: 300 }).execute(createContext());
+
+    // Another isolate with an empty memory tier
+    const chain = createChain({ ttl: 300 });
+    const ctx = createContext();
+    await chain.execute(ctx);
+    expect(ctx.hasTag("cache_hit")).toBe(true);
+    expect(ctx.metadata.cacheStats).toEqual({
+      l1: { hits: 0, misses: 1 },
+      l2: { hits: 1, misses: 0 },
+    });
+
+    const next = createContext();
+    await chain.execute(next);
+    expect(next.metadata.cacheStats.l1.hits).toBe(1);
+    expect(global.caches.default.match).toHaveBeenCalledTimes(2);
+  });
+
+  test("should bound the memory tier by size", async () => {
+    const chain = createChain({ ttl: 300, size: 0 });
+    await chain.execute(createContext());
+
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit")).toBe(true);
+    expect(ctx.metadata.cacheStats).toEqual({
+      l1: { hits: 0, misses: 1 },
+      l2: { hits: 1, misses: 0 },
+    });
+  });
+
+  test("should prefetch popular names near expiry", async () => {
+    const chain = createChain({
+      ttl: 100,
+      prefetch: true,
+      prefetch_threshold: 20,
+      prefetch_min_requests: 3,
+    });
+    await chain.execute(createContext());
+
+    // Early in the TTL: no prefetch
+    now += 50000;
+    const early = createContext();
+    await chain.execute(early);
+    expect(early.hasTag("cache_prefetch")).toBe(false);
+
+    // In the last 20% of the TTL, on the third request
+    now += 35000;
+    upstream.ip = "192.0.2.9";
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit")).toBe(true);
+    expect(ctx.hasTag("cache_prefetch")).toBe(true);
+    expect(answerOf(ctx).data).toBe("192.0.2.1");
+
+    const [refresh] = ctx.executionCtx.waitUntil.mock.calls[0];
+    await refresh;
+    expect(upstream.calls).toBe(2);
+
+    // The refreshed entry starts a new TTL
+    now += 20000;
+    const next = createContext();
+    await chain.execute(next);
+    expect(next.hasTag("cache_hit")).toBe(true);
+    expect(answerOf(next)).toMatchObject({ data: "192.0.2.9", ttl: 80 });
+  });
+
+  test("should not prefetch rarely requested names", async () => {
+    const chain = createChain({ ttl: 100, prefetch: true });
+    await chain.execute(createContext());
+
+    now += 95000;
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit")).toBe(true);
+    expect(ctx.hasTag("cache_prefetch")).toBe(false);
+    expect(ctx.executionCtx.waitUntil).not.toHaveBeenCalled();
+  });
+
+  test("should run one prefetch per entry at a time", async () => {
+    const chain = createChain({
+      ttl: 100,
+      prefetch: true,
+      prefetch_min_requests: 1,
+    });
+    await chain.execute(createContext());
+
+    now += 95000;
+    upstream.delay = 10;
+    const first = createContext();
+    const second = createContext();
+    await chain.execute(first);
+    await chain.execute(second);
+
+    expect(first.hasTag("cache_prefetch")).toBe(true);
+    expect(second.hasTag("cache_prefetch")).toBe(false);
+
+    await first.executionCtx.waitUntil.mock.calls[0][0];
+    expect(upstream.calls).toBe(2);
+  });
+
+  test("should report the cached entry for a question", async () => {
+    const args = { ttl: 250 };
+    const chain = createPluginChain([
+      { type: "cache", tag: "cache", args },
+      { type: "stale_test_upstream", tag: "upstream" },
+    ]);
+    await chain.execute(createContext());
+    now += 100500;
+
+    const question = { name: "Example.com.", type: RRType.A };
+    const entry = await inspectCacheEntry(args, question);
+    expect(entry).toMatchObject({
+      key: "https://cache.fluxdns.internal/example.com/1/1?do=0&cd=0",
+      tier: "l1",
+      kind: "positive",
+      ttl: 150,
+      stale: false,
+      rcode: RCODE.NOERROR,
+    });
+    expect(entry.answers.map((record) => record.ttl)).toEqual([150, 150]);
+
+    // Another isolate finds it in the Cache API
+    expect(await inspectCacheEntry({}, question)).toMatchObject({
+      tier: "l2",
+      ttl: 150,
+    });
+    expect(
+      await inspectCacheEntry(args, { ...question, dnssecOk: true })
+    ).toBeNull();
+
+    // Looking up doesn't count as a request
+    expect(getCacheInstanceStats(args)).toMatchObject({
+      l1: { hits: 0, misses: 1, entries: 1 },
+      l2: { hits: 0, misses: 1 },
+    });
+  });
+
+  test("should purge all variants of a question", async () => {
+    const args = { ttl: 300 };
+    const chain = createPluginChain([
+      { type: "cache", tag: "cache", args },
+      { type: "stale_test_upstream", tag: "upstream" },
+    ]);
+    await chain.execute(createContext());
+    global.caches.default.delete = jest.fn(async (key) => store.delete(key));
+
+    expect(
+      await purgeCacheEntry(args, { name: "EXAMPLE.com", type: RRType.A })
+    ).toEqual({ l1: 1, l2: 1 });
+    expect(global.caches.default.delete).toHaveBeenCalledTimes(4);
+
+    const ctx = createContext();
+    await chain.execute(ctx);
+    expect(ctx.hasTag("cache_miss")).toBe(true);
+    expect(upstream.calls).toBe(2);
+  });
+
+  test("should purge a domain and its subdomains from memory", async () => {
+    const args = { ttl: 300 };
+    const chain = createPluginChain([
+      { type: "cache", tag: "cache", args },
+      { type: "stale_test_upstream", tag: "upstream" },
+    ]);
+    for (const name of ["example.com", "www.example.com", "notexample.com"]) {
+      const ctx = new DnsContext(
+        { method: "POST", url: "https://dns.example/dns-query" },
+        encodeDnsMessage({
+          header: { id: 1, flags: 0x0100 },
+          questions: [{ name, type: RRType.A, class: 1 }],
+        })
+      );
+      await chain.execute(ctx);
+    }
+
+    expect(purgeCacheSuffix(args, "Example.com.")).toBe(2);
+    expect(getCacheInstanceStats(args).l1.entries).toBe(1);
+  });
+
+  test("should count hits, misses and prefetches per instance", async () => {
+    const args = { ttl: 100, prefetch: true, prefetch_min_requests: 1 };
+    const chain = createPluginChain([
+      { type: "cache", tag: "cache", args },
+      { type: "stale_test_upstream", tag: "upstream" },
+    ]);
+    await chain.execute(createContext());
+    await chain.execute(createContext());
+    now += 95000;
+    const ctx = createContext();
+    await chain.execute(ctx);
+    await ctx.executionCtx.waitUntil.mock.calls[0][0];
+
+    expect(getCacheInstanceStats(args)).toEqual({
+      l1: { hits: 2, misses: 1, entries: 1, bytes: expect.any(Number) },
+      l2: { hits: 0, misses: 1 },
+      prefetches: 1,
+    });
+  });
+
+  test("should keep entries for the stale window", async () => {
+    const chain = createChain({ ttl: 60, stale_ttl: 3600 });
+
+    await chain.execute(createContext());
+
+    const [, response] = global.caches.default.put.mock.calls[0];
+    expect(response.headers.get("Cache-Control")).toBe("max-age=3660");
+    expect(response.headers.get("X-FluxDNS-Expires")).toBe(String(now + 60000));
+  });
+
+  test("should answer from an expired entry when the upstream fails", async () => {
+    const chain = createChain({ ttl: 60, stale_ttl: 3600 });
+    await chain.execute(createContext());
+
+    now += 120000;
+    upstream.fail = true;
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit_stale")).toBe(true);
+    expect(answerOf(ctx)).toMatchObject({ data: "192.0.2.1", ttl: 30 });
+    expect(ctx.extendedErrors).toEqual([
+      {
+        infoCode: EdeCode.STALE_ANSWER,
+        extraText: "Expired answer from cache",
+      },
+    ]);
+    expect(ctx.executionCtx.waitUntil).toHaveBeenCalled();
+    expect(upstream.calls).toBe(2);
+  });
+
+  test("should answer stale and refresh in the background when the upstream is slow", async () => {
+    const chain = createChain({
+      ttl: 60,
+      stale_ttl: 3600,
+      stale_answer_timeout: 10,
+    });
+    await chain.execute(createContext());
+
+    now += 120000;
+    upstream.ip = "192.0.2.2";
+    upstream.delay = 50;
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit_stale")).toBe(true);
+    expect(answerOf(ctx).data).toBe("192.0.2.1");
+
+    // The refresh completes in the background and updates the cache
+    const [refresh] = ctx.executionCtx.waitUntil.mock.calls[0];
+    await refresh;
+    upstream.delay = 0;
+    const next = createContext();
+    await chain.execute(next);
+
+    expect(next.hasTag("cache_hit")).toBe(true);
+    expect(answerOf(next).data).toBe("192.0.2.2");
+  });
+
+  test("should answer with a refresh that arrives in time", async () => {
+    const chain = createChain({ ttl: 60, stale_ttl: 3600 });
+    await chain.execute(createContext());
+
+    now += 120000;
+    upstream.ip = "192.0.2.3";
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.hasTag("cache_hit_stale")).toBe(false);
+    expect(answerOf(ctx)).toMatchObject({ data: "192.0.2.3", ttl: 300 });
+    expect(upstream.calls).toBe(2);
+  });
+
+  test("should not answer from entries past the stale window", async () => {
+    const chain = createChain({ ttl: 60, stale_ttl: 60 });
+    await chain.execute(createContext());
+
+    now += 180000;
+    upstream.fail = true;
+    const ctx = createContext();
+    await chain.execute(ctx);
+
+    expect(ctx.resolved).toBe(false);
+    expect(ctx.hasTag("cache_miss")).toBe(true);
   });
 });
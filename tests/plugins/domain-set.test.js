@@ -0,0 +1,138 @@
+/**
+ * Domain Set Plugin Tests
+ *
+ * Tests domain sets declared inline or loaded from KV, and references to
+ * sets by tag from other plugins.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  executeDomainSet,
+  getDomainSet,
+  addToDomainSet,
+  resetDomainSets,
+  register,
+} from "../../src/plugins/domain-set.js";
+import { executeMatcher } from "../../src/plugins/matcher.js";
+import { createPluginChain } from "../../src/core/plugin-chain.js";
+import { clearCache } from "../../src/core/data-loader.js";
+
+describe("Domain Set Plugin Functionality", () => {
+  let mockContext;
+  let mockKV;
+
+  beforeEach(() => {
+    clearCache("domains");
+    resetDomainSets();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    mockKV = { get: jest.fn().mockResolvedValue("") };
+    mockContext = {
+      env: { DATA_KV: mockKV },
+      getQueryDomain: jest.fn().mockReturnValue("www.example.com"),
+      getQueryType: jest.fn().mockReturnValue(1),
+      addTag: jest.fn(),
+      setError: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should match inline domains and their subdomains", async () => {
+    const args = { domains: ["example.com"] };
+
+    expect(await executeDomainSet(mockContext, args)).toBe(true);
+    expect(mockContext.addTag).toHaveBeenCalledWith("domain_set_matched");
+
+    const exactOnly = { domains: ["example.com"], includeSubdomains: false };
+    expect(await executeDomainSet(mockContext, exactOnly)).toBe(false);
+  });
+
+  test("should load domain lists from KV", async () => {
+    mockKV.get.mockResolvedValue("# list\nexample.com\nfull:only.example.org");
+
+    const args = { files: ["/etc/mosdns/direct.txt"] };
+    expect(await executeDomainSet(mockContext, args)).toBe(true);
+    expect(mockKV.get).toHaveBeenCalledWith("domains/direct.txt");
+
+    mockContext.getQueryDomain.mockReturnValue("www.only.example.org");
+    expect(await executeDomainSet(mockContext, args)).toBe(false);
+
+    // Served from the loader cache
+    expect(mockKV.get).toHaveBeenCalledTimes(1);
+  });
+
+  test("should pick up list changes once the loader cache expires", async () => {
+    const now = Date.now();
+    const dateSpy = jest.spyOn(Date, "now").mockReturnValue(now);
+    mockKV.get.mockResolvedValue("example.org");
+
+    const args = { files: ["domains/direct"] };
+    expect(await executeDomainSet(mockContext, args)).toBe(false);
+
+    mockKV.get.mockResolvedValue("example.com");
+    dateSpy.mockReturnValue(now + 31 * 60 * 1000);
+    expect(await executeDomainSet(mockContext, args)).toBe(true);
+    expect(mockKV.get).toHaveBeenCalledTimes(2);
+  });
+
+  test("should expose sets declared in a chain by tag", async () => {
+    register();
+    mockKV.get.mockResolvedValue("ads.example.net");
+    createPluginChain([
+      {
+        type: "domain_set",
+        tag: "ad_list",
+        args: { domains: ["tracker.example"], files: ["domains/ads"] },
+      },
+    ]);
+
+    const set = await getDomainSet("ad_list", mockContext.env);
+    expect(set.has("x.tracker.example")).toBe(true);
+    expect(set.has("ads.example.net")).toBe(true);
+    expect(set.has("example.net")).toBe(false);
+    expect(await getDomainSet("missing", mockContext.env)).toBeNull();
+
+    // Other plugins can reference the set
+    mockContext.getQueryDomain.mockReturnValue("cdn.ads.example.net");
+    const result = await executeMatcher(mockContext, {
+      domain_set: "ad_list",
+      action: "reject",
+    });
+    expect(result).toBe(true);
+    expect(mockContext.setError).toHaveBeenCalled();
+  });
+
+  test("should add domains to a set at runtime", async () => {
+    expect(addToDomainSet("runtime", ["blocked.example"])).toBe(true);
+    expect(addToDomainSet("runtime", "not-an-array")).toBe(false);
+
+    let set = await getDomainSet("runtime", mockContext.env);
+    expect(set.has("a.blocked.example")).toBe(true);
+    expect(set.has("late.example")).toBe(false);
+
+    addToDomainSet("runtime", ["late.example"]);
+    set = await getDomainSet("runtime", mockContext.env);
+    expect(set.has("late.example")).toBe(true);
+  });
+
+  test("should forget sets from a previous chain once reset", async () => {
+    register();
+    createPluginChain([
+      { type: "domain_set", tag: "old_list", args: { domains: ["a.example"] } },
+    ]);
+    expect(await getDomainSet("old_list", mockContext.env)).not.toBeNull();
+
+    resetDomainSets();
+    createPluginChain([
+      { type: "domain_set", tag: "new_list", args: { domains: ["b.example"] } },
+    ]);
+
+    expect(await getDomainSet("old_list", mockContext.env)).toBeNull();
+    const set = await getDomainSet("new_list", mockContext.env);
+    expect(set.has("www.b.example")).toBe(true);
+  });
+});
@@ -6,6 +6,18 @@
 
 import { jest } from "@jest/globals";
 import { executeForward } from "../../src/plugins/forward.js";
+import {
+  createClientSubnetOption,
+  createOptRecord,
+  encodeDnsMessage,
+  parseDnsMessage,
+  parseDnsResponse,
+} from "../../src/core/dns-message.js";
+import { HeaderFlag, RRType } from "../../src/core/types.js";
+import {
+  getUpstreamHealthStats,
+  resetUpstreamHealth,
+} from "../../src/core/upstream-health.js";
 
 describe("Forward Plugin Functionality", () => {
   let mockContext;
@@ -16,6 +28,8 @@ describe("Forward Plugin Functionality", () => {
   let originalClearTimeout;
 
   beforeEach(() => {
+    resetUpstreamHealth();
+
     // Store original functions
     originalFetch = global.fetch;
     originalSetTimeout = global.setTimeout;
@@ -112,6 +126,27 @@ describe("Forward Plugin Functionality", () => {
     );
   });
 
+  test("should abort the request when the context is cancelled", async () => {
+    global.fetch = jest.fn(
+      (url, options) =>
+        new Promise((resolve, reject) => {
+          options.signal.addEventListener("abort", () =>
+            reject(new Error("aborted"))
+          );
+        })
+    );
+    const caller = new AbortController();
+    mockContext.signal = caller.signal;
+
+    const forwardPromise = executeForward(mockContext, {});
+    caller.abort("answered elsewhere");
+
+    expect(await forwardPromise).toBe(false);
+    expect(global.clearTimeout).toHaveBeenCalledWith(123);
+    expect(mockContext.setResponse).not.toHaveBeenCalled();
+    expect(consoleSpy).not.toHaveBeenCalled();
+  });
+
   test("should normalize upstream URL", async () => {
     const args = {
       upstream: "dns.google",
@@ -198,6 +233,46 @@ describe("Forward Plugin Functionality", () => {
     expect(mockContext.metadata.upstreamError).toContain("500");
   });
 
+  test("should stop querying an upstream that keeps failing", async () => {
+    global.fetch = jest.fn().mockRejectedValue(new Error("Network error"));
+    const args = {
+      upstream: "https://flaky.example/dns-query",
+      failure_threshold: 2,
+    };
+
+    await executeForward(mockContext, args);
+    await executeForward(mockContext, args);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    // The circuit is open, so the upstream is not contacted
+    const result = await executeForward(mockContext, args);
+    expect(result).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(mockContext.metadata.upstreamError).toBe("Upstream circuit open");
+
+    expect(getUpstreamHealthStats()).toEqual([
+      expect.objectContaining({
+        name: "https://flaky.example/dns-query",
+        state: "open",
+        consecutiveFailures: 2,
+        lastError: "Network error",
+      }),
+    ]);
+  });
+
+  test("should record upstream latency on success", async () => {
+    await executeForward(mockContext, {});
+
+    expect(getUpstreamHealthStats()).toEqual([
+      expect.objectContaining({
+        name: "https://security.cloudflare-dns.com/dns-query",
+        state: "closed",
+        successes: 1,
+        latency: expect.any(Number),
+      }),
+    ]);
+  });
+
   test("should handle request timeout", async () => {
     // Mock clearTimeout
     const mockClearTimeout = jest.fn();
@@ -234,36 +309,147 @@ describe("Forward Plugin Functionality", () => {
     await forwardPromise;
   });
 
-  test("should use EDNS client subnet when enabled", async () => {
-    // Mock client IP
-    mockContext.metadata.clientInfo = {
-      ip: "192.168.1.1",
+  describe("EDNS Client Subnet", () => {
+    const clientEcs = createClientSubnetOption("203.0.113.0/24");
+
+    const encodeQuery = (options) =>
+      encodeDnsMessage({
+        header: { id: 7, flags: HeaderFlag.RD },
+        questions: [{ name: "example.com", type: RRType.A }],
+        additionals: options ? [createOptRecord({ options })] : [],
+      });
+
+    // Options of the query sent upstream
+    const sentOptions = () =>
+      parseDnsMessage(global.fetch.mock.calls[0][1].body).edns?.options;
+
+    const respondWith = (options) => {
+      const response = encodeDnsMessage({
+        header: { id: 7, flags: 0x8180 },
+        questions: [{ name: "example.com", type: RRType.A }],
+        answers: [
+          { name: "example.com", type: RRType.A, ttl: 60, data: "192.0.2.1" },
+        ],
+        edns: { options },
+      });
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        arrayBuffer: jest.fn().mockResolvedValue(response),
+      });
     };
 
-    // Use a specific log spy for this test
-    const logSpy = jest.spyOn(console, "log");
+    const withClientIp = (ip) => {
+      mockContext.request = {
+        headers: { get: (name) => (name === "CF-Connecting-IP" ? ip : null) },
+      };
+    };
 
-    // Ensure fetch returns successfully for this test
-    global.fetch = jest.fn().mockResolvedValue({
-      ok: true,
-      status: 200,
-      statusText: "OK",
-      arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(10)),
+    beforeEach(() => {
+      mockContext.dnsMessage = encodeQuery();
     });
 
-    const args = {
-      edns_client_subnet: true,
-    };
+    test("should send the client's IPv4 subnet", async () => {
+      withClientIp("198.51.100.77");
 
-    const result = await executeForward(mockContext, args);
+      const result = await executeForward(mockContext, {
+        edns_client_subnet: true,
+      });
 
-    // Verify result is successful
-    expect(result).toBe(true);
+      expect(result).toBe(true);
+      expect(sentOptions()).toEqual([
+        createClientSubnetOption("198.51.100.0/24"),
+      ]);
+      expect(mockContext.metadata.ecs).toBe("198.51.100.0/24");
+    });
 
-    // Verify log was called with the expected message about ECS
-    expect(logSpy).toHaveBeenCalledWith(
-      expect.stringContaining("Would add ECS for client IP"),
-      "192.168.1.1"
-    );
+    test("should truncate IPv6 addresses to the configured prefix", async () => {
+      withClientIp("2001:db8:abcd:1234::1");
+
+      await executeForward(mockContext, {
+        edns_client_subnet: true,
+        ecs_ipv6_prefix: 48,
+      });
+
+      expect(sentOptions()).toEqual([
+        createClientSubnetOption("2001:db8:abcd::/48"),
+      ]);
+    });
+
+    test("should replace the subnet sent by the client", async () => {
+      withClientIp("198.51.100.77");
+      const cookie = { code: 10, data: new Uint8Array(8) };
+      mockContext.dnsMessage = encodeQuery([clientEcs, cookie]);
+
+      await executeForward(mockContext, {
+        edns_client_subnet: true,
+        ecs_ipv4_prefix: 16,
+      });
+
+      expect(sentOptions()).toEqual([
+        cookie,
+        createClientSubnetOption("198.51.0.0/16"),
+      ]);
+    });
+
+    test("should send a fixed subnet when configured", async () => {
+      withClientIp("198.51.100.77");
+      mockContext.dnsMessage = encodeQuery([clientEcs]);
+
+      await executeForward(mockContext, { ecs_subnet: "192.0.2.0/24" });
+
+      expect(sentOptions()).toEqual([createClientSubnetOption("192.0.2.0/24")]);
+    });
+
+    test("should strip the client's subnet", async () => {
+      mockContext.dnsMessage = encodeQuery([clientEcs]);
+
+      await executeForward(mockContext, { ecs_strip: true });
+
+      expect(sentOptions()).toEqual([]);
+      expect(mockContext.metadata.ecs).toBeUndefined();
+    });
+
+    test("should forward the query unchanged by default", async () => {
+      withClientIp("198.51.100.77");
+      mockContext.dnsMessage = encodeQuery([clientEcs]);
+
+      await executeForward(mockContext, {});
+
+      expect(global.fetch.mock.calls[0][1].body).toBe(mockContext.dnsMessage);
+    });
+
+    test("should forward the query unchanged if the subnet is invalid", async () => {
+      await executeForward(mockContext, { ecs_subnet: "192.0.2.0/33" });
+
+      expect(global.fetch.mock.calls[0][1].body).toBe(mockContext.dnsMessage);
+      expect(consoleSpy).toHaveBeenCalledWith(
+        "Error setting EDNS client subnet:",
+        expect.any(Error)
+      );
+    });
+
+    test("should remove the OPT record added to a plain query", async () => {
+      withClientIp("198.51.100.77");
+      respondWith([createClientSubnetOption("198.51.100.0/24")]);
+
+      await executeForward(mockContext, { edns_client_subnet: true });
+
+      const response = mockContext.setResponse.mock.calls[0][0];
+      expect(parseDnsMessage(response).edns).toBeNull();
+      expect(parseDnsResponse(response).answers).toHaveLength(1);
+    });
+
+    test("should return the client's own subnet in the response", async () => {
+      withClientIp("198.51.100.77");
+      mockContext.dnsMessage = encodeQuery([clientEcs]);
+      respondWith([createClientSubnetOption("198.51.100.0/24")]);
+
+      await executeForward(mockContext, { edns_client_subnet: true });
+
+      const response = mockContext.setResponse.mock.calls[0][0];
+      expect(parseDnsMessage(response).edns.options).toEqual([clientEcs]);
+    });
   });
 });
@@ -6,31 +6,17 @@
 
 import { jest } from "@jest/globals";
 import { RRType, RCODE } from "../../src/core/types.js";
-
-// Mock the normalizeDomain function directly
-const mockNormalizeDomain = jest.fn((domain) =>
-  domain ? domain.toLowerCase().replace(/\.$/, "") : null
-);
-
-// Mock the dns-util module
-const mockDnsUtil = {
-  normalizeDomain: mockNormalizeDomain,
-};
-
-// Mock the hosts.js module first
-jest.mock("../../src/utils/dns-util.js", () => mockDnsUtil, { virtual: true });
-
-// Create a mock for generateMockResponse function
-const mockGenerateMockResponse = jest.fn((dnsMessage, ips, ttl) => ({
-  type: ips[0].includes(":") ? RRType.AAAA : RRType.A,
-  address: ips[0],
-}));
-
-// Define generateMockResponse in global scope so the plugin can find it
-global.generateMockResponse = mockGenerateMockResponse;
-
-// Now import the mocked module
 import { executeHosts } from "../../src/plugins/hosts.js";
+import { clearCache } from "../../src/core/data-loader.js";
+import {
+  encodeDnsMessage,
+  parseDnsMessage,
+} from "../../src/core/dns-message.js";
+
+// Decode the response passed to ctx.setResponse
+function decodeResponse(ctx) {
+  return parseDnsMessage(ctx.setResponse.mock.calls[0][0]);
+}
 
 describe("Hosts Plugin Functionality", () => {
   let mockContext;
@@ -45,27 +31,32 @@ describe("Hosts Plugin Functionality", () => {
     consoleSpy = jest.spyOn(console, "log").mockImplementation(() => {});
     consoleErrorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
 
-    // Create a mock buffer for DNS message
-    const mockBuffer = new ArrayBuffer(10);
-
     // Set up mock context with methods required by the hosts plugin
     mockContext = {
       getQueryDomain: jest.fn().mockReturnValue("example.com"),
       getQueryType: jest.fn().mockReturnValue(RRType.A),
+      getQuery: jest.fn(() =>
+        parseDnsMessage(
+          encodeDnsMessage({
+            header: { id: 4242, flags: 0x0100 },
+            questions: [
+              {
+                name: mockContext.getQueryDomain(),
+                type: mockContext.getQueryType(),
+              },
+            ],
+          })
+        )
+      ),
       setError: jest.fn(),
       addTag: jest.fn(),
       setResponse: jest.fn(),
-      dnsMessage: {
-        buffer: mockBuffer,
-      },
     };
   });
 
   afterEach(() => {
     // Clean up mocks
     jest.restoreAllMocks();
-    mockNormalizeDomain.mockClear();
-    mockGenerateMockResponse.mockClear();
   });
 
   test("should resolve A records", async () => {
@@ -75,17 +66,30 @@ describe("Hosts Plugin Functionality", () => {
       },
     };
 
-    await executeHosts(mockContext, args);
-
-    // Check if console.log was called with the expected message
-    expect(consoleSpy).toHaveBeenCalledWith(
-      "Would respond to example.com with 192.168.1.1"
-    );
+    const result = await executeHosts(mockContext, args);
+    expect(result).toBe(true);
 
-    // Check other side effects
-    expect(mockContext.setResponse).toHaveBeenCalledWith(
-      expect.any(ArrayBuffer)
-    );
+    // Check the synthesized answer
+    const response = decodeResponse(mockContext);
+    expect(response.header.id).toBe(4242);
+    expect(response.header.flags & 0x8000).toBeTruthy(); // QR
+    expect(response.header.flags & 0x0400).toBeTruthy(); // AA
+    expect(response.header.flags & 0x0100).toBeTruthy(); // RD copied
+    expect(response.header.flags & 0x0080).toBeTruthy(); // RA
+    expect(response.header.flags & 0x000f).toBe(RCODE.NOERROR);
+    expect(response.questions).toEqual([
+      { name: "example.com", type: RRType.A, class: 1 },
+    ]);
+    expect(response.answers).toEqual([
+      {
+        name: "example.com",
+        type: RRType.A,
+        class: 1,
+        ttl: 300,
+        data: "192.168.1.1",
+      },
+    ]);
+    expect(response.authorities).toEqual([]);
     expect(mockContext.addTag).toHaveBeenCalledWith("hosts_resolved");
   });
 
@@ -100,14 +104,11 @@ describe("Hosts Plugin Functionality", () => {
 
     await executeHosts(mockContext, args);
 
-    // Check if console.log was called with the expected message
-    expect(consoleSpy).toHaveBeenCalledWith(
-      "Would respond to example.com with 2001:db8::1"
-    );
-
-    // Check other side effects
-    expect(mockContext.setResponse).toHaveBeenCalledWith(
-      expect.any(ArrayBuffer)
+    const response = decodeResponse(mockContext);
+    expect(response.answers).toHaveLength(1);
+    expect(response.answers[0].type).toBe(RRType.AAAA);
+    expect(response.answers[0].data).toBe(
+      "2001:0db8:0000:0000:0000:0000:0000:0001"
     );
     expect(mockContext.addTag).toHaveBeenCalledWith("hosts_resolved");
   });
@@ -121,15 +122,12 @@ describe("Hosts Plugin Functionality", () => {
 
     await executeHosts(mockContext, args);
 
-    // Check if console.log was called with the expected message
-    expect(consoleSpy).toHaveBeenCalledWith(
-      "Would respond to example.com with 192.168.1.1, 192.168.1.2"
-    );
-
-    // Check other side effects
-    expect(mockContext.setResponse).toHaveBeenCalledWith(
-      expect.any(ArrayBuffer)
-    );
+    // One resource record per configured IP
+    const response = decodeResponse(mockContext);
+    expect(response.answers.map((rr) => rr.data)).toEqual([
+      "192.168.1.1",
+      "192.168.1.2",
+    ]);
     expect(mockContext.addTag).toHaveBeenCalledWith("hosts_resolved");
   });
 
@@ -142,18 +140,9 @@ describe("Hosts Plugin Functionality", () => {
 
     await executeHosts(mockContext, args);
 
-    // Check if console.log was called with the expected message
-    expect(consoleSpy).toHaveBeenCalledWith(
-      "Would respond to example.com with 192.168.1.1"
-    );
-
-    // Should not include IPv6 in the output
-    expect(consoleSpy.mock.calls[0][0]).not.toContain("2001:db8::1");
-
-    // Check other side effects
-    expect(mockContext.setResponse).toHaveBeenCalledWith(
-      expect.any(ArrayBuffer)
-    );
+    // Should not include IPv6 in the answer
+    const response = decodeResponse(mockContext);
+    expect(response.answers.map((rr) => rr.data)).toEqual(["192.168.1.1"]);
     expect(mockContext.addTag).toHaveBeenCalledWith("hosts_resolved");
   });
 
@@ -210,12 +199,20 @@ describe("Hosts Plugin Functionality", () => {
 
     // Verify result
     expect(result).toBe(true);
+    expect(mockContext.setError).not.toHaveBeenCalled();
 
-    // Verify error was set to NOERROR
-    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NOERROR);
-
-    // Verify no response was set
-    expect(mockContext.setResponse).not.toHaveBeenCalled();
+    // Verify a NODATA response with an SOA in the authority section
+    const response = decodeResponse(mockContext);
+    expect(response.header.flags & 0x000f).toBe(RCODE.NOERROR);
+    expect(response.header.flags & 0x0400).toBeTruthy(); // AA
+    expect(response.answers).toEqual([]);
+    expect(response.authorities).toHaveLength(1);
+    expect(response.authorities[0]).toMatchObject({
+      name: "example.com",
+      type: RRType.SOA,
+      ttl: 300,
+    });
+    expect(response.authorities[0].data.split(" ")[6]).toBe("300");
   });
 
   test("should handle passThrough=true when no matching IPs", async () => {
@@ -274,6 +271,18 @@ describe("Hosts Plugin Functionality", () => {
     expect(mockContext.addTag).toHaveBeenCalledWith("hosts_resolved");
   });
 
+  test("should use the configured TTL", async () => {
+    const args = {
+      hosts: { "example.com": ["192.168.1.1", "192.168.1.2"] },
+      ttl: 3600,
+    };
+
+    await executeHosts(mockContext, args);
+
+    const response = decodeResponse(mockContext);
+    expect(response.answers.map((rr) => rr.ttl)).toEqual([3600, 3600]);
+  });
+
   test("should handle errors gracefully", async () => {
     // Force an error by making setResponse throw
     mockContext.setResponse.mockImplementation(() => {
@@ -297,4 +306,289 @@ describe("Hosts Plugin Functionality", () => {
       expect.any(Error)
     );
   });
+
+  describe("hosts files and rules", () => {
+    let mockKV;
+
+    beforeEach(() => {
+      clearCache("hosts");
+      mockKV = { get: jest.fn() };
+      mockContext.env = { DATA_KV: mockKV };
+    });
+
+    test("should load and merge hosts files from KV", async () => {
+      mockKV.get.mockImplementation(async (key) =>
+        key === "hosts/internal"
+          ? "10.0.0.1 example.com www.example.com"
+          : "example.com 10.0.0.2 fd00::2"
+      );
+
+      const args = {
+        files: ["hosts/internal", "/etc/mosdns/extra.txt"],
+        hosts: { "example.com": "10.0.0.3" },
+      };
+
+      const result = await executeHosts(mockContext, args);
+
+      expect(result).toBe(true);
+      expect(mockKV.get).toHaveBeenCalledWith("hosts/internal");
+      expect(mockKV.get).toHaveBeenCalledWith("hosts/extra.txt");
+      expect(decodeResponse(mockContext).answers.map((rr) => rr.data)).toEqual([
+        "10.0.0.3",
+        "10.0.0.1",
+        "10.0.0.2",
+      ]);
+    });
+
+    test("should reuse the compiled table across queries", async () => {
+      mockKV.get.mockResolvedValue("10.0.0.1 example.com");
+      const args = { files: ["hosts/internal"] };
+
+      await executeHosts(mockContext, args);
+      await executeHosts(mockContext, args);
+
+      expect(mockKV.get).toHaveBeenCalledTimes(1);
+      expect(mockContext.setResponse).toHaveBeenCalledTimes(2);
+    });
+
+    test("should match domain:, keyword: and regexp: rules", async () => {
+      const args = {
+        hosts: {
+          "domain:corp.internal": "10.1.0.1",
+          "keyword:tracker": "0.0.0.0",
+          "regexp:^cdn[0-9]+\\.example\\.com$": "10.2.0.1",
+          "full:exact.corp.internal": "10.1.0.2",
+        },
+      };
+      const resolve = async (domain) => {
+        mockContext.getQueryDomain.mockReturnValue(domain);
+        mockContext.setResponse.mockClear();
+        const handled = await executeHosts(mockContext, args);
+        return handled ? decodeResponse(mockContext).answers[0].data : null;
+      };
+
+      expect(await resolve("corp.internal")).toBe("10.1.0.1");
+      expect(await resolve("a.b.corp.internal")).toBe("10.1.0.1");
+      expect(await resolve("exact.corp.internal")).toBe("10.1.0.2");
+      expect(await resolve("mytracker.example.org")).toBe("0.0.0.0");
+      expect(await resolve("cdn42.example.com")).toBe("10.2.0.1");
+      expect(await resolve("cdn.example.com")).toBeNull();
+      expect(await resolve("notcorp.internal")).toBeNull();
+    });
+  });
+
+  describe("wildcards, aliases and PTR", () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    const query = async (args, domain, type = RRType.A) => {
+      mockContext.getQueryDomain.mockReturnValue(domain);
+      mockContext.getQueryType.mockReturnValue(type);
+      mockContext.setResponse.mockClear();
+      const handled = await executeHosts(mockContext, args);
+      return handled ? decodeResponse(mockContext) : null;
+    };
+
+    test("should match wildcard entries for subdomains only", async () => {
+      const args = {
+        hosts: {
+          "*.dev.internal": "10.3.0.1",
+          "api.dev.internal": "10.3.0.2",
+        },
+      };
+
+      expect((await query(args, "app.dev.internal")).answers[0].data).toBe(
+        "10.3.0.1"
+      );
+      expect((await query(args, "x.y.dev.internal")).answers[0].data).toBe(
+        "10.3.0.1"
+      );
+      expect((await query(args, "api.dev.internal")).answers[0].data).toBe(
+        "10.3.0.2"
+      );
+      expect(await query(args, "dev.internal")).toBeNull();
+    });
+
+    test("should chase alias targets through the hosts table", async () => {
+      const args = {
+        hosts: {
+          "www.corp.internal": "web.corp.internal",
+          "web.corp.internal": "lb.corp.internal",
+          "lb.corp.internal": ["10.4.0.1", "fd00::4"],
+        },
+      };
+
+      const response = await query(args, "www.corp.internal");
+      expect(response.answers).toEqual([
+        {
+          name: "www.corp.internal",
+          type: RRType.CNAME,
+          class: 1,
+          ttl: 300,
+          data: "web.corp.internal",
+        },
+        {
+          name: "web.corp.internal",
+          type: RRType.CNAME,
+          class: 1,
+          ttl: 300,
+          data: "lb.corp.internal",
+        },
+        {
+          name: "lb.corp.internal",
+          type: RRType.A,
+          class: 1,
+          ttl: 300,
+          data: "10.4.0.1",
+        },
+      ]);
+
+      // A CNAME query only returns the alias itself
+      const cname = await query(args, "www.corp.internal", RRType.CNAME);
+      expect(cname.answers.map((rr) => rr.data)).toEqual(["web.corp.internal"]);
+    });
+
+    test("should stop alias loops", async () => {
+      const args = {
+        hosts: {
+          "a.loop.internal": "b.loop.internal",
+          "b.loop.internal": "a.loop.internal",
+        },
+      };
+
+      const response = await query(args, "a.loop.internal");
+      expect(response.answers.map((rr) => rr.type)).toEqual([
+        RRType.CNAME,
+        RRType.CNAME,
+      ]);
+    });
+
+    test("should resolve alias targets unknown to the table upstream", async () => {
+      global.fetch = jest.fn(async (url, options) => {
+        const upstreamQuery = parseDnsMessage(options.body);
+        return {
+          ok: true,
+          arrayBuffer: async () =>
+            encodeDnsMessage({
+              header: { id: upstreamQuery.header.id, flags: 0x8180 },
+              questions: upstreamQuery.questions,
+              answers: [
+                {
+                  name: "cdn.example.net",
+                  type: RRType.A,
+                  ttl: 60,
+                  data: "203.0.113.7",
+                },
+              ],
+            }),
+        };
+      });
+
+      const args = {
+        hosts: { "static.corp.internal": "cdn.example.net" },
+        upstream: "https://resolver.example/dns-query",
+      };
+
+      const response = await query(args, "static.corp.internal");
+      expect(global.fetch).toHaveBeenCalledWith(
+        "https://resolver.example/dns-query",
+        expect.any(Object)
+      );
+      expect(response.answers.map((rr) => [rr.type, rr.data])).toEqual([
+        [RRType.CNAME, "cdn.example.net"],
+        [RRType.A, "203.0.113.7"],
+      ]);
+    });
+
+    test("should answer the alias alone when the upstream fails", async () => {
+      global.fetch = jest.fn().mockRejectedValue(new Error("network down"));
+
+      const args = {
+        hosts: { "static.corp.internal": "cdn.example.net" },
+        timeout: 10,
+      };
+
+      const response = await query(args, "static.corp.internal");
+      expect(response.header.flags & 0x000f).toBe(RCODE.NOERROR);
+      expect(response.answers.map((rr) => rr.data)).toEqual([
+        "cdn.example.net",
+      ]);
+    });
+
+    test("should answer PTR queries for configured addresses", async () => {
+      const args = {
+        hosts: {
+          "nas.home.internal": ["192.168.1.10", "2001:db8::10"],
+          "*.dev.internal": "10.3.0.1",
+        },
+      };
+
+      const v4 = await query(args, "10.1.168.192.in-addr.arpa", RRType.PTR);
+      expect(v4.answers).toEqual([
+        {
+          name: "10.1.168.192.in-addr.arpa",
+          type: RRType.PTR,
+          class: 1,
+          ttl: 300,
+          data: "nas.home.internal",
+        },
+      ]);
+
+      const v6 = await query(
+        args,
+        "0.1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa",
+        RRType.PTR
+      );
+      expect(v6.answers[0].data).toBe("nas.home.internal");
+
+      // Wildcards have no single name to point back to
+      expect(await query(args, "1.0.3.10.in-addr.arpa", RRType.PTR)).toBeNull();
+    });
+
+    test("should skip scoped addresses without failing the table", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const args = {
+        hosts: {
+          localhost: ["127.0.0.1", "fe80::1%lo0"],
+          "nas.home.internal": "192.168.1.10",
+        },
+      };
+
+      const local = await query(args, "localhost");
+      expect(local.answers.map((rr) => rr.data)).toEqual(["127.0.0.1"]);
+      const nas = await query(args, "nas.home.internal");
+      expect(nas.answers.map((rr) => rr.data)).toEqual(["192.168.1.10"]);
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping invalid hosts address "fe80::1%lo0":',
+        expect.any(String)
+      );
+    });
+
+    test("should skip invalid regular expressions without failing the table", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const args = {
+        hosts: {
+          "svc.internal": "10.0.0.1",
+          "regexp:(": "10.0.0.2",
+          "regexp:^api[0-9]+\\.internal$": "10.0.0.3",
+        },
+      };
+
+      const svc = await query(args, "svc.internal");
+      expect(svc.answers.map((rr) => rr.data)).toEqual(["10.0.0.1"]);
+      const api = await query(args, "api7.internal");
+      expect(api.answers.map((rr) => rr.data)).toEqual(["10.0.0.3"]);
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Skipping invalid hosts rule "regexp:(":',
+        expect.any(String)
+      );
+    });
+  });
 });
@@ -0,0 +1,123 @@
+/**
+ * IP Matcher Plugin Tests
+ *
+ * Tests matching of the addresses in DNS responses against IP sets.
+ */
+
+import { jest } from "@jest/globals";
+import { EdeCode, RCODE, RRType } from "../../src/core/types.js";
+import { executeIpMatcher } from "../../src/plugins/ip-matcher.js";
+import { encodeDnsMessage } from "../../src/core/dns-message.js";
+import { clearCache } from "../../src/core/data-loader.js";
+
+// Build a response answering example.com with the given records
+function buildResponse(answers) {
+  return encodeDnsMessage({
+    header: { id: 1, flags: 0x8180 },
+    questions: [{ name: "example.com", type: RRType.A }],
+    answers: answers.map(([type, data]) => ({
+      name: "example.com",
+      type,
+      ttl: 60,
+      data,
+    })),
+  });
+}
+
+describe("IP Matcher Plugin Functionality", () => {
+  let mockContext;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    mockContext = {
+      response: null,
+      resolved: false,
+      setError: jest.fn(),
+      addTag: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should not match without a response", async () => {
+    const result = await executeIpMatcher(mockContext, {
+      ips: ["0.0.0.0/0"],
+    });
+
+    expect(result).toBe(false);
+  });
+
+  test("should match A answers against IPv4 CIDRs", async () => {
+    mockContext.response = buildResponse([
+      [RRType.CNAME, "edge.example.net"],
+      [RRType.A, "203.0.113.77"],
+    ]);
+
+    expect(
+      await executeIpMatcher(mockContext, { ips: ["203.0.113.64/26"] })
+    ).toBe(true);
+    expect(mockContext.addTag).toHaveBeenCalledWith("ip_matcher_accepted");
+
+    // Same leading digits, different network
+    expect(
+      await executeIpMatcher(mockContext, { ips: ["203.0.11.0/24"] })
+    ).toBe(false);
+  });
+
+  test("should match AAAA answers against IPv6 CIDRs and addresses", async () => {
+    mockContext.response = buildResponse([[RRType.AAAA, "2001:db8:1::53"]]);
+
+    expect(
+      await executeIpMatcher(mockContext, { ips: ["2001:db8::/32"] })
+    ).toBe(true);
+    expect(
+      await executeIpMatcher(mockContext, { ips: ["2001:db8:1::53"] })
+    ).toBe(true);
+    expect(
+      await executeIpMatcher(mockContext, { ips: ["2001:db8:2::/48"] })
+    ).toBe(false);
+    expect(await executeIpMatcher(mockContext, { ips: ["0.0.0.0/0"] })).toBe(
+      false
+    );
+  });
+
+  test("should reject matches and support inverse matching", async () => {
+    mockContext.response = buildResponse([[RRType.A, "198.51.100.1"]]);
+
+    const result = await executeIpMatcher(mockContext, {
+      ips: ["10.0.0.0/8"],
+      inverse: true,
+      action: "reject",
+      rcode: RCODE.REFUSED,
+    });
+
+    expect(result).toBe(true);
+    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.REFUSED, {
+      infoCode: EdeCode.BLOCKED,
+      extraText: "Blocked by ip_matcher",
+    });
+    expect(mockContext.addTag).toHaveBeenCalledWith("ip_matcher_rejected");
+    expect(mockContext.resolved).toBe(true);
+  });
+
+  test("should match against IP files from KV", async () => {
+    clearCache("ips");
+    const mockKV = {
+      get: jest.fn().mockResolvedValue("# domestic\n198.51.100.0/24\n"),
+    };
+    mockContext.env = { DATA_KV: mockKV };
+    mockContext.response = buildResponse([[RRType.A, "198.51.100.9"]]);
+
+    const args = { files: ["/etc/mosdns/cn.txt"] };
+    expect(await executeIpMatcher(mockContext, args)).toBe(true);
+    expect(await executeIpMatcher(mockContext, args)).toBe(true);
+
+    expect(mockKV.get).toHaveBeenCalledTimes(1);
+    expect(mockKV.get).toHaveBeenCalledWith("ips/cn.txt");
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Load Balancer Plugin Tests
+ *
+ * Tests the load balancing strategies across forwarders configured in the
+ * same plugin chain.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  executeLoadBalancer,
+  register,
+} from "../../src/plugins/load-balancer.js";
+import {
+  createPluginChain,
+  registerPlugin,
+} from "../../src/core/plugin-chain.js";
+import { DnsContext } from "../../src/core/context.js";
+import {
+  buildDnsResponse,
+  encodeDnsMessage,
+  parseDnsResponse,
+} from "../../src/core/dns-message.js";
+import { RCODE, RRType } from "../../src/core/types.js";
+import {
+  getUpstreamHealthStats,
+  recordUpstreamSuccess,
+  resetUpstreamHealth,
+} from "../../src/core/upstream-health.js";
+
+describe("Load Balancer Plugin Functionality", () => {
+  let calls;
+  let aborted;
+
+  beforeEach(() => {
+    calls = [];
+    aborted = [];
+    resetUpstreamHealth();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    register();
+
+    // Stand-in forwarder that answers after `delay` ms unless aborted
+    registerPlugin("fake_upstream", async (ctx, args) => {
+      calls.push(args.name);
+      ctx.addTag(`${args.name}_ran`);
+      if (args.delay) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, args.delay);
+          ctx.signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            aborted.push(args.name);
+            reject(new Error("aborted"));
+          });
+        });
+      }
+      if (args.fail) {
+        return false;
+      }
+      ctx.setResponse(
+        buildDnsResponse(ctx.getQuery(), {
+          rcode: args.rcode,
+          answers: [
+            {
+              name: "example.com",
+              type: RRType.A,
+              class: 1,
+              ttl: 60,
+              data: args.ip || "192.0.2.1",
+            },
+          ],
+        })
+      );
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Build a chain with a load balancer over the given upstreams
+   */
+  function createBalancedChain(lbArgs, upstreams) {
+    return createPluginChain([
+      ...upstreams.map((args) => ({
+        type: "fake_upstream",
+        tag: args.name,
+        args,
+        reference_only: true,
+      })),
+      { type: "load_balancer", tag: "lb", args: lbArgs },
+    ]);
+  }
+
+  function createContext() {
+    return new DnsContext(
+      new Request("https://dns.example/dns-query"),
+      encodeDnsMessage({
+        header: { id: 7, flags: 0x0100 },
+        questions: [{ name: "example.com", type: RRType.A, class: 1 }],
+      })
+    );
+  }
+
+  function answerOf(ctx) {
+    return parseDnsResponse(ctx.response).answers[0].data;
+  }
+
+  test("should forward through a referenced upstream", async () => {
+    const chain = createBalancedChain({ upstreams: ["primary"] }, [
+      { name: "primary" },
+    ]);
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(calls).toEqual(["primary"]);
+    expect(ctx.resolved).toBe(true);
+    expect(answerOf(ctx)).toBe("192.0.2.1");
+    expect(ctx.metadata.upstream).toBe("primary");
+    expect(ctx.hasTag("lb")).toBe(true);
+
+    // Upstreams run against clones, so their tags stay there
+    expect(ctx.hasTag("primary_ran")).toBe(false);
+  });
+
+  test("should rotate upstreams with round_robin", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["a", "b", "c"], strategy: "round_robin" },
+      [{ name: "a" }, { name: "b" }, { name: "c" }]
+    );
+
+    for (let i = 0; i < 4; i++) {
+      await chain.execute(createContext());
+    }
+
+    expect(calls).toEqual(["a", "b", "c", "a"]);
+  });
+
+  test("should pick upstreams in proportion to their weight", async () => {
+    const chain = createBalancedChain(
+      {
+        upstreams: [
+          { tag: "light", weight: 1 },
+          { tag: "heavy", weight: 3 },
+          { tag: "off", weight: 0 },
+        ],
+        strategy: "weighted",
+      },
+      [{ name: "light" }, { name: "heavy" }, { name: "off" }]
+    );
+    const random = jest.spyOn(Math, "random");
+
+    random.mockReturnValue(0.2); // 0.8 of 4
+    await chain.execute(createContext());
+    random.mockReturnValue(0.3); // 1.2 of 4
+    await chain.execute(createContext());
+    random.mockReturnValue(0.999);
+    await chain.execute(createContext());
+
+    expect(calls).toEqual(["light", "heavy", "heavy"]);
+  });
+
+  test("should fall back to the next upstream", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["broken", "backup"], strategy: "fallback" },
+      [{ name: "broken", fail: true }, { name: "backup" }]
+    );
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(calls).toEqual(["broken", "backup"]);
+    expect(answerOf(ctx)).toBe("192.0.2.1");
+    expect(ctx.metadata.upstream).toBe("backup");
+  });
+
+  test("should record the last failure when no upstream answers", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["first", "second"], strategy: "fallback" },
+      [
+        { name: "first", fail: true },
+        { name: "second", fail: true },
+      ]
+    );
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(ctx.resolved).toBe(false);
+    expect(ctx.metadata.upstream).toBe("second");
+    expect(ctx.metadata.upstreamError).toBe("No response");
+  });
+
+  test("should isolate parallel queries from each other", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["first", "second"], strategy: "parallel" },
+      [{ name: "first", fail: true }, { name: "second" }]
+    );
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(calls).toEqual(["first", "second"]);
+    expect(ctx.metadata.upstream).toBe("second");
+    expect(ctx.metadata.tags).toEqual(["lb"]);
+  });
+
+  test("should answer with the first usable response", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["slow", "broken", "fast"], strategy: "parallel" },
+      [
+        { name: "slow", delay: 1000, ip: "192.0.2.10" },
+        { name: "broken", rcode: RCODE.SERVFAIL, ip: "192.0.2.20" },
+        { name: "fast", delay: 5, ip: "192.0.2.30" },
+      ]
+    );
+    const ctx = createContext();
+
+    const startTime = Date.now();
+    await chain.execute(ctx);
+
+    expect(Date.now() - startTime).toBeLessThan(500);
+    expect(answerOf(ctx)).toBe("192.0.2.30");
+    expect(ctx.metadata.upstream).toBe("fast");
+    expect(ctx.metadata.race).toEqual({
+      winner: "fast",
+      time: expect.any(Number),
+      aborted: ["slow"],
+    });
+
+    // The losing query was cancelled without being reported as an error
+    expect(aborted).toEqual(["slow"]);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test("should answer SERVFAIL when no upstream answers usably in time", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["a", "b"], strategy: "parallel", parallel_timeout: 20 },
+      [
+        { name: "a", delay: 1000 },
+        { name: "b", rcode: RCODE.SERVFAIL },
+      ]
+    );
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(ctx.metadata.race.winner).toBeNull();
+    expect(ctx.metadata.race.aborted).toEqual(["a"]);
+    expect(aborted).toEqual(["a"]);
+
+    // The SERVFAIL is the best answer there is
+    expect(ctx.resolved).toBe(true);
+    expect(parseDnsResponse(ctx.response).rcode).toBe(RCODE.SERVFAIL);
+    expect(ctx.metadata.upstream).toBe("b");
+  });
+
+  test("should answer SERVFAIL when every upstream does", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["a", "b"], strategy: "parallel" },
+      [
+        { name: "a", rcode: RCODE.SERVFAIL },
+        { name: "b", rcode: RCODE.SERVFAIL },
+      ]
+    );
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(ctx.resolved).toBe(true);
+    expect(parseDnsResponse(ctx.response).rcode).toBe(RCODE.SERVFAIL);
+  });
+
+  test("should explain a parallel timeout without any answer", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["a", "b"], strategy: "parallel", parallel_timeout: 20 },
+      [
+        { name: "a", delay: 1000 },
+        { name: "b", delay: 1000 },
+      ]
+    );
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(ctx.resolved).toBe(false);
+    expect(ctx.metadata.upstreamError).toBe(
+      "No upstream answered within 20 ms"
+    );
+  });
+
+  test("should prefer the upstream with the lowest latency", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["slow", "fast", "new"], strategy: "latency" },
+      [{ name: "slow" }, { name: "fast" }, { name: "new" }]
+    );
+    recordUpstreamSuccess("slow", 300);
+    recordUpstreamSuccess("fast", 20);
+
+    // Upstreams without samples are tried first
+    await chain.execute(createContext());
+    expect(calls).toEqual(["new"]);
+
+    recordUpstreamSuccess("new", 500);
+    await chain.execute(createContext());
+    expect(calls).toEqual(["new", "fast"]);
+  });
+
+  test("should skip upstreams whose circuit is open", async () => {
+    const chain = createBalancedChain(
+      {
+        upstreams: ["broken", "backup"],
+        strategy: "fallback",
+        failure_threshold: 2,
+      },
+      [{ name: "broken", fail: true }, { name: "backup" }]
+    );
+
+    for (let i = 0; i < 3; i++) {
+      await chain.execute(createContext());
+    }
+
+    expect(calls).toEqual(["broken", "backup", "broken", "backup", "backup"]);
+    expect(getUpstreamHealthStats()).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ name: "broken", state: "open" }),
+        expect.objectContaining({ name: "backup", successes: 3 }),
+      ])
+    );
+  });
+
+  test("should try every upstream when all circuits are open", async () => {
+    const chain = createBalancedChain(
+      { upstreams: ["only"], failure_threshold: 1 },
+      [{ name: "only", fail: true }]
+    );
+
+    await chain.execute(createContext());
+    await chain.execute(createContext());
+
+    expect(calls).toEqual(["only", "only"]);
+  });
+
+  test("should fail when an upstream is not configured", async () => {
+    const chain = createBalancedChain({ upstreams: ["missing"] }, []);
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(ctx.resolved).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(
+      "Error executing upstream missing:",
+      expect.any(Error)
+    );
+  });
+
+  test("should stop an upstream that references the load balancer", async () => {
+    const chain = createPluginChain([
+      { type: "reference", tag: "loop", reference: "lb", reference_only: true },
+      { type: "load_balancer", tag: "lb", args: { upstreams: ["loop"] } },
+    ]);
+    const ctx = createContext();
+
+    await chain.execute(ctx);
+
+    expect(ctx.resolved).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(
+      "Error executing upstream loop:",
+      expect.objectContaining({
+        message: "Plugin reference cycle: loop -> lb -> loop",
+      })
+    );
+  });
+
+  test("should require a plugin chain", async () => {
+    const result = await executeLoadBalancer(createContext(), {
+      upstreams: ["primary"],
+    });
+
+    expect(result).toBe(false);
+  });
+});
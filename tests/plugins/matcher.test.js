@@ -6,7 +6,8 @@
 
 import { jest } from "@jest/globals";
 import { executeMatcher } from "../../src/plugins/matcher.js";
-import { RCODE } from "../../src/core/types.js";
+import { EdeCode, RCODE } from "../../src/core/types.js";
+import { clearCache } from "../../src/core/data-loader.js";
 
 describe("Matcher Plugin Functionality", () => {
   let mockContext;
@@ -151,7 +152,10 @@ describe("Matcher Plugin Functionality", () => {
 
     // Verify result
     expect(result).toBe(true);
-    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.REFUSED);
+    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.REFUSED, {
+      infoCode: EdeCode.BLOCKED,
+      extraText: "Blocked by matcher",
+    });
     expect(mockContext.addTag).toHaveBeenCalledWith("matcher_rejected");
     // Verify resolved flag was set (if implemented)
     expect(mockContext.resolved).toBe(true);
@@ -255,4 +259,40 @@ describe("Matcher Plugin Functionality", () => {
     // Verify result - implementation should return false on error
     expect(result).toBe(false);
   });
+
+  test("should honour MosDNS rule prefixes", async () => {
+    const args = {
+      patterns: ["full:exact.example.org", "domain:example.net"],
+    };
+
+    mockContext.getQueryDomain.mockReturnValue("www.example.net");
+    expect(await executeMatcher(mockContext, args)).toBe(true);
+
+    mockContext.getQueryDomain.mockReturnValue("sub.exact.example.org");
+    expect(await executeMatcher(mockContext, args)).toBe(false);
+  });
+
+  test("should match domain list files from KV", async () => {
+    clearCache("domains");
+    const mockKV = {
+      get: jest
+        .fn()
+        .mockResolvedValue("# ads\ndoubleclick.net\nfull:ads.example.com\n"),
+    };
+    mockContext.env = { DATA_KV: mockKV };
+    const args = { files: ["/etc/mosdns/ads.txt"], action: "reject" };
+
+    mockContext.getQueryDomain.mockReturnValue("stats.g.doubleclick.net");
+    expect(await executeMatcher(mockContext, args)).toBe(true);
+    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NXDOMAIN, {
+      infoCode: EdeCode.BLOCKED,
+      extraText: "Blocked by matcher (list /etc/mosdns/ads.txt)",
+    });
+
+    mockContext.getQueryDomain.mockReturnValue("www.ads.example.com");
+    expect(await executeMatcher(mockContext, args)).toBe(false);
+
+    expect(mockKV.get).toHaveBeenCalledTimes(1);
+    expect(mockKV.get).toHaveBeenCalledWith("domains/ads.txt");
+  });
 });
@@ -6,7 +6,11 @@
  */
 
 import { jest } from "@jest/globals";
-import { RCODE } from "../../src/core/types.js";
+import { EdeCode, RCODE, RRType } from "../../src/core/types.js";
+import {
+  encodeDnsMessage,
+  parseDnsMessage,
+} from "../../src/core/dns-message.js";
 
 // Import the module
 import { executeResponseModifier } from "../../src/plugins/response-modifier.js";
@@ -31,6 +35,7 @@ describe("Response Modifier Plugin Functionality", () => {
     // Create mock context
     mockContext = {
       getQueryDomain: jest.fn().mockReturnValue("example.com"),
+      getQueryType: jest.fn().mockReturnValue(RRType.A),
       setResponse: jest.fn(),
       setError: jest.fn(),
       addTag: jest.fn(),
@@ -59,7 +64,10 @@ describe("Response Modifier Plugin Functionality", () => {
     expect(result).toBe(true);
 
     // Verify error response was set
-    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NXDOMAIN);
+    expect(mockContext.setError).toHaveBeenCalledWith(RCODE.NXDOMAIN, {
+      infoCode: EdeCode.BLOCKED,
+      extraText: "Blocked by response_modifier",
+    });
 
     // Verify tag was added
     expect(mockContext.addTag).toHaveBeenCalledWith("response_rejected");
@@ -104,6 +112,14 @@ describe("Response Modifier Plugin Functionality", () => {
   });
 
   test("should handle modify action with ip", async () => {
+    mockContext.response = encodeDnsMessage({
+      header: { id: 1, flags: 0x8180 },
+      questions: [{ name: "example.com", type: RRType.A }],
+      answers: [
+        { name: "example.com", type: RRType.A, ttl: 60, data: "192.0.2.1" },
+      ],
+    });
+
     const args = {
       action: "modify",
       ip: "192.168.1.1",
@@ -171,4 +187,193 @@ describe("Response Modifier Plugin Functionality", () => {
       expect.any(Error)
     );
   });
+
+  describe("TTL modification", () => {
+    // Response with records in every section and an EDNS OPT record
+    const buildResponse = () =>
+      encodeDnsMessage({
+        header: { id: 1, flags: 0x8180 },
+        questions: [{ name: "example.com", type: RRType.A }],
+        answers: [
+          { name: "example.com", type: RRType.A, ttl: 5, data: "192.0.2.1" },
+          { name: "example.com", type: RRType.A, ttl: 7200, data: "192.0.2.2" },
+        ],
+        authorities: [
+          {
+            name: "example.com",
+            type: RRType.NS,
+            ttl: 0,
+            data: "ns1.example.com",
+          },
+        ],
+        additionals: [
+          { name: "", type: RRType.OPT, class: 1232, ttl: 0x8000, data: "" },
+        ],
+      });
+
+    const ttlsOf = (buffer) => {
+      const message = parseDnsMessage(buffer);
+      return [
+        ...message.answers,
+        ...message.authorities,
+        ...message.additionals,
+      ].map((rr) => rr.ttl);
+    };
+
+    test("should clamp TTLs to the configured bounds", async () => {
+      const original = buildResponse();
+      mockContext.response = original;
+
+      const result = await executeResponseModifier(mockContext, {
+        minTtl: 60,
+        maxTtl: 3600,
+      });
+
+      expect(result).toBe(true);
+      expect(mockContext.addTag).toHaveBeenCalledWith("ttl_modified");
+      const modified = mockContext.setResponse.mock.calls[0][0];
+      expect(ttlsOf(modified)).toEqual([60, 3600, 60, 0x8000]);
+
+      // The original buffer is left untouched
+      expect(ttlsOf(original)).toEqual([5, 7200, 0, 0x8000]);
+    });
+
+    test("should apply a fixed TTL except to OPT records", async () => {
+      mockContext.response = buildResponse();
+
+      await executeResponseModifier(mockContext, { ttl: 300, minTtl: 600 });
+
+      const modified = mockContext.setResponse.mock.calls[0][0];
+      expect(ttlsOf(modified)).toEqual([300, 300, 300, 0x8000]);
+    });
+
+    test("should leave unparseable responses alone", async () => {
+      mockContext.response = new ArrayBuffer(4);
+
+      const result = await executeResponseModifier(mockContext, {
+        minTtl: 60,
+      });
+
+      expect(result).toBe(false);
+      expect(mockContext.setResponse).not.toHaveBeenCalled();
+      expect(mockContext.addTag).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("IP replacement", () => {
+    const replace = async (message, args) => {
+      mockContext.response = encodeDnsMessage({
+        header: { id: 9, flags: 0x8180 },
+        questions: [{ name: "example.com", type: mockContext.getQueryType() }],
+        ...message,
+      });
+      const result = await executeResponseModifier(mockContext, args);
+      return result
+        ? parseDnsMessage(mockContext.setResponse.mock.calls[0][0])
+        : null;
+    };
+
+    test("should rewrite addresses of the matching family", async () => {
+      const response = await replace(
+        {
+          answers: [
+            {
+              name: "example.com",
+              type: RRType.CNAME,
+              ttl: 30,
+              data: "edge.cdn.net",
+            },
+            {
+              name: "edge.cdn.net",
+              type: RRType.A,
+              ttl: 20,
+              data: "198.51.100.1",
+            },
+            {
+              name: "edge.cdn.net",
+              type: RRType.A,
+              ttl: 20,
+              data: "198.51.100.2",
+            },
+          ],
+        },
+        { ips: ["10.0.0.80", "10.0.0.81", "fd00::80"] }
+      );
+
+      expect(response.header.id).toBe(9);
+      expect(
+        response.answers.map((rr) => [rr.name, rr.type, rr.ttl, rr.data])
+      ).toEqual([
+        ["example.com", RRType.CNAME, 30, "edge.cdn.net"],
+        ["edge.cdn.net", RRType.A, 20, "10.0.0.80"],
+        ["edge.cdn.net", RRType.A, 20, "10.0.0.81"],
+      ]);
+      expect(mockContext.addTag).toHaveBeenCalledWith("ip_replaced");
+    });
+
+    test("should drop records with no target of their family", async () => {
+      mockContext.getQueryType.mockReturnValue(RRType.AAAA);
+
+      const response = await replace(
+        {
+          answers: [
+            {
+              name: "example.com",
+              type: RRType.AAAA,
+              ttl: 20,
+              data: "2001:db8::1",
+            },
+          ],
+        },
+        { ip: "10.0.0.80" }
+      );
+
+      expect(response.answers).toEqual([]);
+    });
+
+    test("should synthesize addresses for negative answers", async () => {
+      const response = await replace(
+        {
+          header: { id: 9, flags: 0x8183 }, // NXDOMAIN
+          answers: [
+            {
+              name: "example.com",
+              type: RRType.CNAME,
+              ttl: 30,
+              data: "gone.example.net",
+            },
+          ],
+          authorities: [
+            {
+              name: "example.net",
+              type: RRType.SOA,
+              ttl: 60,
+              data: "ns.example.net host.example.net 1 2 3 4 5",
+            },
+          ],
+        },
+        { ip: "10.0.0.80" }
+      );
+
+      expect(response.header.flags & 0x000f).toBe(RCODE.NOERROR);
+      expect(response.authorities).toEqual([]);
+      expect(response.answers.map((rr) => [rr.name, rr.type, rr.data])).toEqual(
+        [
+          ["example.com", RRType.CNAME, "gone.example.net"],
+          ["gone.example.net", RRType.A, "10.0.0.80"],
+        ]
+      );
+    });
+
+    test("should leave unparseable responses alone", async () => {
+      mockContext.response = new ArrayBuffer(4);
+
+      const result = await executeResponseModifier(mockContext, {
+        ip: "10.0.0.80",
+      });
+
+      expect(result).toBe(false);
+      expect(mockContext.setResponse).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,98 @@
+/**
+ * Domain Index Tests
+ *
+ * Tests the compiled domain index shared by the domain matching plugins.
+ */
+
+import { createDomainIndex } from "../../src/utils/domain-index.js";
+import { domainMatchList } from "../../src/utils/dns-util.js";
+
+describe("Domain Index", () => {
+  test("should match plain entries as domains by default", () => {
+    const index = createDomainIndex(["example.com", "Corp.Internal."]);
+
+    expect(index.size).toBe(2);
+    expect(index.has("example.com")).toBe(true);
+    expect(index.has("a.b.example.com")).toBe(true);
+    expect(index.has("EXAMPLE.COM.")).toBe(true);
+    expect(index.has("host.corp.internal")).toBe(true);
+    expect(index.has("notexample.com")).toBe(false);
+    expect(index.has("com")).toBe(false);
+  });
+
+  test("should honour rule prefixes and wildcards", () => {
+    const index = createDomainIndex(
+      [
+        "full:exact.example.org",
+        "domain:example.net",
+        "*.dev.internal",
+        "keyword:tracker",
+        "regexp:^cdn[0-9]+\\.example\\.com$",
+        /^ads?\./,
+      ],
+      { defaultKind: "full" }
+    );
+
+    expect(index.has("exact.example.org")).toBe(true);
+    expect(index.has("sub.exact.example.org")).toBe(false);
+    expect(index.has("example.net")).toBe(true);
+    expect(index.has("www.example.net")).toBe(true);
+    expect(index.has("api.dev.internal")).toBe(true);
+    expect(index.has("dev.internal")).toBe(false);
+    expect(index.has("mytracker.example.org")).toBe(true);
+    expect(index.has("cdn42.example.com")).toBe(true);
+    expect(index.has("cdn.example.com")).toBe(false);
+    expect(index.has("ad.example.org")).toBe(true);
+  });
+
+  test("should apply the default kind to plain entries", () => {
+    const full = createDomainIndex(["example.com"], { defaultKind: "full" });
+    expect(full.has("example.com")).toBe(true);
+    expect(full.has("www.example.com")).toBe(false);
+
+    const keyword = createDomainIndex(["ads"], { defaultKind: "keyword" });
+    expect(keyword.has("myads.example.com")).toBe(true);
+    expect(keyword.has("example.com")).toBe(false);
+  });
+
+  test("should keep keywords as written apart from case", () => {
+    const index = createDomainIndex(["keyword:AD.", "full:Example.ORG."], {
+      defaultKind: "keyword",
+    });
+
+    expect(index.has("ad.example.com")).toBe(true);
+    expect(index.has("canada.ca")).toBe(false);
+    expect(index.has("example.org")).toBe(true);
+  });
+
+  test("should skip invalid regular expressions", () => {
+    const index = createDomainIndex(["regexp:(unclosed", "example.com"]);
+
+    expect(index.size).toBe(1);
+    expect(index.invalid).toBe(1);
+    expect(index.has("example.com")).toBe(true);
+  });
+
+  test("should handle large lists", () => {
+    const domains = [];
+    for (let i = 0; i < 50000; i++) {
+      domains.push(`host${i}.blocked${i % 100}.example`);
+    }
+    const index = createDomainIndex(domains);
+
+    expect(index.size).toBe(50000);
+    expect(index.has("x.host49999.blocked99.example")).toBe(true);
+    expect(index.has("host50000.blocked0.example")).toBe(false);
+  });
+
+  test("domainMatchList should reuse the compiled list", () => {
+    const list = ["example.com", "keyword:ads"];
+
+    expect(domainMatchList("www.example.com", list)).toBe(true);
+    expect(domainMatchList("www.example.com", list, false)).toBe(false);
+    expect(domainMatchList("example.com", list, false)).toBe(true);
+    expect(domainMatchList("myads.net", list)).toBe(true);
+    expect(domainMatchList("example.org", list)).toBe(false);
+    expect(domainMatchList("example.com", [])).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * IP Matcher Utility Tests
+ *
+ * Tests CIDR, range and private-address matching for IPv4 and IPv6.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  ipInCidr,
+  ipMatchCidrList,
+  ipInRange,
+  isPrivateIp,
+  createCidrTrie,
+} from "../../src/utils/ip-matcher.js";
+
+describe("IP Matcher Utilities", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("ipInCidr should match IPv4 prefixes", () => {
+    expect(ipInCidr("192.168.1.77", "192.168.1.0/24")).toBe(true);
+    expect(ipInCidr("192.168.2.1", "192.168.1.0/24")).toBe(false);
+    expect(ipInCidr("200.1.2.3", "200.0.0.0/7")).toBe(true);
+    expect(ipInCidr("8.8.8.8", "0.0.0.0/0")).toBe(true);
+    expect(ipInCidr("10.0.0.1", "10.0.0.1")).toBe(true);
+  });
+
+  test("ipInCidr should match IPv6 prefixes in any notation", () => {
+    expect(ipInCidr("2001:db8::1", "2001:db8::/32")).toBe(true);
+    expect(
+      ipInCidr("2001:0db8:0000:0000:0000:0000:0000:0001", "2001:db8::/32")
+    ).toBe(true);
+    expect(ipInCidr("2001:db9::1", "2001:db8::/32")).toBe(false);
+    expect(ipInCidr("2001:db8:abcd::1", "2001:db8:ab00::/40")).toBe(true);
+    expect(ipInCidr("2001:db8:ac00::1", "2001:db8:ab00::/40")).toBe(false);
+    expect(ipInCidr("64:ff9b::192.0.2.1", "64:ff9b::c000:200/120")).toBe(true);
+    expect(ipInCidr("fe80::1%eth0", "fe80::/10")).toBe(true);
+  });
+
+  test("ipInCidr should keep address families apart", () => {
+    expect(ipInCidr("10.0.0.1", "::/0")).toBe(false);
+    expect(ipInCidr("2001:db8::1", "0.0.0.0/0")).toBe(false);
+
+    // IPv4-mapped addresses match IPv4 ranges
+    expect(ipInCidr("::ffff:10.1.2.3", "10.0.0.0/8")).toBe(true);
+    expect(ipInCidr("::ffff:10.1.2.3", "::ffff:0:0/96")).toBe(true);
+  });
+
+  test("ipInCidr should reject malformed input", () => {
+    expect(ipInCidr("10.0.0.1", "10.0.0.0/33")).toBe(false);
+    expect(ipInCidr("2001:db8::1", "2001:db8::/129")).toBe(false);
+    expect(ipInCidr("2001:db8:::1", "2001:db8::/32")).toBe(false);
+  });
+
+  test("ipMatchCidrList should match any listed range", () => {
+    const list = ["10.0.0.0/8", "2001:db8::/32"];
+
+    expect(ipMatchCidrList("10.9.8.7", list)).toBe(true);
+    expect(ipMatchCidrList("2001:db8::53", list)).toBe(true);
+    expect(ipMatchCidrList("192.0.2.1", list)).toBe(false);
+    expect(ipMatchCidrList("192.0.2.1", [])).toBe(false);
+  });
+
+  test("ipInRange should compare IPv4 and IPv6 ranges", () => {
+    expect(ipInRange("192.168.0.50", "192.168.0.1-192.168.0.100")).toBe(true);
+    expect(ipInRange("192.168.0.150", "192.168.0.1-192.168.0.100")).toBe(false);
+    expect(ipInRange("200.0.0.5", "199.255.255.0-200.0.0.10")).toBe(true);
+    expect(ipInRange("2001:db8::80", "2001:db8::1 - 2001:db8::ff")).toBe(true);
+    expect(ipInRange("2001:db8::100", "2001:db8::1-2001:db8::ff")).toBe(false);
+    expect(ipInRange("10.0.0.1", "2001:db8::1-2001:db8::ff")).toBe(false);
+    expect(ipInRange("10.0.0.1", "10.0.0.0-2001:db8::ff")).toBe(false);
+  });
+
+  test("isPrivateIp should classify IPv4 and IPv6 addresses", () => {
+    expect(isPrivateIp("10.1.2.3")).toBe(true);
+    expect(isPrivateIp("172.31.255.1")).toBe(true);
+    expect(isPrivateIp("172.32.0.1")).toBe(false);
+    expect(isPrivateIp("8.8.8.8")).toBe(false);
+
+    expect(isPrivateIp("::1")).toBe(true);
+    expect(isPrivateIp("fd12:3456:789a::1")).toBe(true);
+    expect(isPrivateIp("fe80::abcd%en0")).toBe(true);
+    expect(isPrivateIp("2606:4700:4700::1111")).toBe(false);
+  });
+
+  describe("createCidrTrie", () => {
+    test("should match addresses covered by any entry", () => {
+      const trie = createCidrTrie([
+        "10.0.0.0/8",
+        "192.0.2.1",
+        "2001:db8::/32",
+        "fe80::/10",
+      ]);
+
+      expect(trie.size).toBe(4);
+      expect(trie.contains("10.200.1.1")).toBe(true);
+      expect(trie.contains("11.0.0.1")).toBe(false);
+      expect(trie.contains("192.0.2.1")).toBe(true);
+      expect(trie.contains("192.0.2.2")).toBe(false);
+      expect(trie.contains("2001:0db8:0000:0000:0000:0000:0000:0053")).toBe(
+        true
+      );
+      expect(trie.contains("2001:db9::1")).toBe(false);
+      expect(trie.contains("fe80::1%eth0")).toBe(true);
+      expect(trie.contains("::ffff:10.1.1.1")).toBe(true);
+      expect(trie.contains("not-an-ip")).toBe(false);
+    });
+
+    test("should expand ranges and count invalid entries", () => {
+      const trie = createCidrTrie([
+        "192.0.2.10-192.0.2.20",
+        "2001:db8::-2001:db8::ff",
+        "10.0.0.0/40",
+        "garbage",
+      ]);
+
+      expect(trie.size).toBe(2);
+      expect(trie.invalid).toBe(2);
+      expect(trie.contains("192.0.2.9")).toBe(false);
+      expect(trie.contains("192.0.2.10")).toBe(true);
+      expect(trie.contains("192.0.2.20")).toBe(true);
+      expect(trie.contains("192.0.2.21")).toBe(false);
+      expect(trie.contains("2001:db8::80")).toBe(true);
+      expect(trie.contains("2001:db8::100")).toBe(false);
+    });
+
+    test("should agree with ipMatchCidrList on a large set", () => {
+      const cidrs = [];
+      for (let i = 0; i < 2000; i++) {
+        cidrs.push(
+          `${(i * 7) % 224}.${(i * 13) % 256}.${i % 256}.0/${16 + (i % 9)}`
+        );
+      }
+      const trie = createCidrTrie(cidrs);
+
+      for (let i = 0; i < 500; i++) {
+        const ip = `${(i * 31) % 224}.${(i * 17) % 256}.${(i * 3) % 256}.${
+          i % 256
+        }`;
+        expect(trie.contains(ip)).toBe(ipMatchCidrList(ip, cidrs));
+      }
+    });
+  });
+});
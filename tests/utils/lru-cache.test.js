@@ -0,0 +1,85 @@
+/**
+ * LRU Cache Tests
+ *
+ * Tests eviction by entry count and by size for the cache plugin's
+ * in-memory tier.
+ */
+
+import { createLruCache } from "../../src/utils/lru-cache.js";
+
+describe("LRU Cache", () => {
+  const bytes = (length) => new ArrayBuffer(length);
+
+  test("should evict the least recently used entry when full", () => {
+    const cache = createLruCache({ maxEntries: 2 });
+    cache.set("a", bytes(1));
+    cache.set("b", bytes(1));
+
+    // Reading "a" makes "b" the oldest entry
+    expect(cache.get("a")).toBeInstanceOf(ArrayBuffer);
+    cache.set("c", bytes(1));
+
+    expect(cache.keys()).toEqual(["a", "c"]);
+    expect(cache.get("b")).toBeUndefined();
+  });
+
+  test("should peek without changing the eviction order", () => {
+    const cache = createLruCache({ maxEntries: 2 });
+    cache.set("a", bytes(1));
+    cache.set("b", bytes(1));
+
+    expect(cache.peek("a")).toBeInstanceOf(ArrayBuffer);
+    cache.set("c", bytes(1));
+
+    expect(cache.keys()).toEqual(["b", "c"]);
+  });
+
+  test("should evict entries to stay under the size limit", () => {
+    const cache = createLruCache({ maxEntries: 10, maxBytes: 100 });
+    cache.set("a", bytes(40));
+    cache.set("b", bytes(40));
+    cache.set("c", bytes(40));
+
+    expect(cache.keys()).toEqual(["b", "c"]);
+    expect(cache.bytes).toBe(80);
+
+    // Replacing an entry releases its old size
+    cache.set("b", bytes(10));
+    expect(cache.bytes).toBe(50);
+    expect(cache.size).toBe(2);
+  });
+
+  test("should not store values larger than the size limit", () => {
+    const cache = createLruCache({ maxEntries: 10, maxBytes: 100 });
+    cache.set("a", bytes(40));
+
+    expect(cache.set("big", bytes(101))).toBe(false);
+    expect(cache.keys()).toEqual(["a"]);
+  });
+
+  test("should store nothing when the entry limit is zero", () => {
+    const cache = createLruCache({ maxEntries: 0 });
+
+    expect(cache.set("a", bytes(1))).toBe(false);
+    expect(cache.size).toBe(0);
+  });
+
+  test("should measure values with a custom size function", () => {
+    const cache = createLruCache({
+      maxEntries: 10,
+      maxBytes: 5,
+      sizeOf: (value) => value.length,
+    });
+    cache.set("a", "abc");
+    cache.set("b", "def");
+
+    expect(cache.keys()).toEqual(["b"]);
+
+    expect(cache.delete("b")).toBe(true);
+    expect(cache.delete("b")).toBe(false);
+    cache.set("c", "x");
+    cache.clear();
+    expect(cache.size).toBe(0);
+    expect(cache.bytes).toBe(0);
+  });
+});